@@ -0,0 +1,520 @@
+/**
+ * GridRush - Level editor
+ *
+ * Paint a level on the grid, check that it can be solved, play-test it and
+ * save it as a level file (see game/levelfile.js). The editor draws into the
+ * scene set up in main.js and play-tests on the same engine.
+ */
+
+// Editor limits for the grid size (tiles)
+const EDITOR_MIN_SIZE = 3;
+const EDITOR_MAX_SIZE = 40;
+
+// Editor state; the level is kept as rows of level file characters
+const editorState = {
+    active: false,
+    isPlaytesting: false,
+    isPainting: false,
+    isRendering: false,       // Whether the editor's requestAnimationFrame loop is running
+    tool: '#',                // Level file character painted by a left click
+    map: [],                  // Array of rows, each an array of characters
+    rules: {},                // "rules" section of the level file
+    hazards: null,            // "hazards" section kept from a loaded file
+    turrets: [],              // "turrets" list kept from a loaded file
+    objectives: null,         // "objectives" section kept from a loaded file
+    lastPainted: null         // "x,y" of the last painted tile while dragging
+};
+
+// DOM elements
+const editorPanel = document.getElementById('editor-panel');
+const editorNameInput = document.getElementById('editor-name');
+const editorWidthInput = document.getElementById('editor-width');
+const editorHeightInput = document.getElementById('editor-height');
+const editorNoRevisitInput = document.getElementById('editor-no-revisit');
+const editorStatus = document.getElementById('editor-status');
+const editorFileInput = document.getElementById('editor-file');
+
+/**
+ * Wire up the editor panel, painting and play-test events
+ */
+function setupEditor() {
+    document.getElementById('editor-button').addEventListener('click', openEditor);
+    document.getElementById('editor-resize-button').addEventListener('click', () => {
+        resizeEditorMap(parseInt(editorWidthInput.value, 10), parseInt(editorHeightInput.value, 10));
+    });
+    document.getElementById('editor-playtest-button').addEventListener('click', playtestEditorLevel);
+    document.getElementById('editor-save-button').addEventListener('click', saveEditorLevel);
+    document.getElementById('editor-load-button').addEventListener('click', () => editorFileInput.click());
+    document.getElementById('editor-clear-button').addEventListener('click', () => {
+        editorState.map = createBlankMap(getEditorWidth(), getEditorHeight());
+        editorState.turrets = [];
+        refreshEditor();
+    });
+    document.getElementById('editor-exit-button').addEventListener('click', closeEditor);
+
+    document.querySelectorAll('#editor-tools button').forEach(button => {
+        button.addEventListener('click', () => selectEditorTool(button.dataset.tool));
+    });
+    editorNoRevisitInput.addEventListener('change', () => {
+        editorState.rules.noRevisit = editorNoRevisitInput.checked;
+        refreshEditor();
+    });
+
+    editorFileInput.addEventListener('change', () => {
+        const file = editorFileInput.files[0];
+        editorFileInput.value = ''; // Allow loading the same file again
+        if (file) loadEditorFile(file);
+    });
+
+    // Left mouse paints; right mouse is left to the camera controls
+    canvas.addEventListener('mousedown', (event) => {
+        if (event.button !== 0 || !isEditing()) return;
+        editorState.isPainting = true;
+        editorState.lastPainted = null;
+        paintAtPointer(event);
+    });
+    canvas.addEventListener('mousemove', (event) => {
+        if (editorState.isPainting && isEditing()) paintAtPointer(event);
+    });
+    window.addEventListener('mouseup', () => {
+        editorState.isPainting = false;
+    });
+
+    // Handled before the game's own key handling sees the keys
+    window.addEventListener('keydown', (event) => {
+        if (!editorState.active) return;
+
+        // Typing in the panel must not move the camera or toggle debug mode
+        if (event.target.tagName === 'INPUT') {
+            event.stopPropagation();
+            return;
+        }
+
+        // Escape leaves the play-test, or the editor
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            if (editorState.isPlaytesting) {
+                finishPlaytest('Play-test stopped');
+            } else {
+                closeEditor();
+            }
+        }
+    }, true);
+
+    // Files dropped while editing are opened in the editor instead of the game
+    window.addEventListener('drop', (event) => {
+        if (!isEditing()) return;
+        event.preventDefault();
+        event.stopPropagation();
+        const file = event.dataTransfer.files[0];
+        if (file) loadEditorFile(file);
+    }, true);
+
+    engine.on('runComplete', ({ score }) => {
+        if (editorState.isPlaytesting) finishPlaytest(`Goal reached! Score: ${score}`);
+    });
+    engine.on('gameOver', () => {
+        if (editorState.isPlaytesting) finishPlaytest('Out of lives');
+    });
+}
+
+/**
+ * Check whether the editor is open and not play-testing
+ * @returns {boolean} - True if tiles can be painted
+ */
+function isEditing() {
+    return editorState.active && !editorState.isPlaytesting;
+}
+
+/**
+ * Open the editor from the start screen
+ * The first time, it starts from the loaded custom level if there is one.
+ */
+function openEditor() {
+    if (gameState.isPlaying || replayPlayer) return;
+
+    if (editorState.map.length === 0) {
+        if (customLevel) {
+            loadEditorLevel(customLevel);
+        } else {
+            editorState.map = createBlankMap(GAME_CONFIG.gridWidth, GAME_CONFIG.gridHeight);
+        }
+    }
+
+    editorState.active = true;
+    startOverlay.classList.add('hidden');
+    editorPanel.classList.remove('hidden');
+    refreshEditor();
+    frameCamera(getEditorWidth(), getEditorHeight());
+    startEditorLoop();
+}
+
+/**
+ * Leave the editor and return to the start screen
+ */
+function closeEditor() {
+    editorState.active = false;
+    editorState.isPainting = false;
+    editorPanel.classList.add('hidden');
+
+    clearGridObjects();
+    frameCamera(GAME_CONFIG.gridWidth, GAME_CONFIG.gridHeight);
+    renderer.render(scene, camera);
+    startOverlay.classList.remove('hidden');
+}
+
+/**
+ * Render the scene while editing (the game loop only runs during a run)
+ */
+function startEditorLoop() {
+    if (editorState.isRendering) return;
+    editorState.isRendering = true;
+
+    function render() {
+        if (!isEditing()) {
+            editorState.isRendering = false;
+            return;
+        }
+        requestAnimationFrame(render);
+        if (controls.enabled) {
+            controls.update();
+        }
+        renderer.render(scene, camera);
+    }
+    render();
+}
+
+/**
+ * Create an empty map with the start and goal in opposite corners
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @returns {Array} - Rows of level file characters
+ */
+function createBlankMap(width, height) {
+    const map = Array(height).fill().map(() => Array(width).fill('.'));
+    map[0][0] = 'S';
+    map[height - 1][width - 1] = 'G';
+    return map;
+}
+
+/**
+ * Load a parsed level (from parseLevelFile) into the editor
+ * @param {Object} level - Level ({ name, grid, start, goal, rules, enemySpawns, turrets, objectives })
+ */
+function loadEditorLevel(level) {
+    const data = GridRush.formatLevelFile(level);
+    editorState.map = data.map.map(row => row.split(''));
+    editorState.rules = data.rules;
+    editorState.hazards = data.hazards || null;
+    editorState.turrets = data.turrets || [];
+    editorState.objectives = data.objectives || null;
+    editorNameInput.value = data.name;
+}
+
+/**
+ * Load a level file into the editor
+ * Files only need a readable map, so unfinished levels can be loaded and fixed here.
+ * @param {File} file - File chosen or dropped by the player
+ */
+function loadEditorFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            if (!data || !Array.isArray(data.map) || data.map.length === 0 ||
+                !data.map.every(row => typeof row === 'string' && row.length > 0)) {
+                throw new Error('"map" must be a non-empty list of strings');
+            }
+
+            // Pad ragged rows with floor so the map stays rectangular
+            const width = Math.max(...data.map.map(row => row.length));
+            editorState.map = data.map.map(row => row.padEnd(width, '.').split(''));
+            for (const key of ['start', 'goal']) {
+                const pos = data[key];
+                if (pos && editorState.map[pos.y] && editorState.map[pos.y][pos.x] !== undefined) {
+                    editorState.map[pos.y][pos.x] = key === 'start' ? 'S' : 'G';
+                }
+            }
+            editorState.rules = data.rules && typeof data.rules === 'object' ? Object.assign({}, data.rules) : {};
+            editorState.hazards = data.hazards && typeof data.hazards === 'object' ? Object.assign({}, data.hazards) : null;
+            editorState.turrets = Array.isArray(data.turrets) ? data.turrets.slice() : [];
+            editorState.objectives = data.objectives && typeof data.objectives === 'object' ? Object.assign({}, data.objectives) : null;
+            editorNameInput.value = typeof data.name === 'string' ? data.name : file.name.replace(/\.json$/, '');
+
+            refreshEditor();
+            frameCamera(getEditorWidth(), getEditorHeight());
+        } catch (error) {
+            console.error('Error loading level into the editor:', error);
+            setEditorStatus(`Could not load ${file.name}: ${error.message}`, true);
+        }
+    };
+    reader.onerror = () => {
+        setEditorStatus(`Could not read ${file.name}`, true);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Get the width of the map being edited
+ * @returns {number} - Width in tiles
+ */
+function getEditorWidth() {
+    return editorState.map[0].length;
+}
+
+/**
+ * Get the height of the map being edited
+ * @returns {number} - Height in tiles
+ */
+function getEditorHeight() {
+    return editorState.map.length;
+}
+
+/**
+ * Resize the map, keeping the tiles that still fit
+ * @param {number} width - New width in tiles
+ * @param {number} height - New height in tiles
+ */
+function resizeEditorMap(width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < EDITOR_MIN_SIZE || height < EDITOR_MIN_SIZE ||
+        width > EDITOR_MAX_SIZE || height > EDITOR_MAX_SIZE) {
+        setEditorStatus(`Width and height must be between ${EDITOR_MIN_SIZE} and ${EDITOR_MAX_SIZE}`, true);
+        return;
+    }
+
+    editorState.map = Array(height).fill().map((_, y) =>
+        Array(width).fill().map((_, x) => (editorState.map[y] && editorState.map[y][x]) || '.'));
+    refreshEditor();
+    frameCamera(width, height);
+}
+
+/**
+ * Choose the tile painted by a left click
+ * @param {string} tool - Level file character
+ */
+function selectEditorTool(tool) {
+    editorState.tool = tool;
+    document.querySelectorAll('#editor-tools button').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+}
+
+/**
+ * Paint the tile under the mouse pointer with the current tool
+ * @param {MouseEvent} event - Mouse event on the canvas
+ */
+function paintAtPointer(event) {
+    const tile = getTileAtPointer(event);
+    if (!tile) return;
+
+    // Dragging over the same tile doesn't repaint it
+    const key = `${tile.x},${tile.y}`;
+    if (key === editorState.lastPainted) return;
+    editorState.lastPainted = key;
+
+    const tool = editorState.tool;
+    if (editorState.map[tile.y][tile.x] === tool) return;
+
+    // There is only one start and one goal; painting one moves it
+    if (tool === 'S' || tool === 'G') {
+        editorState.map.forEach(row => row.forEach((char, x) => {
+            if (char === tool) row[x] = '.';
+        }));
+    }
+    editorState.map[tile.y][tile.x] = tool;
+    refreshEditor();
+}
+
+/**
+ * Find the grid tile under the mouse pointer
+ * @param {MouseEvent} event - Mouse event on the canvas
+ * @returns {Object|null} - Tile ({ x, y }), or null if the pointer is off the grid
+ */
+function getTileAtPointer(event) {
+    const rect = canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    // Intersect the ray with the floor plane (y = 0)
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const hit = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), hit)) {
+        return null;
+    }
+
+    const x = Math.round(hit.x / GAME_CONFIG.tileSize);
+    const y = Math.round(hit.z / GAME_CONFIG.tileSize);
+    if (x < 0 || y < 0 || x >= getEditorWidth() || y >= getEditorHeight()) {
+        return null;
+    }
+    return { x, y };
+}
+
+/**
+ * Get the tile codes of the map being edited (markers such as 'S' count as floor)
+ * @returns {Array} - 2D array of tile codes
+ */
+function getEditorGrid() {
+    return editorState.map.map(row => row.map(char => GridRush.CHAR_TILES[char] || GridRush.TILES.FLOOR));
+}
+
+/**
+ * Build a level file from the editor state
+ * @returns {Object} - Level file contents
+ */
+function getEditorLevelFile() {
+    const data = {
+        name: editorNameInput.value.trim() || 'Untitled level',
+        map: editorState.map.map(row => row.join('')),
+        rules: Object.assign({}, editorState.rules, { noRevisit: editorNoRevisitInput.checked })
+    };
+    if (editorState.hazards) {
+        data.hazards = Object.assign({}, editorState.hazards);
+    }
+    if (editorState.turrets.length > 0) {
+        // Turrets whose wall has been painted over or cut off by a resize are left out
+        const grid = getEditorGrid();
+        data.turrets = editorState.turrets.filter(turret => GridRush.validateTurret(turret, grid).length === 0);
+    }
+    if (editorState.objectives) {
+        data.objectives = Object.assign({}, editorState.objectives);
+    }
+    return data;
+}
+
+/**
+ * Redraw the level and update the solvability feedback
+ */
+function refreshEditor() {
+    editorWidthInput.value = getEditorWidth();
+    editorHeightInput.value = getEditorHeight();
+    editorNoRevisitInput.checked = !!editorState.rules.noRevisit;
+
+    let path = [];
+    let turrets = [];
+    try {
+        const level = GridRush.parseLevelFile(getEditorLevelFile());
+        const analysis = GridRush.analyzeLevel(level);
+        path = analysis.path;
+        turrets = level.turrets;
+
+        setEditorStatus(`Solvable: shortest path is ${analysis.shortestPath} steps\n` +
+            `Par ${analysis.par}, difficulty ${analysis.difficulty} / 10\n` +
+            `Branching ${analysis.branchingFactor.toFixed(2)}, ${analysis.deadEnds} dead ends, ` +
+            `${Math.round(analysis.hazardExposure * 100)}% exposed to ${level.turrets.length} turret(s)`, false);
+    } catch (error) {
+        setEditorStatus((error.details || [error.message]).join('\n'), true);
+    }
+
+    renderEditorLevel(path, turrets);
+}
+
+/**
+ * Draw the map being edited, its enemy spawns, turrets and the shortest path
+ * @param {Array} path - Shortest path from start to goal (empty if unsolvable)
+ * @param {Array} turrets - Turrets of the level
+ */
+function renderEditorLevel(path, turrets) {
+    const find = (char) => {
+        for (let y = 0; y < editorState.map.length; y++) {
+            const x = editorState.map[y].indexOf(char);
+            if (x !== -1) return { x, y };
+        }
+        return null;
+    };
+
+    clearGridObjects();
+    createGridObjects({
+        grid: getEditorGrid(),
+        playerPosition: find('S'),
+        goalPosition: find('G')
+    });
+
+    // Enemy spawn points
+    const spawnGeometry = new THREE.BoxGeometry(0.6, 0.05, 0.6);
+    const spawnMaterial = new THREE.MeshLambertMaterial({ color: 0xff00ff });
+    editorState.map.forEach((row, y) => row.forEach((char, x) => {
+        if (char !== 'E') return;
+        const spawn = new THREE.Mesh(spawnGeometry, spawnMaterial);
+        spawn.position.set(x, 0.03, y);
+        gridGroup.add(spawn);
+    }));
+    createTurretObjects(turrets, getEditorGrid());
+
+    // Shortest path, without the start and goal tiles
+    const pathGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+    const pathMaterial = new THREE.MeshBasicMaterial({ color: 0x66ff99 });
+    path.slice(1, -1).forEach(({ x, y }) => {
+        const marker = new THREE.Mesh(pathGeometry, pathMaterial);
+        marker.position.set(x, 0.1, y);
+        gridGroup.add(marker);
+    });
+}
+
+/**
+ * Show a message in the editor panel
+ * @param {string} text - Message
+ * @param {boolean} isError - Whether the message reports a problem
+ */
+function setEditorStatus(text, isError) {
+    editorStatus.textContent = text;
+    editorStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Play the level being edited; the editor comes back when the run ends
+ */
+function playtestEditorLevel() {
+    let level;
+    try {
+        level = GridRush.parseLevelFile(getEditorLevelFile());
+    } catch (error) {
+        setEditorStatus((error.details || [error.message]).join('\n'), true);
+        return;
+    }
+
+    editorState.isPlaytesting = true;
+    editorState.isPainting = false;
+    editorPanel.classList.add('hidden');
+
+    engine.startRun(null, { levels: [level], playtest: true });
+    startAnimationLoop();
+    showMessage('Play-testing - press Escape to return to the editor');
+}
+
+/**
+ * End a play-test and return to the editor
+ * @param {string} result - How the play-test ended
+ */
+function finishPlaytest(result) {
+    editorState.isPlaytesting = false;
+    engine.stopRun();
+
+    pauseOverlay.classList.add('hidden');
+    countdownDisplay.classList.add('hidden');
+    editorPanel.classList.remove('hidden');
+
+    refreshEditor();
+    setEditorStatus(`Play-test: ${result}\n${editorStatus.textContent}`, editorStatus.classList.contains('error'));
+    frameCamera(getEditorWidth(), getEditorHeight());
+    startEditorLoop();
+}
+
+/**
+ * Download the level being edited as a level file
+ */
+function saveEditorLevel() {
+    const data = getEditorLevelFile();
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,273 @@
+/**
+ * GridRush - Achievements
+ *
+ * An achievement tracker listens to an engine's events and unlocks badges
+ * once their condition is met. Some badges unlock a cosmetic reward: a player
+ * color or a theme for the board.
+ *
+ * Progress is a plain object so it can be kept in localStorage:
+ * {
+ *   version: 1,
+ *   unlocked: { <achievement id>: ISO date },
+ *   totals: { moves, levels, threeStarLevels, collisions: { wall, projectile, enemy }, causes: { <cause>: count } }
+ * }
+ *
+ * Replays and play-tests from the editor don't count.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { ENEMY_TYPES } = isNode ? require('./enemies') : GridRush;
+
+    const PROGRESS_VERSION = 1;
+
+    // check(stats) is called with { totals, run, level } after each event that may change its outcome:
+    // totals are lifetime counts, run counts the current run (restored is true for a saved run that was
+    // continued, whose earlier inputs weren't seen) and level is the last completed level
+    // ({ level, steps, par, stars, hits }) or null
+    const ACHIEVEMENTS = [
+        {
+            id: 'firstSteps',
+            title: 'First Steps',
+            description: 'Make 100 moves',
+            check: ({ totals }) => totals.moves >= 100
+        },
+        {
+            id: 'marathon',
+            title: 'Marathon',
+            description: 'Make 5,000 moves',
+            reward: { color: 'cyan' },
+            check: ({ totals }) => totals.moves >= 5000
+        },
+        {
+            id: 'onPar',
+            title: 'On Par',
+            description: 'Finish a level at par',
+            check: ({ level }) => !!level && level.par !== null && level.steps <= level.par
+        },
+        {
+            id: 'untouchable',
+            title: 'Untouchable',
+            description: 'Finish a level without losing a life',
+            check: ({ level }) => !!level && level.hits === 0
+        },
+        {
+            id: 'flawless',
+            title: 'Flawless',
+            description: 'Finish 5 levels in a row without losing a life',
+            reward: { theme: 'midnight' },
+            check: ({ run }) => run.noHitStreak >= 5
+        },
+        {
+            id: 'handsOnly',
+            title: 'Look, No Keys',
+            description: 'Clear level 5 using only hand gestures',
+            reward: { color: 'violet' },
+            check: ({ run, level }) => !!level && level.level >= 5 && !run.restored &&
+                run.keyboardInputs === 0 && run.gestureInputs > 0
+        },
+        {
+            id: 'deepDiver',
+            title: 'Deep Diver',
+            description: 'Reach level 10',
+            reward: { theme: 'neon' },
+            check: ({ run }) => run.level >= 10
+        },
+        {
+            id: 'bigScore',
+            title: 'Big Score',
+            description: 'Score 2,500 points in a run',
+            check: ({ run }) => run.score >= 2500
+        },
+        {
+            id: 'highRoller',
+            title: 'High Roller',
+            description: 'Score 5,000 points in a run',
+            reward: { color: 'pink' },
+            check: ({ run }) => run.score >= 5000
+        },
+        {
+            id: 'starCollector',
+            title: 'Star Collector',
+            description: 'Earn 3 stars on 10 levels',
+            reward: { theme: 'sunset' },
+            check: ({ totals }) => totals.threeStarLevels >= 10
+        },
+        {
+            id: 'wallHugger',
+            title: 'Wall Hugger',
+            description: 'Bump into walls 25 times',
+            check: ({ totals }) => totals.collisions.wall >= 25
+        },
+        {
+            id: 'knowYourEnemy',
+            title: 'Know Your Enemy',
+            description: 'Get caught by every kind of enemy',
+            check: ({ totals }) => Object.keys(ENEMY_TYPES).every(type => totals.causes[`enemy:${type}`] > 0)
+        }
+    ];
+
+    /**
+     * Create empty achievement progress
+     * @returns {Object} - Progress
+     */
+    function createAchievementProgress() {
+        return {
+            version: PROGRESS_VERSION,
+            unlocked: {},
+            totals: {
+                moves: 0,
+                levels: 0,
+                threeStarLevels: 0,
+                collisions: { wall: 0, projectile: 0, enemy: 0 },
+                causes: {}
+            }
+        };
+    }
+
+    /**
+     * Validate saved achievement progress
+     * @param {Object} data - Parsed progress
+     * @throws {Error} - If the progress is corrupt or from another version
+     */
+    function validateAchievementProgress(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Achievement progress is not an object');
+        }
+        if (data.version !== PROGRESS_VERSION) {
+            throw new Error(`Achievement progress has version ${data.version}, expected ${PROGRESS_VERSION}`);
+        }
+        if (!data.unlocked || typeof data.unlocked !== 'object' ||
+            !Object.values(data.unlocked).every(date => typeof date === 'string')) {
+            throw new Error('Achievement progress has invalid unlocks');
+        }
+        const totals = data.totals;
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if (!totals || !isCount(totals.moves) || !isCount(totals.levels) || !isCount(totals.threeStarLevels) ||
+            !totals.collisions || !['wall', 'projectile', 'enemy'].every(type => isCount(totals.collisions[type])) ||
+            !totals.causes || typeof totals.causes !== 'object' || !Object.values(totals.causes).every(isCount)) {
+            throw new Error('Achievement progress has invalid totals');
+        }
+    }
+
+    /**
+     * List the cosmetic rewards unlocked so far
+     * @param {Object} progress - Achievement progress
+     * @returns {Object} - { colors, themes } reward ids (defaults not included)
+     */
+    function getUnlockedRewards(progress) {
+        const rewards = { colors: [], themes: [] };
+        for (const achievement of ACHIEVEMENTS) {
+            if (!achievement.reward || !progress.unlocked[achievement.id]) continue;
+            if (achievement.reward.color) rewards.colors.push(achievement.reward.color);
+            if (achievement.reward.theme) rewards.themes.push(achievement.reward.theme);
+        }
+        return rewards;
+    }
+
+    /**
+     * Track achievements on an engine
+     * @param {Object} engine - Engine from createEngine()
+     * @param {Object} progress - Achievement progress (validated; updated in place)
+     * @param {Function} [onChange] - Called with (progress, newlyUnlocked) when progress should be saved:
+     *                                after each level, at game over and whenever something unlocks
+     * @returns {Object} - Tracker with getProgress()
+     */
+    function createAchievementTracker(engine, progress, onChange) {
+        let active = false;
+        let run = null;
+        let levelHits = 0;
+
+        /**
+         * Unlock every achievement whose condition is now met and report the change
+         * @param {Object|null} level - Level just completed, if any
+         * @param {boolean} save - Report the progress even if nothing unlocked
+         */
+        function evaluate(level, save) {
+            const stats = { totals: progress.totals, run, level };
+            const unlocked = [];
+            for (const achievement of ACHIEVEMENTS) {
+                if (progress.unlocked[achievement.id] || !achievement.check(stats)) continue;
+                progress.unlocked[achievement.id] = new Date().toISOString();
+                unlocked.push(achievement);
+            }
+            if ((unlocked.length > 0 || save) && onChange) {
+                onChange(progress, unlocked);
+            }
+        }
+
+        engine.on('runStart', ({ state, restored }) => {
+            active = !state.isReplay && !state.isPlaytest;
+            run = {
+                restored: !!restored,
+                level: state.level,
+                score: state.score,
+                keyboardInputs: 0,
+                gestureInputs: 0,
+                noHitStreak: 0
+            };
+            levelHits = 0;
+        });
+
+        engine.on('levelStart', ({ level, restored }) => {
+            if (!active) return;
+            run.level = level;
+            if (!restored) levelHits = 0;
+            evaluate(null, false);
+        });
+
+        engine.on('input', ({ action, source }) => {
+            if (!active || action === 'continue') return;
+            if (source === 'gesture') {
+                run.gestureInputs++;
+            } else {
+                run.keyboardInputs++;
+            }
+        });
+
+        engine.on('playerMoved', () => {
+            if (!active) return;
+            progress.totals.moves++;
+            evaluate(null, false);
+        });
+
+        engine.on('collision', ({ type, cause }) => {
+            if (!active) return;
+            progress.totals.collisions[type] = (progress.totals.collisions[type] || 0) + 1;
+            progress.totals.causes[cause] = (progress.totals.causes[cause] || 0) + 1;
+            levelHits++;
+            run.noHitStreak = 0;
+            evaluate(null, false);
+        });
+
+        engine.on('scoreChanged', ({ score }) => {
+            if (!active) return;
+            run.score = score;
+            evaluate(null, false);
+        });
+
+        engine.on('levelComplete', ({ level, steps, par, stars }) => {
+            if (!active) return;
+            progress.totals.levels++;
+            if (stars === 3) progress.totals.threeStarLevels++;
+            if (levelHits === 0) run.noHitStreak++;
+            evaluate({ level, steps, par, stars, hits: levelHits }, true);
+        });
+
+        engine.on('gameOver', () => {
+            if (!active) return;
+            evaluate(null, true);
+        });
+
+        return {
+            getProgress: () => progress
+        };
+    }
+
+    GridRush.ACHIEVEMENTS = ACHIEVEMENTS;
+    GridRush.createAchievementProgress = createAchievementProgress;
+    GridRush.validateAchievementProgress = validateAchievementProgress;
+    GridRush.getUnlockedRewards = getUnlockedRewards;
+    GridRush.createAchievementTracker = createAchievementTracker;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
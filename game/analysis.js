@@ -0,0 +1,347 @@
+/**
+ * GridRush - Level analysis
+ *
+ * Measures how hard a level is from its layout and rules: the shortest route
+ * the player can take, how many choices and traps lie along the way and how
+ * exposed the route is to turret fire. The engine uses the result for the par
+ * step count and star ratings, and the generator to reject levels outside a
+ * difficulty band.
+ *
+ * The solver plays moves with the same rules as the engine (see tiles.js):
+ * it tracks the keys picked up along a route and never re-enters a crumbled
+ * tile, or with the no-revisit rule any tile the route has already crossed.
+ * A second search finds the shortest route that also collects every gem. It
+ * grows exponentially with the number of gems, so it gives up (gemPar null)
+ * past MAX_GEMS gems or GEM_SEARCH_LIMIT search nodes.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { resolveMove, getTileKind, isWalkable } = isNode ? require('./tiles') : GridRush;
+    const { getTurretLane } = isNode ? require('./turrets') : GridRush;
+
+    const DIRECTIONS = [
+        { x: 1, y: 0 },
+        { x: -1, y: 0 },
+        { x: 0, y: 1 },
+        { x: 0, y: -1 }
+    ];
+
+    const MOVES = ['up', 'right', 'down', 'left'];
+
+    // Bounds on the search for the route that collects every gem
+    const MAX_GEMS = 30;                // Gems collected are tracked in a 32-bit mask
+    const GEM_SEARCH_LIMIT = 40000;    // Search nodes queued before the gem route is given up on
+
+    /**
+     * Analyze a level
+     * The shortest route counts moves, so a slide across ice or a teleport is one step.
+     * @param {Object} level - { grid, start, goal, rules, turrets }
+     * @returns {Object} - { solvable, shortestPath, path (every tile crossed), moves (directions),
+     *                       branchingFactor, deadEnds, hazardExposure, par, difficulty,
+     *                       gems: number of gems, gemPar: moves to collect them all and finish
+     *                       (null if that can't be done or the search gave up) }
+     */
+    function analyzeLevel(level) {
+        const { grid, start, goal } = level;
+        const rules = level.rules || {};
+        const { goalNode, reached } = searchFrom(grid, start, goal, rules, []);
+
+        const gems = [];
+        grid.forEach((row, y) => row.forEach((tile, x) => {
+            if (getTileKind(tile) === 'gem') gems.push(`${x},${y}`);
+        }));
+
+        if (!goalNode) {
+            return {
+                solvable: false,
+                shortestPath: null,
+                path: [],
+                moves: [],
+                branchingFactor: 0,
+                deadEnds: 0,
+                hazardExposure: 0,
+                par: null,
+                difficulty: null,
+                gems: gems.length,
+                gemPar: null
+            };
+        }
+
+        // Walk back from the goal to rebuild the route
+        const path = getRoute(goalNode);
+        const moves = getMoves(goalNode);
+        const steps = goalNode.depth;
+
+        const branchingFactor = getBranchingFactor(grid, path, rules);
+        const deadEnds = countDeadEnds(grid, reached, start, goal);
+        const hazardExposure = getHazardExposure(grid, path, level.turrets || []);
+        let gemNode = goalNode;
+        if (gems.length > MAX_GEMS) {
+            gemNode = null;
+        } else if (gems.length > 0) {
+            gemNode = searchFrom(grid, start, goal, rules, gems, GEM_SEARCH_LIMIT).goalNode;
+        }
+
+        return {
+            solvable: true,
+            shortestPath: steps,
+            path,
+            moves,
+            branchingFactor,
+            deadEnds,
+            hazardExposure,
+            par: steps,
+            difficulty: rateDifficulty({ steps, branchingFactor, deadEnds, hazardExposure }, rules, level.turrets || []),
+            gems: gems.length,
+            gemPar: gemNode ? gemNode.depth : null
+        };
+    }
+
+    /**
+     * Check whether the goal of a level can be reached, without measuring the route
+     * @param {Object} level - { grid, start, goal, rules }
+     * @returns {boolean} - True if the goal is reachable from the start
+     */
+    function isSolvable(level) {
+        return searchFrom(level.grid, level.start, level.goal, level.rules || {}, []).goalNode !== null;
+    }
+
+    /**
+     * Breadth-first search over moves
+     * A search node is a position plus the keys held (and gems collected, when
+     * gems are tracked). Tiles that can only be crossed once are checked against
+     * the node's own route, so any route found can really be played (a few
+     * unusual routes may be missed). When gems are tracked the search stops at
+     * the first route to the goal, so reached is incomplete.
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} start - Start position
+     * @param {Object} goal - Goal position
+     * @param {Object} rules - Level rules
+     * @param {Array} gems - "x,y" of gems that must all be collected before the goal counts
+     * @param {number} [limit] - Search nodes to queue before giving up
+     * @returns {Object} - { goalNode: the first node on the goal (null if unreachable or the search gave up),
+     *                       reached: Set of "x,y" tiles the player can get to }
+     */
+    function searchFrom(grid, start, goal, rules, gems, limit = Infinity) {
+        const allGems = (1 << gems.length) - 1;
+        const startNode = { x: start.x, y: start.y, keys: [], gems: 0, depth: 0, parent: null, tiles: [start], move: null };
+        const seen = new Set([`${start.x},${start.y},,0`]);
+        const reached = new Set([`${start.x},${start.y}`]);
+        const queue = [startNode];
+        let goalNode = null;
+
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+            if (node.x === goal.x && node.y === goal.y) {
+                // Keep searching so every reachable tile is known (only needed without gems)
+                if (node.gems === allGems) goalNode = goalNode || node;
+                if (goalNode && gems.length > 0) break;
+                continue;
+            }
+
+            const used = getUsedTiles(grid, node, rules);
+            for (const direction of MOVES) {
+                const { path, keys } = resolveMove(grid, node, direction, {
+                    keys: node.keys,
+                    goal,
+                    isBlocked: (x, y) => used.has(`${x},${y}`)
+                });
+                if (path.length === 0) continue;
+
+                const end = path[path.length - 1];
+                const held = keys.length > 0 ? node.keys.concat(keys).sort() : node.keys;
+                let collected = node.gems;
+                for (const tile of path) {
+                    const index = gems.indexOf(`${tile.x},${tile.y}`);
+                    if (index !== -1) collected |= 1 << index;
+                }
+                const key = `${end.x},${end.y},${held.join('+')},${collected}`;
+                path.forEach(tile => reached.add(`${tile.x},${tile.y}`));
+                if (seen.has(key)) continue;
+
+                if (queue.length >= limit) return { goalNode: null, reached };
+                seen.add(key);
+                queue.push({
+                    x: end.x,
+                    y: end.y,
+                    keys: held,
+                    gems: collected,
+                    depth: node.depth + 1,
+                    parent: node,
+                    tiles: path,
+                    move: direction
+                });
+            }
+        }
+        return { goalNode, reached };
+    }
+
+    /**
+     * Get the tiles a route may not enter again
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} node - Search node whose route is checked
+     * @param {Object} rules - Level rules
+     * @returns {Set} - "x,y" of crumbled tiles, or of every tile crossed with the no-revisit rule
+     */
+    function getUsedTiles(grid, node, rules) {
+        const used = new Set();
+        for (let current = node; current; current = current.parent) {
+            for (const { x, y } of current.tiles) {
+                if (rules.noRevisit || getTileKind(grid[y][x]) === 'crumble') {
+                    used.add(`${x},${y}`);
+                }
+            }
+        }
+        return used;
+    }
+
+    /**
+     * List every tile crossed on the route to a search node
+     * @param {Object} node - Search node
+     * @returns {Array} - Tiles from the start to the node
+     */
+    function getRoute(node) {
+        const route = [];
+        for (let current = node; current; current = current.parent) {
+            route.unshift(...current.tiles);
+        }
+        return route;
+    }
+
+    /**
+     * List the moves on the route to a search node
+     * @param {Object} node - Search node
+     * @returns {Array} - Directions from the start to the node
+     */
+    function getMoves(node) {
+        const moves = [];
+        for (let current = node; current.parent; current = current.parent) {
+            moves.unshift(current.move);
+        }
+        return moves;
+    }
+
+    /**
+     * Get the open tiles next to a tile
+     * @param {Array} grid - 2D array of tile codes
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} - Neighbouring open tiles
+     */
+    function getOpenNeighbours(grid, x, y) {
+        const neighbours = [];
+        for (const dir of DIRECTIONS) {
+            const nx = x + dir.x;
+            const ny = y + dir.y;
+            if (ny >= 0 && ny < grid.length && nx >= 0 && nx < grid[0].length && isWalkable(grid[ny][nx])) {
+                neighbours.push({ x: nx, y: ny });
+            }
+        }
+        return neighbours;
+    }
+
+    /**
+     * Average number of moves available at each step of the route
+     * The tile the player came from doesn't count, nor (with no-revisit) any tile already walked.
+     * @param {Array} grid - 2D array representing the grid
+     * @param {Array} path - Shortest route from start to goal
+     * @param {Object} rules - Level rules
+     * @returns {number} - Choices per step (1 = a corridor with no choices)
+     */
+    function getBranchingFactor(grid, path, rules) {
+        if (path.length < 2) return 0;
+
+        const walked = new Set();
+        let choices = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            const { x, y } = path[i];
+            walked.add(`${x},${y}`);
+            const previous = path[i - 1];
+            choices += getOpenNeighbours(grid, x, y).filter(tile => {
+                if (previous && tile.x === previous.x && tile.y === previous.y) return false;
+                return !(rules.noRevisit && walked.has(`${tile.x},${tile.y}`));
+            }).length;
+        }
+        return choices / (path.length - 1);
+    }
+
+    /**
+     * Count reachable tiles with a single way in (other than the start and goal)
+     * @param {Array} grid - 2D array representing the grid
+     * @param {Set} reached - Reachable tiles from searchFrom()
+     * @param {Object} start - Start position
+     * @param {Object} goal - Goal position
+     * @returns {number} - Number of dead ends
+     */
+    function countDeadEnds(grid, reached, start, goal) {
+        let deadEnds = 0;
+        for (const key of reached) {
+            const [x, y] = key.split(',').map(Number);
+            if ((x === start.x && y === start.y) || (x === goal.x && y === goal.y)) continue;
+            if (getOpenNeighbours(grid, x, y).length <= 1) deadEnds++;
+        }
+        return deadEnds;
+    }
+
+    /**
+     * Share of the route (after the start) that lies in a turret's lane
+     * Turret shots fly in straight lines until they hit a wall or closed door.
+     * @param {Array} grid - 2D array representing the grid
+     * @param {Array} path - Shortest route from start to goal
+     * @param {Array} turrets - Turrets on the level ({ x, y, directions })
+     * @returns {number} - Exposure from 0 (fully covered) to 1 (fully exposed)
+     */
+    function getHazardExposure(grid, path, turrets) {
+        if (path.length < 2 || turrets.length === 0) return 0;
+
+        const lanes = new Set();
+        for (const turret of turrets) {
+            for (const direction of turret.directions) {
+                for (const { x, y } of getTurretLane(grid, turret, direction)) {
+                    lanes.add(`${x},${y}`);
+                }
+            }
+        }
+
+        return path.slice(1).filter(({ x, y }) => lanes.has(`${x},${y}`)).length / (path.length - 1);
+    }
+
+    /**
+     * Combine the measurements into a difficulty rating
+     * @param {Object} measures - { steps, branchingFactor, deadEnds, hazardExposure }
+     * @param {Object} rules - Level rules (turret cadence, enemy limits, no-revisit)
+     * @param {Array} turrets - Turrets on the level
+     * @returns {number} - Rating from 1 (trivial) to 10 (very hard), one decimal
+     */
+    function rateDifficulty(measures, rules, turrets) {
+        // Faster turrets make exposed tiles more dangerous
+        const turretThreat = turrets.length > 0 && rules.turretInterval > 0 ?
+            Math.min(2, 6000 / rules.turretInterval) :
+            0;
+        const rating = 1 +
+            measures.steps / 10 +                                      // Long routes
+            Math.max(0, measures.branchingFactor - 1) * 2 +            // Choices at each step
+            measures.deadEnds / 6 * (rules.noRevisit ? 1.5 : 1) +      // Dead ends trap the player without backtracking
+            measures.hazardExposure * turretThreat +
+            (rules.maxEnemies || 0) * 0.4;
+        return Math.round(Math.min(10, Math.max(1, rating)) * 10) / 10;
+    }
+
+    /**
+     * Award stars for completing a level
+     * @param {number} steps - Steps the player took
+     * @param {number} par - Par step count for the level
+     * @returns {number} - 3 at or under par, 2 within half as many steps again, otherwise 1
+     */
+    function rateCompletion(steps, par) {
+        if (steps <= par) return 3;
+        if (steps <= Math.ceil(par * 1.5)) return 2;
+        return 1;
+    }
+
+    GridRush.analyzeLevel = analyzeLevel;
+    GridRush.isSolvable = isSolvable;
+    GridRush.rateCompletion = rateCompletion;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,156 @@
+/**
+ * GridRush - Difficulty curves
+ *
+ * A difficulty curve sets how hard each procedurally generated level is. It
+ * is a table of rows, each giving every setting from a level onward:
+ * [{ fromLevel, noRevisit, simpleMazes, wallDensity, turrets, turretInterval, turretWindup,
+ *    projectileSpeed, enemyChance, maxEnemies, enemySpeed }]
+ * Numbers change gradually between two rows (whole numbers are rounded down)
+ * and hold after the last row; switches change at the row that sets them.
+ *
+ * The engine reads the run's curve for the level rules, the turret count and
+ * the maze layout (see getLevelRules in engine.js and generateGrid in levels.js).
+ */
+(function (GridRush) {
+    'use strict';
+
+    const DEFAULT_DIFFICULTY = 'normal';
+
+    // Settings in each row: kind ('switch', 'number' or 'count' for whole numbers), allowed range and how they are shown
+    const DIFFICULTY_FIELDS = {
+        noRevisit: { kind: 'switch', label: 'No revisit', description: "Tiles already visited can't be entered again" },
+        simpleMazes: { kind: 'switch', label: 'Simple mazes', description: 'The classic generator lays out a clear path with obstacles' },
+        wallDensity: { kind: 'number', min: 0, max: 1, label: 'Wall density', description: 'Share of tiles off the path that are walls in winding mazes' },
+        turrets: { kind: 'count', min: 0, max: 10, label: 'Turrets', description: 'Turrets mounted on each level' },
+        turretInterval: { kind: 'number', min: 500, max: 20000, label: 'Turret interval', description: "Milliseconds between a turret's volleys" },
+        turretWindup: { kind: 'number', min: 0, max: 5000, label: 'Turret wind-up', description: 'Milliseconds of warning before a volley' },
+        projectileSpeed: { kind: 'number', min: 0.005, max: 0.5, label: 'Shot speed', description: 'Projectile speed in tiles per step' },
+        enemyChance: { kind: 'number', min: 0, max: 1, label: 'Enemy chance', description: 'Chance per step of an enemy appearing' },
+        maxEnemies: { kind: 'count', min: 0, max: 30, label: 'Max enemies', description: 'Enemies on the board at once' },
+        enemySpeed: { kind: 'number', min: 0.001, max: 0.2, label: 'Enemy speed', description: 'Enemy speed in tiles per step' }
+    };
+
+    const DIFFICULTY_PRESETS = {
+        easy: {
+            name: 'Easy',
+            description: 'Fewer, slower hazards with more warning, and tiles can be revisited until level 6',
+            curve: [
+                { fromLevel: 1, noRevisit: false, simpleMazes: true, wallDensity: 0.4, turrets: 0, turretInterval: 5000,
+                    turretWindup: 2000, projectileSpeed: 0.025, enemyChance: 0, maxEnemies: 0, enemySpeed: 0.01 },
+                { fromLevel: 4, noRevisit: false, simpleMazes: true, wallDensity: 0.45, turrets: 1, turretInterval: 5000,
+                    turretWindup: 2000, projectileSpeed: 0.028, enemyChance: 0.004, maxEnemies: 1, enemySpeed: 0.01 },
+                { fromLevel: 6, noRevisit: true, simpleMazes: false, wallDensity: 0.5, turrets: 1, turretInterval: 4500,
+                    turretWindup: 1600, projectileSpeed: 0.03, enemyChance: 0.006, maxEnemies: 1, enemySpeed: 0.012 },
+                { fromLevel: 15, noRevisit: true, simpleMazes: false, wallDensity: 0.7, turrets: 3, turretInterval: 3500,
+                    turretWindup: 1200, projectileSpeed: 0.045, enemyChance: 0.03, maxEnemies: 4, enemySpeed: 0.013 }
+            ]
+        },
+        normal: {
+            name: 'Normal',
+            description: 'The standard challenge',
+            curve: [
+                { fromLevel: 1, noRevisit: false, simpleMazes: true, wallDensity: 0.53, turrets: 0, turretInterval: 4000,
+                    turretWindup: 1200, projectileSpeed: 0.033, enemyChance: 0.005, maxEnemies: 0, enemySpeed: 0.015 },
+                { fromLevel: 2, noRevisit: true, simpleMazes: true, wallDensity: 0.56, turrets: 1, turretInterval: 4000,
+                    turretWindup: 1200, projectileSpeed: 0.036, enemyChance: 0.01, maxEnemies: 1, enemySpeed: 0.015 },
+                { fromLevel: 3, noRevisit: true, simpleMazes: false, wallDensity: 0.59, turrets: 1, turretInterval: 3800,
+                    turretWindup: 1100, projectileSpeed: 0.039, enemyChance: 0.015, maxEnemies: 1, enemySpeed: 0.015 },
+                { fromLevel: 12, noRevisit: true, simpleMazes: false, wallDensity: 0.86, turrets: 4, turretInterval: 2200,
+                    turretWindup: 700, projectileSpeed: 0.066, enemyChance: 0.06, maxEnemies: 6, enemySpeed: 0.015 },
+                { fromLevel: 30, noRevisit: true, simpleMazes: false, wallDensity: 1, turrets: 6, turretInterval: 1500,
+                    turretWindup: 500, projectileSpeed: 0.12, enemyChance: 0.15, maxEnemies: 15, enemySpeed: 0.02 }
+            ]
+        },
+        hard: {
+            name: 'Hard',
+            description: 'Hazards from the first level, faster and with less warning',
+            curve: [
+                { fromLevel: 1, noRevisit: true, simpleMazes: false, wallDensity: 0.6, turrets: 1, turretInterval: 3500,
+                    turretWindup: 900, projectileSpeed: 0.04, enemyChance: 0.01, maxEnemies: 1, enemySpeed: 0.018 },
+                { fromLevel: 5, noRevisit: true, simpleMazes: false, wallDensity: 0.7, turrets: 2, turretInterval: 3000,
+                    turretWindup: 800, projectileSpeed: 0.05, enemyChance: 0.03, maxEnemies: 3, enemySpeed: 0.02 },
+                { fromLevel: 12, noRevisit: true, simpleMazes: false, wallDensity: 0.9, turrets: 4, turretInterval: 2000,
+                    turretWindup: 600, projectileSpeed: 0.08, enemyChance: 0.08, maxEnemies: 7, enemySpeed: 0.022 },
+                { fromLevel: 25, noRevisit: true, simpleMazes: false, wallDensity: 1, turrets: 6, turretInterval: 1400,
+                    turretWindup: 450, projectileSpeed: 0.12, enemyChance: 0.15, maxEnemies: 12, enemySpeed: 0.025 }
+            ]
+        }
+    };
+
+    /**
+     * Get the settings of a curve at a level
+     * @param {Array} curve - Difficulty curve (validated)
+     * @param {number} level - Level number
+     * @returns {Object} - Every setting of DIFFICULTY_FIELDS for the level
+     */
+    function getDifficultyAt(curve, level) {
+        let index = 0;
+        while (index + 1 < curve.length && curve[index + 1].fromLevel <= level) {
+            index++;
+        }
+        const row = curve[index];
+        const next = curve[index + 1];
+        // Share of the way from this row to the next one
+        const t = next ? Math.max(0, (level - row.fromLevel) / (next.fromLevel - row.fromLevel)) : 0;
+
+        const settings = {};
+        for (const [key, field] of Object.entries(DIFFICULTY_FIELDS)) {
+            if (field.kind === 'switch') {
+                settings[key] = row[key];
+                continue;
+            }
+            const value = next ? row[key] + (next[key] - row[key]) * t : row[key];
+            settings[key] = field.kind === 'count' ? Math.floor(value) : value;
+        }
+        return settings;
+    }
+
+    /**
+     * Validate a difficulty curve (e.g. a custom one from the settings screen)
+     * @param {Array} curve - Difficulty curve
+     * @throws {Error} - If a row is missing a setting, has one out of range or is out of order
+     */
+    function validateDifficultyCurve(curve) {
+        if (!Array.isArray(curve) || curve.length === 0) {
+            throw new Error('Difficulty curve has no rows');
+        }
+        curve.forEach((row, index) => {
+            const name = `Difficulty row ${index + 1}`;
+            if (!row || typeof row !== 'object') {
+                throw new Error(`${name} is not an object`);
+            }
+            const previous = index > 0 ? curve[index - 1].fromLevel : 0;
+            if (!Number.isInteger(row.fromLevel) || row.fromLevel <= previous || (index === 0 && row.fromLevel !== 1)) {
+                throw new Error(`${name} must start ${index === 0 ? 'at level 1' : 'after the row before it'}`);
+            }
+            for (const [key, field] of Object.entries(DIFFICULTY_FIELDS)) {
+                const value = row[key];
+                if (field.kind === 'switch' ? typeof value !== 'boolean' :
+                    !Number.isFinite(value) || value < field.min || value > field.max) {
+                    throw new Error(field.kind === 'switch' ?
+                        `${name}: ${field.label} must be on or off` :
+                        `${name}: ${field.label} must be between ${field.min} and ${field.max}`);
+                }
+                if (field.kind === 'count' && !Number.isInteger(value)) {
+                    throw new Error(`${name}: ${field.label} must be a whole number`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Copy a difficulty curve
+     * @param {Array} curve - Difficulty curve
+     * @returns {Array} - Rows copied one by one
+     */
+    function copyDifficultyCurve(curve) {
+        return curve.map(row => Object.assign({}, row));
+    }
+
+    GridRush.DEFAULT_DIFFICULTY = DEFAULT_DIFFICULTY;
+    GridRush.DIFFICULTY_FIELDS = DIFFICULTY_FIELDS;
+    GridRush.DIFFICULTY_PRESETS = DIFFICULTY_PRESETS;
+    GridRush.getDifficultyAt = getDifficultyAt;
+    GridRush.validateDifficultyCurve = validateDifficultyCurve;
+    GridRush.copyDifficultyCurve = copyDifficultyCurve;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,182 @@
+/**
+ * GridRush - Enemy archetypes
+ *
+ * Enemies walk tile by tile along shortest paths (see findGridPath); each
+ * archetype only decides which tile it is heading for:
+ *
+ * - chaser:    the player
+ * - patroller: the next waypoint of a fixed loop around its spawn point
+ * - ambusher:  a few tiles ahead of the player in the direction they last moved
+ * - sentry:    the player while they are within range, otherwise its post
+ *
+ * Enemies are blocked by walls and closed doors, like projectiles.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { findGridPath, getGridDistances } = isNode ? require('./pathfinding') : GridRush;
+    const { blocksHazards } = isNode ? require('./tiles') : GridRush;
+    const { pickWeighted } = isNode ? require('./random') : GridRush;
+
+    // Speed is relative to the level's enemySpeed rule
+    const ENEMY_TYPES = {
+        chaser: { description: 'Follows the shortest path to the player', speed: 1 },
+        patroller: { description: 'Walks a fixed loop and ignores the player', speed: 1.2 },
+        ambusher: { description: 'Cuts the player off where they are heading', speed: 1.1 },
+        sentry: { description: 'Guards its post and chases the player within range', speed: 1.5 }
+    };
+
+    const AMBUSH_LOOKAHEAD = 4;     // Tiles ahead of the player an ambusher aims for
+    const AMBUSH_CLOSE_RANGE = 2;   // Within this many tiles an ambusher goes straight for the player
+    const SENTRY_RANGE = 4;         // Tiles (walking distance) within which a sentry reacts
+    const PATROL_MIN_DISTANCE = 3;  // Walking distance range of patrol waypoints from the spawn point
+    const PATROL_MAX_DISTANCE = 8;
+    const PATROL_WAYPOINTS = 2;
+
+    const DIRECTIONS = {
+        up: { x: 0, y: -1 },
+        right: { x: 1, y: 0 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 }
+    };
+
+    /**
+     * Check whether an enemy can walk on a tile
+     * @param {number} tile - Tile code
+     * @returns {boolean} - False for walls and closed doors
+     */
+    function isEnemyPassable(tile) {
+        return !blocksHazards(tile);
+    }
+
+    /**
+     * Pick an archetype from a table of weights
+     * @param {Object} weights - Archetype name to relative weight, e.g. { chaser: 2, sentry: 1 }
+     * @param {Function} rng - Seeded random number generator
+     * @returns {string} - Archetype name ('chaser' if the table has no usable entries)
+     */
+    function pickEnemyType(weights, rng) {
+        const known = {};
+        for (const type of Object.keys(weights || {})) {
+            if (ENEMY_TYPES[type]) known[type] = weights[type];
+        }
+        return pickWeighted(known, rng) || 'chaser';
+    }
+
+    /**
+     * Create an enemy of an archetype
+     * @param {string} type - Archetype name
+     * @param {Object} position - Spawn tile
+     * @param {Array} grid - 2D array of tile codes (for planning a patrol)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Object} - Enemy fields besides its id: { type, x, y, prevX, prevY, home, next, route, routeIndex }
+     */
+    function createEnemy(type, position, grid, rng) {
+        const { x, y } = position;
+        return {
+            type,
+            x,
+            y,
+            prevX: x,
+            prevY: y,
+            home: { x, y },    // Spawn tile (a sentry's post)
+            next: null,        // Neighbouring tile the enemy is walking to
+            route: type === 'patroller' ? planPatrol(grid, position, rng) : null,
+            routeIndex: 0
+        };
+    }
+
+    /**
+     * Plan a patrol loop: a few waypoints around the spawn point, then back
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} home - Spawn tile
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Array} - Waypoints in order, ending at home
+     */
+    function planPatrol(grid, home, rng) {
+        const candidates = [];
+        for (const [key, distance] of getGridDistances(grid, home, isEnemyPassable)) {
+            if (distance >= PATROL_MIN_DISTANCE && distance <= PATROL_MAX_DISTANCE) {
+                const [x, y] = key.split(',').map(Number);
+                candidates.push({ x, y });
+            }
+        }
+
+        const route = [];
+        for (let i = 0; i < PATROL_WAYPOINTS && candidates.length > 0; i++) {
+            route.push(candidates.splice(Math.floor(rng() * candidates.length), 1)[0]);
+        }
+        route.push({ x: home.x, y: home.y });
+        return route;
+    }
+
+    /**
+     * Work out the tile an enemy is heading for
+     * A patroller that has reached its waypoint moves on to the next one.
+     * @param {Object} enemy - Enemy standing on a tile
+     * @param {Object} world - { grid, player: position, playerDirection: last move direction or null }
+     * @returns {Object} - Target tile
+     */
+    function getEnemyTarget(enemy, world) {
+        const { grid, player } = world;
+        const here = { x: Math.round(enemy.x), y: Math.round(enemy.y) };
+
+        switch (enemy.type) {
+            case 'patroller': {
+                let waypoint = enemy.route[enemy.routeIndex];
+                if (waypoint.x === here.x && waypoint.y === here.y) {
+                    enemy.routeIndex = (enemy.routeIndex + 1) % enemy.route.length;
+                    waypoint = enemy.route[enemy.routeIndex];
+                }
+                return waypoint;
+            }
+            case 'ambusher': {
+                const dir = DIRECTIONS[world.playerDirection];
+                const close = Math.abs(here.x - player.x) + Math.abs(here.y - player.y) <= AMBUSH_CLOSE_RANGE;
+                if (!dir || close) return player;
+
+                // Look ahead along the player's heading until something blocks it
+                let target = player;
+                for (let i = 1; i <= AMBUSH_LOOKAHEAD; i++) {
+                    const x = player.x + dir.x * i;
+                    const y = player.y + dir.y * i;
+                    if (grid[y] === undefined || grid[y][x] === undefined || !isEnemyPassable(grid[y][x])) break;
+                    target = { x, y };
+                }
+                return target;
+            }
+            case 'sentry': {
+                // Walking distance counts, so a player behind a wall is out of range
+                const near = Math.abs(here.x - player.x) + Math.abs(here.y - player.y) <= SENTRY_RANGE;
+                const path = near ? findGridPath(grid, here, player, isEnemyPassable) : [];
+                const inRange = path.length > 0 && path.length - 1 <= SENTRY_RANGE;
+                return inRange ? player : enemy.home;
+            }
+            default:
+                return player;
+        }
+    }
+
+    /**
+     * Choose the neighbouring tile an enemy should walk to next
+     * @param {Object} enemy - Enemy standing on a tile
+     * @param {Object} world - See getEnemyTarget()
+     * @returns {Object|null} - Next tile, or null to stay put (at the target, or no way there)
+     */
+    function getNextEnemyStep(enemy, world) {
+        const here = { x: Math.round(enemy.x), y: Math.round(enemy.y) };
+        const target = getEnemyTarget(enemy, world);
+        if (target.x === here.x && target.y === here.y) return null;
+
+        const path = findGridPath(world.grid, here, target, isEnemyPassable);
+        return path.length > 1 ? path[1] : null;
+    }
+
+    GridRush.ENEMY_TYPES = ENEMY_TYPES;
+    GridRush.isEnemyPassable = isEnemyPassable;
+    GridRush.pickEnemyType = pickEnemyType;
+    GridRush.createEnemy = createEnemy;
+    GridRush.getEnemyTarget = getEnemyTarget;
+    GridRush.getNextEnemyStep = getNextEnemyStep;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
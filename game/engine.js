@@ -0,0 +1,1573 @@
+/**
+ * GridRush - Game engine
+ *
+ * Headless simulation of the game rules. The engine owns the game state,
+ * accepts player inputs and emits events; it never touches Three.js or the DOM,
+ * so it can run in Node for tests and bots. The 3D scene and the HUD subscribe
+ * to the events below.
+ *
+ * Events:
+ * - runStart       { state, seed, restored }
+ * - levelStart     { level, name, grid, start, goal, analysis, turrets, restored }
+ * - levelComplete  { level, steps, par, stars, items, objectives, bonus, parPoints }
+ * - playerMoved    { x, y, path }   (path: every tile crossed, e.g. sliding on ice or teleporting)
+ * - tileChanged    { x, y, tile }     (a key or item was picked up, a door opened or a tile crumbled)
+ * - keyCollected   { color, keys }
+ * - itemCollected  { kind, value, x, y, items }  ('coin' or 'gem'; items: { coins, gems, totalCoins, totalGems })
+ * - objectivesChanged { objectives }  (after levelStart and whenever an objective's progress or status changes)
+ * - visibilityChanged { visible, explored }  (Sets of "x,y"; only on levels with fog of war, after levelStart and each move)
+ * - scoreChanged   { score }
+ * - livesChanged   { lives }
+ * - collision      { type, cause, x, y, tick }  (type: 'wall', 'projectile' or 'enemy'; cause: 'wall',
+ *                                     'turret:<pattern>' or 'enemy:<archetype>'; only hits that cost a life)
+ * - turretWindup   { turret, direction, lane }  (a turret is about to fire down a lane of tiles)
+ * - turretFired    { turret, direction, lane, last }  (last: the final shot of the volley)
+ * - projectileSpawned / projectileRemoved  { projectile }
+ * - enemySpawned / enemyRemoved            { enemy }
+ * - powerupSpawned / powerupRemoved        { powerup }  (on the board; removed when picked up or expired)
+ * - powerupsChanged { held, active }  (held: types, oldest first; active: [{ type, ticksLeft }])
+ * - powerupActivated { type }
+ * - pathRevealed   { path }           (route to the goal while a reveal power-up is active; empty when it ends)
+ * - timeAdded      { ticks, ticksLeft }  (a level was finished in a timed mode; ticks added to the clock)
+ * - stuck          { level, x, y }    (no move left on a level without hazards; costs a life and sends the player
+ *                                     back to the last checkpoint, or restarts the level)
+ * - checkpointReached { x, y }        (the player crossed a checkpoint tile they weren't respawning at yet)
+ * - respawned      { x, y, at }       (after a projectile or enemy hit; at: 'checkpoint', 'start' or 'spot' when the
+ *                                     player stays where they were hit; hazards close by have been removed)
+ * - gameOver       { score, level, reason, continuesLeft }  (reason: 'lives' or 'time')
+ * - runContinued   { continuesLeft }  (the run goes on after a game over, see continueRun)
+ * - runComplete    { score, level }   (a play-test run finished its last hand-crafted level)
+ * - paused         { reason }         ('key', 'hidden', 'blur', 'hand', ...)
+ * - resumed        { countdownTicks } (hazards stay frozen until the countdown ends)
+ * - countdownFinished
+ * - input          { tick, direction, source }  (every move accepted for processing; used for replays)
+ *                  { tick, action: 'powerup', source }  (a held power-up was used)
+ *                  { tick, action: 'continue', source }  (the run was continued after a game over)
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { generateGrid, getGenerator } = isNode ? require('./levels') : GridRush;
+    const { deriveRng, randomSeed } = isNode ? require('./random') : GridRush;
+    const { createSnapshot, validateSnapshot } = isNode ? require('./save') : GridRush;
+    const { analyzeLevel, rateCompletion } = isNode ? require('./analysis') : GridRush;
+    const { TILES, TILE_INFO, MOVE_DIRECTIONS, resolveMove, getTileKind, isWalkable, blocksHazards } = isNode ? require('./tiles') : GridRush;
+    const { findPath } = isNode ? require('./pathfinding') : GridRush;
+    const { createObjectives, updateObjectives } = isNode ? require('./objectives') : GridRush;
+    const { computeVisibleTiles } = isNode ? require('./visibility') : GridRush;
+    const { ENEMY_TYPES, pickEnemyType, createEnemy, getNextEnemyStep } = isNode ? require('./enemies') : GridRush;
+    const { TURRET_PATTERNS, createTurret, getTurretLane, getTurretTiming, updateTurret } = isNode ? require('./turrets') : GridRush;
+    const { toCell, getCellsCrossed, sweepBox } = isNode ? require('./collision') : GridRush;
+    const { POWERUP_TYPES, getPowerupChance, pickPowerupType, findPowerupSpot } = isNode ? require('./powerups') : GridRush;
+    const { DEFAULT_MODE, getModeRules, getParPoints } = isNode ? require('./modes') : GridRush;
+    const { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, getDifficultyAt, validateDifficultyCurve, copyDifficultyCurve } = isNode ? require('./difficulty') : GridRush;
+
+    // Enemies touch the player when they are closer than this on both axes (tiles)
+    const ENEMY_REACH = 0.5;
+
+    // Default rules configuration
+    const DEFAULT_CONFIG = {
+        gridWidth: 10,            // Size of generated levels when levelSizes has no entry for them
+        gridHeight: 10,
+        levelSizes: [             // Size of generated levels from a level onward (at least 5x5)
+            { fromLevel: 1, width: 7, height: 7 },
+            { fromLevel: 3, width: 10, height: 10 },
+            { fromLevel: 8, width: 14, height: 10 },
+            { fromLevel: 12, width: 20, height: 14 }
+        ],
+        difficultyBands: [],      // Difficulty range for generated levels from a level onward:
+                                  // [{ fromLevel, min, max }] with ratings from 1 to 10 (empty = any)
+        generators: [],           // Maze generator for generated levels from a level onward:
+                                  // [{ fromLevel, name, params }] (empty = 'classic'; see listGenerators)
+        specialTiles: [           // Special tiles on generated levels from a level onward: share of floor
+                                  // tiles for ice, crumble and arrows, count for teleporter pairs, doors and checkpoints
+            { fromLevel: 4, ice: 0.04 },
+            { fromLevel: 5, ice: 0.04, crumble: 0.03 },
+            { fromLevel: 6, ice: 0.04, crumble: 0.03, arrows: 0.02, teleporters: 1, checkpoints: 1 },
+            { fromLevel: 8, ice: 0.05, crumble: 0.04, arrows: 0.03, teleporters: 1, doors: 1, checkpoints: 1 },
+            { fromLevel: 12, ice: 0.06, crumble: 0.05, arrows: 0.04, teleporters: 2, doors: 2, checkpoints: 2 }
+        ],
+        collectibles: [           // Items on generated levels from a level onward: share of floor tiles
+                                  // with coins, number of gems (placed off the shortest route)
+            { fromLevel: 1, coins: 0.06, gems: 1 },
+            { fromLevel: 3, coins: 0.06, gems: 2 },
+            { fromLevel: 6, coins: 0.05, gems: 3 }
+        ],
+        coinValue: 20,            // Points per coin
+        gemValue: 50,             // Points per gem
+        objectiveBonuses: {       // Bonus points per completed objective (0 turns an objective off)
+            gems: 200,            // Collect every gem
+            steps: 150,           // Finish within the step limit
+            noHits: 100           // Finish without losing a life
+        },
+        stepObjectiveSlack: 0.25, // Step limit of the steps objective: par plus this share of par
+        enemyTypes: [             // Relative chance of each enemy archetype from a level onward (see enemies.js)
+            { fromLevel: 1, types: { chaser: 1 } },
+            { fromLevel: 3, types: { chaser: 2, patroller: 1 } },
+            { fromLevel: 5, types: { chaser: 2, patroller: 1, sentry: 1 } },
+            { fromLevel: 7, types: { chaser: 2, patroller: 1, sentry: 1, ambusher: 1 } }
+        ],
+        difficultyCurve: DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].curve,  // No-revisit, maze style, wall density,
+                                  // turret count and timing, projectile and enemy spawns and speeds by level (see difficulty.js)
+        turrets: [                // Relative chance of each turret pattern from a level onward (see turrets.js);
+                                  // how many turrets there are comes from the difficulty curve
+            { fromLevel: 1, patterns: { single: 1 } },
+            { fromLevel: 4, patterns: { single: 2, burst: 1 } },
+            { fromLevel: 6, patterns: { single: 2, burst: 1, alternating: 1 } },
+            { fromLevel: 9, patterns: { single: 1, burst: 1, alternating: 1, rotating: 1 } }
+        ],
+        powerupChance: 0.002,     // Chance per step of a power-up appearing on a level of difficulty 5
+                                  // (scaled with the level's difficulty rating)
+        powerupTypes: { shield: 3, freeze: 2, phase: 2, reveal: 2, extraLife: 1 },  // Relative chance of each power-up
+        maxPowerups: 2,           // Power-ups on the board at once
+        powerupLifetime: 12000,   // Milliseconds before a power-up nobody picked up disappears
+        maxHeldPowerups: 3,       // Power-ups the player can carry
+        powerupDurations: {       // Milliseconds the timed power-ups last
+            freeze: 4000,
+            reveal: 8000
+        },
+        fog: [],                  // Fog of war on generated levels from a level onward:
+                                  // [{ fromLevel, radius, lineOfSight }] (empty or radius 0 = everything visible)
+        initialLives: 3,          // Starting number of lives
+        initialScore: 1000,       // Starting score
+        stepPenalty: 10,          // Points deducted per step
+        deathPenalty: 100,        // Points deducted for losing a life
+        respawn: 'checkpoint',    // Where the player goes after a projectile or enemy hit: 'checkpoint' (the last
+                                  // checkpoint crossed, or the level start), 'start' (the level start) or 'stay'
+        respawnClearRadius: 2,    // Projectiles and enemies this close (in tiles) to a respawning player are removed
+        maxContinues: 2,          // Times a run can be continued after game over (see continueRun)
+        continuePenalty: 500,     // Points deducted for each continue
+        timeLimit: 60000,         // Milliseconds on the clock at the start of a timed run (see modes.js)
+        timeBonus: 15000,         // Milliseconds added to the clock for each level finished in a timed run
+        parScore: 300,            // Points for finishing a level at or under par in a par-scored run
+        overParPenalty: 25,       // Points deducted from parScore per step over par
+        tickRate: 60,             // Simulation steps per second (speeds and spawn chances are per step)
+        maxFrameTime: 1000,       // Longest real-time gap (ms) simulated in one advance() call
+        resumeCountdown: 3000,    // Milliseconds after resuming before hazards move again
+        invulnerabilityTime: 1500 // Milliseconds after losing a life in which nothing else can hit the player
+    };
+
+    // Allowed values of config.respawn
+    const RESPAWN_MODES = ['checkpoint', 'start', 'stay'];
+
+    // Largest generated level a config may ask for, in tiles (the editor's limit)
+    const MAX_LEVEL_SIZE = 40;
+
+    // Config numbers that must be whole, and those that must be more than 0
+    const WHOLE_NUMBER_SETTINGS = ['gridWidth', 'gridHeight', 'maxPowerups', 'maxHeldPowerups', 'initialLives', 'maxContinues'];
+    const POSITIVE_SETTINGS = ['tickRate', 'maxFrameTime'];
+
+    const isAmount = value => typeof value === 'number' && isFinite(value) && value >= 0;
+    const isLevelSize = value => Number.isInteger(value) && value >= 5 && value <= MAX_LEVEL_SIZE;
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const isWeights = (weights, allowed) => isObject(weights) &&
+        Object.keys(weights).every(key => key in allowed && isAmount(weights[key]));
+    const hasOnly = (entry, keys) => Object.keys(entry).every(key => key === 'fromLevel' || keys.includes(key));
+
+    // Checks of the entries of each per-level schedule (fromLevel is checked for all of them)
+    const SCHEDULE_CHECKS = {
+        levelSizes: entry => hasOnly(entry, ['width', 'height']) && isLevelSize(entry.width) && isLevelSize(entry.height),
+        difficultyBands: entry => hasOnly(entry, ['min', 'max']) && isAmount(entry.min) && isAmount(entry.max),
+        generators: entry => hasOnly(entry, ['name', 'params']) && typeof entry.name === 'string' &&
+            getGenerator(entry.name) !== null && (entry.params === undefined || isObject(entry.params)),
+        specialTiles: entry => hasOnly(entry, ['ice', 'crumble', 'arrows', 'teleporters', 'doors', 'checkpoints']) &&
+            Object.keys(entry).every(key => isAmount(entry[key])),
+        collectibles: entry => hasOnly(entry, ['coins', 'gems']) && Object.keys(entry).every(key => isAmount(entry[key])),
+        enemyTypes: entry => hasOnly(entry, ['types']) && isWeights(entry.types, ENEMY_TYPES),
+        turrets: entry => hasOnly(entry, ['patterns']) && isWeights(entry.patterns, TURRET_PATTERNS),
+        fog: entry => hasOnly(entry, ['radius', 'lineOfSight']) && isAmount(entry.radius) &&
+            (entry.lineOfSight === undefined || typeof entry.lineOfSight === 'boolean')
+    };
+
+    /**
+     * Validate engine config overrides (e.g. the config stored in a replay log)
+     * Only settings of DEFAULT_CONFIG are allowed, each shaped like its default.
+     * @param {Object} config - Config overrides
+     * @throws {Error} - If a setting is unknown or has a malformed value
+     */
+    function validateConfig(config) {
+        if (!isObject(config)) {
+            throw new Error('Engine config is not an object');
+        }
+        for (const [key, value] of Object.entries(config)) {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+                throw new Error(`Engine config has an unknown setting "${key}"`);
+            }
+            if (key === 'difficultyCurve') {
+                validateDifficultyCurve(value);
+                continue;
+            }
+
+            const fallback = DEFAULT_CONFIG[key];
+            let valid;
+            if (key === 'respawn') {
+                valid = RESPAWN_MODES.includes(value);
+            } else if (key in SCHEDULE_CHECKS) {
+                valid = Array.isArray(value) && value.every((entry, index) => isObject(entry) &&
+                    Number.isInteger(entry.fromLevel) && entry.fromLevel >= 1 &&
+                    (index === 0 || entry.fromLevel > value[index - 1].fromLevel) && SCHEDULE_CHECKS[key](entry));
+            } else if (isObject(fallback)) {
+                valid = isWeights(value, fallback);
+            } else if (key === 'gridWidth' || key === 'gridHeight') {
+                valid = isLevelSize(value);
+            } else {
+                valid = isAmount(value) && (!WHOLE_NUMBER_SETTINGS.includes(key) || Number.isInteger(value)) &&
+                    (!POSITIVE_SETTINGS.includes(key) || value > 0);
+            }
+            if (!valid) {
+                throw new Error(`Engine config setting "${key}" is malformed`);
+            }
+        }
+    }
+
+    /**
+     * Create a new game engine
+     * @param {Object} options - Overrides for DEFAULT_CONFIG
+     * @returns {Object} - Engine with state, event subscription and input methods
+     */
+    function createEngine(options) {
+        const config = Object.assign({}, DEFAULT_CONFIG, options);
+        const listeners = {};
+        let nextEntityId = 1;
+        let hazardRng = null;  // Seeded stream for hazard spawns, reset at each level start
+        let powerupRng = null; // Seeded stream for power-up spawns, reset at each level start
+        let turretTiming = null;  // Turret cadence of the current level in steps (see getTurretTiming)
+        let modeRules = getModeRules(DEFAULT_MODE);  // Rules of the run's game mode (see modes.js)
+        let respawnDue = false; // A hit this step sends the player to their respawn point once hazards have moved
+        let accumulator = 0;   // Real time (ms) not yet consumed by fixed steps
+
+        // Game state variables
+        const state = {
+            score: config.initialScore,
+            lives: config.initialLives,
+            level: 1,
+            seed: null,               // Run seed; reproduces mazes and hazard timeline
+            mode: DEFAULT_MODE,       // Game mode of the run (see modes.js)
+            difficultyCurve: [],      // Difficulty curve of the run, copied from the config when it starts
+            timeLeftTicks: null,      // Steps left on the clock in a timed mode (null = no clock)
+            tickCount: 0,             // Fixed simulation steps since the run started
+            continuesUsed: 0,         // Times the run was continued after game over (see continueRun)
+            steps: 0,                 // Moves made on the current level
+            isGameOver: false,
+            isPlaying: false,
+            isReplay: false,          // True while a recorded run is being re-simulated
+            isPlaytest: false,        // True while play-testing levels from the editor
+            isPaused: false,
+            pauseReason: null,        // Why the game was paused ('key', 'hidden', 'blur', 'hand', ...)
+            countdownTicks: 0,        // Steps left before hazards move again after resuming
+            invulnerableTicks: 0,     // Steps left in which the player can't be hit again (see invulnerabilityTime)
+            grid: [],                 // 2D array of tile codes (see tiles.js); changes as keys, doors and crumbling tiles are used
+            levelGrid: [],            // The level's layout before the player changed it
+            keys: [],                 // Key colors picked up on the current level
+            items: null,              // Items on the current level: { coins, gems, totalCoins, totalGems }
+            hits: 0,                  // Lives lost on the current level
+            objectives: [],           // Optional objectives of the current level (see objectives.js)
+            rules: {},                // Active level rules (see getLevelRules)
+            enemySpawns: [],          // Fixed enemy spawn tiles (empty = random)
+            customLevels: [],         // Hand-crafted levels played before the procedural ones
+            levelName: null,          // Name of the current hand-crafted level
+            analysis: null,           // Analysis of the current level (par, difficulty, see analyzeLevel)
+            visitedTiles: new Set(),  // Set of visited tile coordinates (as strings)
+            checkpoint: null,         // Last checkpoint crossed on this level: { x, y, visitedTiles } with the
+                                      // tiles visited when it was reached (null = none yet)
+            visibleTiles: new Set(),  // Tiles the player can see right now (fog of war levels only)
+            exploredTiles: new Set(), // Tiles the player has seen on this level (fog of war levels only)
+            startPosition: { x: 0, y: 0 },
+            playerPosition: { x: 0, y: 0 },
+            playerDirection: null,    // Direction of the player's last move on this level (ambushers aim ahead of it)
+            goalPosition: { x: 0, y: 0 },
+            turrets: [],              // Turrets on the current level with their firing state (see turrets.js)
+            powerups: [],             // Power-ups on the board: [{ id, type, x, y, ticksLeft }]
+            heldPowerups: [],         // Power-up types picked up and not used yet, oldest first
+            activePowerups: [],       // Power-ups in use: [{ type, ticksLeft }] (see powerups.js)
+            revealedPath: [],         // Route to the goal shown by an active reveal power-up
+            projectiles: [],          // Array of active projectiles
+            enemies: []               // Array of active enemies
+        };
+
+        /**
+         * Get the default rules for a procedurally generated level
+         * @param {number} level - Level number
+         * @returns {Object} - Rules used by movement checks and hazard spawners
+         */
+        function getLevelRules(level) {
+            const fog = getScheduleEntry(config.fog, level);
+            const enemyTypes = getScheduleEntry(config.enemyTypes, level);
+            const difficulty = getDifficultyAt(state.difficultyCurve, level);
+            return {
+                noRevisit: difficulty.noRevisit,      // Tiles already visited can't be entered again
+                turretInterval: difficulty.turretInterval,  // Milliseconds between a turret's volleys
+                turretWindup: difficulty.turretWindup,      // Milliseconds of telegraph before a volley
+                projectileSpeed: difficulty.projectileSpeed,
+                enemyChance: difficulty.enemyChance,  // Chance per step to spawn an enemy
+                maxEnemies: difficulty.maxEnemies,
+                enemySpeed: difficulty.enemySpeed,
+                enemyTypes: Object.assign({}, enemyTypes ? enemyTypes.types : { chaser: 1 }),
+                fogRadius: fog ? fog.radius : 0,      // Sight radius in tiles (0 = no fog of war)
+                lineOfSight: fog ? !!fog.lineOfSight : false  // Walls and closed doors block the view
+            };
+        }
+
+        /**
+         * Get the size of a procedurally generated level
+         * @param {number} level - Level number
+         * @returns {Object} - { width, height } in tiles
+         */
+        function getLevelSize(level) {
+            const entry = getScheduleEntry(config.levelSizes, level) ||
+                { width: config.gridWidth, height: config.gridHeight };
+            return { width: Math.max(5, entry.width), height: Math.max(5, entry.height) };
+        }
+
+        /**
+         * Get the entry of a per-level schedule that applies to a level
+         * @param {Array} schedule - Entries with a fromLevel, in increasing order
+         * @param {number} level - Level number
+         * @returns {Object|null} - Last entry starting at or before the level
+         */
+        function getScheduleEntry(schedule, level) {
+            let current = null;
+            for (const entry of schedule || []) {
+                if (level >= entry.fromLevel) {
+                    current = entry;
+                }
+            }
+            return current;
+        }
+
+        /**
+         * Check whether a tile is inside the current level
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @returns {boolean} - True if (x, y) is on the grid
+         */
+        function isInside(x, y) {
+            return y >= 0 && y < state.grid.length && x >= 0 && x < state.grid[0].length;
+        }
+
+        /**
+         * Subscribe to an engine event
+         * @param {string} type - Event name
+         * @param {Function} handler - Called with the event payload
+         */
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+        }
+
+        /**
+         * Unsubscribe from an engine event
+         * @param {string} type - Event name
+         * @param {Function} handler - Handler previously passed to on()
+         */
+        function off(type, handler) {
+            if (!listeners[type]) return;
+            listeners[type] = listeners[type].filter(h => h !== handler);
+        }
+
+        /**
+         * Notify subscribers of an event
+         * @param {string} type - Event name
+         * @param {Object} payload - Event data
+         */
+        function emit(type, payload) {
+            if (!listeners[type]) return;
+            for (const handler of listeners[type].slice()) {
+                handler(payload || {});
+            }
+        }
+
+        /**
+         * Start a new run from level 1
+         * @param {string} [seed] - Run seed (a random one is picked if omitted)
+         * @param {Object} [options] - { levels: [...] } hand-crafted levels from parseLevelFile()
+         *                             to play first, { mode } game mode (see modes.js; 'endless' by default),
+         *                             { replay: true } when re-simulating a recorded run,
+         *                             { playtest: true } to end the run after the hand-crafted levels
+         * @throws {Error} - If the game mode is unknown
+         */
+        function startRun(seed, options) {
+            const mode = options && options.mode ? options.mode : DEFAULT_MODE;
+            modeRules = getModeRules(mode);
+            state.mode = mode;
+            state.timeLeftTicks = modeRules.timed ? Math.round(config.timeLimit * config.tickRate / 1000) : null;
+            state.difficultyCurve = copyDifficultyCurve(config.difficultyCurve);
+            state.isReplay = !!(options && options.replay);
+            state.isPlaytest = !!(options && options.playtest);
+            state.customLevels = options && options.levels ? options.levels.slice() : [];
+            state.seed = seed !== undefined && seed !== null && seed !== '' ? String(seed) : randomSeed();
+            state.isPlaying = true;
+            state.isGameOver = false;
+            // Par-scored runs don't pay for steps, so there is nothing to start from
+            state.score = modeRules.parScoring ? 0 : config.initialScore;
+            state.lives = config.initialLives;
+            state.level = 1;
+            state.tickCount = 0;
+            state.continuesUsed = 0;
+            state.heldPowerups = [];
+            state.activePowerups = [];
+            state.isPaused = false;
+            state.pauseReason = null;
+            state.countdownTicks = 0;
+            accumulator = 0;
+
+            emit('runStart', { state, seed: state.seed });
+            emit('scoreChanged', { score: state.score });
+            emit('livesChanged', { lives: state.lives });
+            emitPowerups();
+
+            startLevel();
+        }
+
+        /**
+         * Generate the current level and place the player at the start
+         */
+        function startLevel() {
+            // Reset level state
+            state.visitedTiles = new Set();
+            state.visibleTiles = new Set();
+            state.exploredTiles = new Set();
+            state.keys = [];
+            state.hits = 0;
+            state.checkpoint = null;
+            state.invulnerableTicks = 0;
+            respawnDue = false;
+            clearHazards();
+
+            // Each level gets its own streams so layouts don't depend on earlier hazard rolls
+            hazardRng = deriveRng(state.seed, 'hazards', state.level);
+            powerupRng = deriveRng(state.seed, 'powerups', state.level);
+
+            const custom = state.customLevels[state.level - 1];
+            let grid, start, goal, turrets;
+            if (custom) {
+                // Hand-crafted level; rules it doesn't set fall back to the procedural defaults
+                grid = custom.grid.map(row => row.slice());
+                start = custom.start;
+                goal = custom.goal;
+                state.rules = Object.assign(getLevelRules(state.level), custom.rules);
+                state.enemySpawns = custom.enemySpawns.slice();
+                state.levelName = custom.name;
+                turrets = modeRules.hazards && custom.turrets || [];
+            } else {
+                // Generate new grid using maze generation with guaranteed path
+                const levelRng = deriveRng(state.seed, 'level', state.level);
+                const { width, height } = getLevelSize(state.level);
+                const band = getScheduleEntry(config.difficultyBands, state.level);
+                const settings = getDifficultyAt(state.difficultyCurve, state.level);
+                const patterns = getScheduleEntry(config.turrets, state.level);
+                state.rules = getLevelRules(state.level);
+                ({ grid, start, goal, turrets } = generateGrid(state.level, width, height, levelRng, {
+                    generator: getScheduleEntry(config.generators, state.level),
+                    settings,
+                    tiles: getScheduleEntry(config.specialTiles, state.level),
+                    items: getScheduleEntry(config.collectibles, state.level),
+                    turrets: modeRules.hazards ?
+                        { count: settings.turrets, patterns: patterns ? patterns.patterns : { single: 1 } } : null,
+                    difficulty: band,
+                    rules: state.rules
+                }));
+                state.enemySpawns = [];
+                state.levelName = null;
+            }
+            if (!modeRules.hazards) {
+                state.rules.enemyChance = 0;
+                state.rules.maxEnemies = 0;
+            }
+            state.grid = grid;
+            state.levelGrid = grid.map(row => row.slice());
+            state.goalPosition = { x: goal.x, y: goal.y };
+            state.analysis = analyzeLevel({ grid, start, goal, rules: state.rules, turrets });
+            state.steps = 0;
+            setupTurrets(turrets);
+            state.items = countItems(grid);
+            state.objectives = createObjectives(state.analysis, config.objectiveBonuses,
+                custom ? custom.objectives : null, config.stepObjectiveSlack);
+
+            // Place player at start position
+            state.startPosition = { x: start.x, y: start.y };
+            state.playerPosition = { x: start.x, y: start.y };
+            state.playerDirection = null;
+            state.visitedTiles.add(`${start.x},${start.y}`); // Mark starting position as visited
+
+            emit('levelStart', {
+                level: state.level,
+                name: state.levelName,
+                grid,
+                start,
+                goal,
+                analysis: state.analysis,
+                turrets: state.turrets
+            });
+            emit('objectivesChanged', { objectives: state.objectives });
+            updateVisibility([state.playerPosition]);
+            revealPath();
+        }
+
+        /**
+         * Mount the level's turrets with their firing state reset
+         * @param {Array} turrets - Turret descriptions ({ x, y, pattern, directions, offset })
+         */
+        function setupTurrets(turrets) {
+            turretTiming = getTurretTiming(state.rules, config.tickRate);
+            state.turrets = turrets.map(turret =>
+                Object.assign({ id: nextEntityId++ }, createTurret(turret, turretTiming)));
+        }
+
+        /**
+         * Count the coins and gems on a level
+         * @param {Array} grid - 2D array of tile codes
+         * @returns {Object} - { coins, gems, totalCoins, totalGems } with nothing collected yet
+         */
+        function countItems(grid) {
+            const items = { coins: 0, gems: 0, totalCoins: 0, totalGems: 0 };
+            for (const row of grid) {
+                for (const tile of row) {
+                    if (tile === TILES.COIN) items.totalCoins++;
+                    if (tile === TILES.GEM) items.totalGems++;
+                }
+            }
+            return items;
+        }
+
+        /**
+         * Stop the current run without a game over (e.g. when leaving a replay)
+         */
+        function stopRun() {
+            clearHazards();
+            state.isPlaying = false;
+            state.isPaused = false;
+            state.countdownTicks = 0;
+        }
+
+        /**
+         * Create a versioned snapshot of the run for saving
+         * @returns {Object} - JSON-serializable snapshot
+         */
+        function snapshot() {
+            return createSnapshot(state);
+        }
+
+        /**
+         * Restore a run from a saved snapshot
+         * The restored run starts with the resume countdown so hazards don't move immediately.
+         * @param {Object} data - Snapshot from snapshot()
+         * @param {Object} [options] - { replay: true } when re-simulating a recorded run
+         * @throws {Error} - If the snapshot is corrupt or from another version
+         */
+        function restoreRun(data, options) {
+            validateSnapshot(data);
+            state.isReplay = !!(options && options.replay);
+            state.isPlaytest = false;
+
+            clearHazards();
+            modeRules = getModeRules(data.mode);
+            state.mode = data.mode;
+            state.timeLeftTicks = data.timeLeftTicks;
+            state.difficultyCurve = copyDifficultyCurve(data.difficultyCurve);
+            state.seed = data.seed;
+            state.level = data.level;
+            state.score = data.score;
+            state.lives = data.lives;
+            state.tickCount = data.tickCount;
+            state.continuesUsed = data.continuesUsed;
+            state.steps = data.steps;
+            state.grid = data.grid.map(row => row.slice());
+            state.levelGrid = data.levelGrid.map(row => row.slice());
+            state.keys = data.keys.slice();
+            state.items = Object.assign({}, data.items);
+            state.hits = data.hits;
+            state.objectives = data.objectives.map(objective => Object.assign({}, objective));
+            state.visitedTiles = new Set(data.visitedTiles);
+            state.checkpoint = data.checkpoint && {
+                x: data.checkpoint.x,
+                y: data.checkpoint.y,
+                visitedTiles: data.checkpoint.visitedTiles.slice()
+            };
+            state.visibleTiles = new Set();
+            state.exploredTiles = new Set(data.exploredTiles);
+            state.invulnerableTicks = 0;
+            respawnDue = false;
+            state.startPosition = { x: data.startPosition.x, y: data.startPosition.y };
+            state.playerPosition = { x: data.playerPosition.x, y: data.playerPosition.y };
+            state.playerDirection = null;
+            state.goalPosition = { x: data.goalPosition.x, y: data.goalPosition.y };
+            state.rules = Object.assign({}, data.rules);
+            state.enemySpawns = data.enemySpawns.map(pos => ({ x: pos.x, y: pos.y }));
+            state.customLevels = data.customLevels.slice();
+            state.levelName = data.levelName;
+            state.analysis = analyzeLevel({
+                grid: state.levelGrid,
+                start: state.startPosition,
+                goal: state.goalPosition,
+                rules: state.rules,
+                turrets: data.turrets
+            });
+            setupTurrets(data.turrets);
+            state.isPlaying = true;
+            state.isGameOver = false;
+            state.isPaused = false;
+            state.pauseReason = null;
+            state.countdownTicks = Math.round(config.resumeCountdown * config.tickRate / 1000);
+            accumulator = 0;
+            hazardRng = deriveRng(state.seed, 'hazards', state.level);
+            powerupRng = deriveRng(state.seed, 'powerups', state.level);
+            state.heldPowerups = data.heldPowerups.slice();
+            state.activePowerups = data.activePowerups.map(powerup => Object.assign({}, powerup));
+
+            emit('runStart', { state, seed: state.seed, restored: true });
+            emit('scoreChanged', { score: state.score });
+            emit('livesChanged', { lives: state.lives });
+            emit('levelStart', {
+                level: state.level,
+                name: state.levelName,
+                grid: state.grid,
+                start: state.startPosition,
+                goal: state.goalPosition,
+                analysis: state.analysis,
+                turrets: state.turrets,
+                restored: true
+            });
+            emit('objectivesChanged', { objectives: state.objectives });
+            emitPowerups();
+            updateVisibility([state.playerPosition]);
+            revealPath();
+        }
+
+        /**
+         * Remove all projectiles, enemies and power-ups on the board
+         */
+        function clearHazards() {
+            for (const projectile of state.projectiles) {
+                emit('projectileRemoved', { projectile });
+            }
+            for (const enemy of state.enemies) {
+                emit('enemyRemoved', { enemy });
+            }
+            for (const powerup of state.powerups) {
+                emit('powerupRemoved', { powerup });
+            }
+            state.projectiles = [];
+            state.enemies = [];
+            state.powerups = [];
+        }
+
+        /**
+         * Handle player movement in a direction
+         * @param {string} direction - Movement direction ('up', 'down', 'left', 'right')
+         * @param {string} [source] - Input method ('keyboard', 'gesture' or 'gamepad')
+         * @returns {boolean} - True if the player moved
+         */
+        function move(direction, source) {
+            if (state.isGameOver || !state.isPlaying || isFrozen()) return false;
+
+            const { x, y } = state.playerPosition;
+            if (!['up', 'down', 'left', 'right'].includes(direction)) return false;
+
+            emit('input', { tick: state.tickCount, direction, source: source || 'keyboard' });
+
+            // Work out where the move ends (ice, arrows and teleporters can carry the player further)
+            const moveOptions = {
+                keys: state.keys,
+                goal: state.goalPosition,
+                // Tiles already visited can't be entered again (from level 2 onward by default)
+                isBlocked: (tx, ty) => state.rules.noRevisit && state.visitedTiles.has(`${tx},${ty}`)
+            };
+            let result = resolveMove(state.grid, state.playerPosition, direction, moveOptions);
+            if (result.path.length === 0 && result.blockedBy === 'wall' && hasActivePowerup('phase')) {
+                // Phase carries the player through the wall onto whatever lies beyond it
+                const step = MOVE_DIRECTIONS[direction];
+                const wall = { x: x + step.x, y: y + step.y };
+                const beyond = resolveMove(state.grid, wall, direction, moveOptions);
+                if (beyond.path.length > 0) {
+                    result = Object.assign(beyond, { path: [wall].concat(beyond.path) });
+                    endPowerup('phase');
+                }
+            }
+            if (result.path.length === 0) {
+                if (result.blockedBy === 'wall') {
+                    handleCollision('wall', 'wall');
+                }
+                return false;
+            }
+
+            // Update score for each step (par-scored runs settle up when the level is finished)
+            if (!modeRules.parScoring) {
+                addScore(-config.stepPenalty);
+            }
+
+            // A crumbling tile breaks once the player steps off it
+            if (getTileKind(state.grid[y][x]) === 'crumble') {
+                setTile(x, y, TILES.HOLE);
+            }
+
+            // Pick up keys and items, open doors and note checkpoints along the way
+            const items = [];
+            let checkpoint = null;
+            for (const { x: tx, y: ty } of result.path) {
+                const kind = getTileKind(state.grid[ty][tx]);
+                if (kind === 'key' || kind === 'door') {
+                    setTile(tx, ty, TILES.FLOOR);
+                } else if (kind === 'coin' || kind === 'gem') {
+                    setTile(tx, ty, TILES.FLOOR);
+                    items.push({ kind, x: tx, y: ty });
+                }
+                state.visitedTiles.add(`${tx},${ty}`);
+                if (kind === 'checkpoint') {
+                    checkpoint = { x: tx, y: ty, visitedTiles: Array.from(state.visitedTiles) };
+                }
+            }
+            for (const color of result.keys) {
+                state.keys.push(color);
+                emit('keyCollected', { color, keys: state.keys.slice() });
+            }
+            for (const item of items) {
+                collectItem(item);
+            }
+            pickUpPowerups(result.path);
+
+            // Update player position
+            const end = result.path[result.path.length - 1];
+            state.playerPosition = { x: end.x, y: end.y };
+            state.playerDirection = direction;
+            state.steps++;
+            emit('playerMoved', { x: end.x, y: end.y, path: result.path });
+            if (checkpoint) {
+                const isNew = !state.checkpoint || state.checkpoint.x !== checkpoint.x || state.checkpoint.y !== checkpoint.y;
+                state.checkpoint = checkpoint;
+                if (isNew) emit('checkpointReached', { x: checkpoint.x, y: checkpoint.y });
+            }
+            refreshObjectives(false);
+            updateVisibility(result.path);
+            revealPath();
+
+            // Walking or sliding into a hazard counts as much as the hazard running into the player
+            checkPlayerPath([{ x, y }].concat(result.path));
+            if (state.isGameOver) return true;
+            if (respawnDue && respawn()) return true;
+
+            // Check if player reached the goal
+            if (end.x === state.goalPosition.x && end.y === state.goalPosition.y) {
+                handleLevelComplete();
+            } else if (!modeRules.hazards && !canMove()) {
+                handleStuck();
+            }
+            return true;
+        }
+
+        /**
+         * Check whether the player has any move left on the current level
+         * @returns {boolean} - True if at least one direction leads somewhere
+         */
+        function canMove() {
+            const moveOptions = {
+                keys: state.keys,
+                goal: state.goalPosition,
+                isBlocked: (tx, ty) => state.rules.noRevisit && state.visitedTiles.has(`${tx},${ty}`)
+            };
+            return Object.keys(MOVE_DIRECTIONS).some(direction =>
+                resolveMove(state.grid, state.playerPosition, direction, moveOptions).path.length > 0);
+        }
+
+        /**
+         * Handle a player boxed in on a level without hazards
+         * Nothing would ever end the level, so it costs a life and the player goes back to the
+         * last checkpoint (when config.respawn uses checkpoints and that gets them moving again)
+         * or the level starts over.
+         */
+        function handleStuck() {
+            state.lives--;
+            emit('livesChanged', { lives: state.lives });
+            addScore(-config.deathPenalty);
+
+            const { x, y } = state.playerPosition;
+            emit('stuck', { level: state.level, x, y });
+
+            if (state.lives <= 0) {
+                gameOver('lives');
+                return;
+            }
+            if (config.respawn === 'checkpoint' && state.checkpoint) {
+                rewindTo(state.checkpoint);
+                if (canMove()) {
+                    emit('respawned', { x: state.checkpoint.x, y: state.checkpoint.y, at: 'checkpoint' });
+                    updateVisibility([state.playerPosition]);
+                    revealPath();
+                    return;
+                }
+            }
+            startLevel();
+        }
+
+        /**
+         * Put the player back after a projectile or enemy hit
+         * Depending on config.respawn the player goes to the last checkpoint (or the level
+         * start), always to the level start, or stays put. Either way the projectiles and
+         * enemies close to where they end up are removed.
+         * @returns {boolean} - True if the player was moved
+         */
+        function respawn() {
+            respawnDue = false;
+            let at = 'spot';
+            if (config.respawn === 'checkpoint' && state.checkpoint) {
+                at = 'checkpoint';
+                rewindTo(state.checkpoint);
+            } else if (config.respawn !== 'stay') {
+                at = 'start';
+                const { x, y } = state.startPosition;
+                rewindTo({ x, y, visitedTiles: [`${x},${y}`] });
+            }
+            const { x, y } = state.playerPosition;
+            clearHazardsNear(x, y, config.respawnClearRadius);
+            emit('respawned', { x, y, at });
+            if (at === 'spot') return false;
+
+            updateVisibility([state.playerPosition]);
+            revealPath();
+            return true;
+        }
+
+        /**
+         * Move the player to a checkpoint and undo their progress on the level since it was reached
+         * Tiles walked on since then can be entered again and crumbled tiles are whole again;
+         * keys, items and the step count are kept.
+         * @param {Object} checkpoint - { x, y, visitedTiles }
+         */
+        function rewindTo(checkpoint) {
+            const visited = new Set(checkpoint.visitedTiles);
+            for (const tile of state.visitedTiles) {
+                if (visited.has(tile)) continue;
+                const [tx, ty] = tile.split(',').map(Number);
+                if (state.levelGrid[ty][tx] === TILES.CRUMBLE && state.grid[ty][tx] === TILES.HOLE) {
+                    setTile(tx, ty, TILES.CRUMBLE);
+                }
+            }
+            state.visitedTiles = visited;
+            state.playerPosition = { x: checkpoint.x, y: checkpoint.y };
+            state.playerDirection = null;
+        }
+
+        /**
+         * Remove the projectiles and enemies close to a tile
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} radius - Distance in tiles on either axis
+         */
+        function clearHazardsNear(x, y, radius) {
+            const isNear = entity => Math.abs(entity.x - x) <= radius && Math.abs(entity.y - y) <= radius;
+            for (let i = state.projectiles.length - 1; i >= 0; i--) {
+                if (isNear(state.projectiles[i])) removeProjectile(i);
+            }
+            for (let i = state.enemies.length - 1; i >= 0; i--) {
+                const enemy = state.enemies[i];
+                if (!isNear(enemy)) continue;
+                state.enemies.splice(i, 1);
+                emit('enemyRemoved', { enemy });
+            }
+        }
+
+        /**
+         * Score a coin or gem the player picked up
+         * @param {Object} item - { kind, x, y }
+         */
+        function collectItem(item) {
+            const value = item.kind === 'gem' ? config.gemValue : config.coinValue;
+            if (item.kind === 'gem') {
+                state.items.gems++;
+            } else {
+                state.items.coins++;
+            }
+            addScore(value);
+            emit('itemCollected', {
+                kind: item.kind,
+                value,
+                x: item.x,
+                y: item.y,
+                items: Object.assign({}, state.items)
+            });
+        }
+
+        /**
+         * Update the level's objectives from the player's progress
+         * @param {boolean} finished - True when the goal has been reached
+         */
+        function refreshObjectives(finished) {
+            const progress = { gems: state.items.gems, steps: state.steps, hits: state.hits };
+            if (updateObjectives(state.objectives, progress, finished)) {
+                emit('objectivesChanged', { objectives: state.objectives });
+            }
+        }
+
+        /**
+         * Update what the player can see on a fog of war level
+         * Tiles seen from every position along the path are remembered as explored.
+         * @param {Array} path - Positions the player passed through, ending at the current one
+         */
+        function updateVisibility(path) {
+            const { fogRadius, lineOfSight } = state.rules;
+            if (!(fogRadius > 0)) return;
+
+            for (const pos of path) {
+                for (const tile of computeVisibleTiles(state.grid, pos, fogRadius, lineOfSight)) {
+                    state.exploredTiles.add(tile);
+                }
+            }
+            state.visibleTiles = computeVisibleTiles(state.grid, state.playerPosition, fogRadius, lineOfSight);
+            emit('visibilityChanged', { visible: state.visibleTiles, explored: state.exploredTiles });
+        }
+
+        /**
+         * Change a tile of the current level
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} tile - New tile code
+         */
+        function setTile(x, y, tile) {
+            state.grid[y][x] = tile;
+            emit('tileChanged', { x, y, tile });
+        }
+
+        /**
+         * Add (or deduct) points and notify subscribers
+         * @param {number} points - Points to add
+         */
+        function addScore(points) {
+            state.score += points;
+            emit('scoreChanged', { score: state.score });
+        }
+
+        /**
+         * Check whether the player is invulnerable after losing a life
+         * @returns {boolean} - True while hits are ignored
+         */
+        function isInvulnerable() {
+            return state.invulnerableTicks > 0;
+        }
+
+        /**
+         * Handle collisions with obstacles
+         * Hits while the player is invulnerable are ignored, and an active shield absorbs one.
+         * @param {string} type - Type of collision ('wall', 'projectile', 'enemy')
+         * @param {string} cause - What hit the player ('wall', 'turret:<pattern>', 'enemy:<archetype>')
+         * @returns {boolean} - True if the hit landed (a life was lost or the shield took it)
+         */
+        function handleCollision(type, cause) {
+            if (isInvulnerable()) return false;
+            state.invulnerableTicks = Math.round(config.invulnerabilityTime * config.tickRate / 1000);
+
+            // A shield takes the hit instead
+            if (hasActivePowerup('shield')) {
+                endPowerup('shield');
+                return true;
+            }
+
+            // Reduce lives
+            state.lives--;
+            state.hits++;
+            emit('livesChanged', { lives: state.lives });
+
+            // Apply score penalty
+            addScore(-config.deathPenalty);
+
+            const { x, y } = state.playerPosition;
+            emit('collision', { type, cause, x, y, tick: state.tickCount });
+            refreshObjectives(false);
+
+            // Check if game over; otherwise the player respawns once this step's hazards have moved
+            if (state.lives <= 0) {
+                gameOver('lives');
+            } else if (type !== 'wall') {
+                respawnDue = true;
+            }
+            return true;
+        }
+
+        /**
+         * Check the tiles the player just crossed for projectiles and enemies
+         * @param {Array} path - Tiles from where the move started to where it ended
+         */
+        function checkPlayerPath(path) {
+            for (let i = state.projectiles.length - 1; i >= 0; i--) {
+                const projectile = state.projectiles[i];
+                const cell = { x: toCell(projectile.x), y: toCell(projectile.y) };
+                if (path.slice(1).some(tile => tile.x === cell.x && tile.y === cell.y) &&
+                    handleCollision('projectile', `turret:${projectile.pattern}`)) {
+                    removeProjectile(i);
+                    return;
+                }
+            }
+
+            for (let i = state.enemies.length - 1; i >= 0; i--) {
+                const enemy = state.enemies[i];
+                // Only steps between neighbouring tiles are swept; a teleport jumps straight to its exit
+                const touched = path.slice(1).some((tile, index) => {
+                    const from = Math.abs(tile.x - path[index].x) + Math.abs(tile.y - path[index].y) === 1 ? path[index] : tile;
+                    return sweepBox(from, tile, enemy, ENEMY_REACH) !== null;
+                });
+                if (touched && handleCollision('enemy', `enemy:${enemy.type}`)) {
+                    state.enemies.splice(i, 1);
+                    emit('enemyRemoved', { enemy });
+                    return;
+                }
+            }
+        }
+
+        /**
+         * Check whether a power-up is in use
+         * @param {string} type - Power-up type
+         * @returns {boolean} - True if it is active
+         */
+        function hasActivePowerup(type) {
+            return state.activePowerups.some(powerup => powerup.type === type);
+        }
+
+        /**
+         * Stop an active power-up (used up or timed out)
+         * @param {string} type - Power-up type
+         */
+        function endPowerup(type) {
+            state.activePowerups = state.activePowerups.filter(powerup => powerup.type !== type);
+            emitPowerups();
+            if (type === 'reveal') revealPath();
+        }
+
+        /**
+         * Tell the HUD which power-ups are held and active
+         */
+        function emitPowerups() {
+            emit('powerupsChanged', {
+                held: state.heldPowerups.slice(),
+                active: state.activePowerups.map(powerup => Object.assign({}, powerup))
+            });
+        }
+
+        /**
+         * Use the oldest held power-up
+         * Shields and phase don't stack, so another one waits until the active one is used up.
+         * @param {string} [source] - Input method ('keyboard', 'gesture' or 'gamepad')
+         * @returns {boolean} - True if a power-up was used
+         */
+        function usePowerup(source) {
+            if (state.isGameOver || !state.isPlaying || isFrozen()) return false;
+            if (state.heldPowerups.length === 0) return false;
+
+            const type = state.heldPowerups[0];
+            const info = POWERUP_TYPES[type];
+            if (!info.timed && hasActivePowerup(type)) return false;
+
+            emit('input', { tick: state.tickCount, action: 'powerup', source: source || 'keyboard' });
+            state.heldPowerups.shift();
+            if (type === 'extraLife') {
+                state.lives++;
+                emit('livesChanged', { lives: state.lives });
+            } else {
+                // Using a timed power-up again restarts its timer
+                state.activePowerups = state.activePowerups.filter(powerup => powerup.type !== type);
+                state.activePowerups.push({
+                    type,
+                    ticksLeft: info.timed ? Math.round(config.powerupDurations[type] * config.tickRate / 1000) : null
+                });
+            }
+            emit('powerupActivated', { type });
+            emitPowerups();
+            if (type === 'reveal') revealPath();
+            return true;
+        }
+
+        /**
+         * Pick up the power-ups on the tiles the player crossed
+         * Power-ups stay on the board while the player's hands are full.
+         * @param {Array} path - Tiles crossed by the move
+         */
+        function pickUpPowerups(path) {
+            let changed = false;
+            for (let i = state.powerups.length - 1; i >= 0; i--) {
+                const powerup = state.powerups[i];
+                if (state.heldPowerups.length >= config.maxHeldPowerups) break;
+                if (!path.some(tile => tile.x === powerup.x && tile.y === powerup.y)) continue;
+
+                state.powerups.splice(i, 1);
+                state.heldPowerups.push(powerup.type);
+                emit('powerupRemoved', { powerup });
+                changed = true;
+            }
+            if (changed) emitPowerups();
+        }
+
+        /**
+         * Count down active power-ups and board power-ups, and maybe spawn a new one
+         */
+        function updatePowerups() {
+            for (const powerup of state.activePowerups.slice()) {
+                if (powerup.ticksLeft !== null && --powerup.ticksLeft <= 0) {
+                    endPowerup(powerup.type);
+                }
+            }
+
+            for (let i = state.powerups.length - 1; i >= 0; i--) {
+                const powerup = state.powerups[i];
+                if (--powerup.ticksLeft <= 0) {
+                    state.powerups.splice(i, 1);
+                    emit('powerupRemoved', { powerup });
+                }
+            }
+
+            if (!modeRules.powerups) return;
+            const chance = getPowerupChance(config.powerupChance, state.analysis && state.analysis.difficulty);
+            if (powerupRng() < chance && state.powerups.length < config.maxPowerups) {
+                spawnPowerup();
+            }
+        }
+
+        /**
+         * Put a new power-up on a free floor tile
+         */
+        function spawnPowerup() {
+            const type = pickPowerupType(config.powerupTypes, powerupRng);
+            const taken = [state.playerPosition, state.goalPosition].concat(state.powerups);
+            const spot = type ? findPowerupSpot(state.grid, taken, powerupRng) : null;
+            if (!spot) return;
+
+            const powerup = {
+                id: nextEntityId++,
+                type,
+                x: spot.x,
+                y: spot.y,
+                ticksLeft: Math.round(config.powerupLifetime * config.tickRate / 1000)
+            };
+            state.powerups.push(powerup);
+            emit('powerupSpawned', { powerup });
+        }
+
+        /**
+         * Work out the route shown by the reveal power-up from where the player stands
+         * Tiles the player can't enter right now (holes, locked doors, tiles they may not revisit)
+         * count as walls for findPath.
+         */
+        function revealPath() {
+            let path = [];
+            if (hasActivePowerup('reveal')) {
+                const player = state.playerPosition;
+                const open = state.grid.map((row, y) => row.map((tile, x) => {
+                    const locked = getTileKind(tile) === 'door' && !state.keys.includes(TILE_INFO[tile].color);
+                    const visited = state.rules.noRevisit && state.visitedTiles.has(`${x},${y}`) &&
+                        (x !== player.x || y !== player.y);
+                    return !isWalkable(tile) || locked || visited ? TILES.WALL : tile;
+                }));
+                path = findPath(open, player.x, player.y, state.goalPosition.x, state.goalPosition.y);
+            }
+            if (path.length === 0 && state.revealedPath.length === 0) return;
+            state.revealedPath = path;
+            emit('pathRevealed', { path });
+        }
+
+        /**
+         * Handle level completion
+         */
+        function handleLevelComplete() {
+            const par = state.analysis.par;
+
+            // Settle the objectives and pay the bonus for the completed ones
+            refreshObjectives(true);
+            const bonus = state.objectives
+                .filter(objective => objective.status === 'complete')
+                .reduce((total, objective) => total + objective.bonus, 0);
+            if (bonus > 0) addScore(bonus);
+
+            // Par-scored runs pay for finishing close to par
+            const parPoints = modeRules.parScoring ?
+                getParPoints(state.steps, par, config.parScore, config.overParPenalty) : 0;
+            if (parPoints > 0) addScore(parPoints);
+
+            emit('levelComplete', {
+                level: state.level,
+                steps: state.steps,
+                par,
+                stars: rateCompletion(state.steps, par),
+                items: Object.assign({}, state.items),
+                objectives: state.objectives.map(objective => Object.assign({}, objective)),
+                bonus,
+                parPoints
+            });
+
+            if (state.timeLeftTicks !== null) {
+                const ticks = Math.round(config.timeBonus * config.tickRate / 1000);
+                state.timeLeftTicks += ticks;
+                emit('timeAdded', { ticks, ticksLeft: state.timeLeftTicks });
+            }
+
+            // A play-test ends with its last hand-crafted level
+            if (state.isPlaytest && state.level >= state.customLevels.length) {
+                clearHazards();
+                state.isPlaying = false;
+                emit('runComplete', { score: state.score, level: state.level });
+                return;
+            }
+
+            // Generate new level with increased difficulty
+            state.level++;
+            startLevel();
+        }
+
+        /**
+         * Handle game over
+         * @param {string} reason - Why the run ended ('lives' or 'time')
+         */
+        function gameOver(reason) {
+            state.isGameOver = true;
+            state.isPlaying = false;
+            respawnDue = false;
+            emit('gameOver', {
+                score: state.score,
+                level: state.level,
+                reason,
+                continuesLeft: Math.max(0, config.maxContinues - state.continuesUsed)
+            });
+        }
+
+        /**
+         * Check whether the run that just ended can be continued
+         * @returns {boolean} - True after a game over with continues left
+         */
+        function canContinue() {
+            return state.isGameOver && state.continuesUsed < config.maxContinues;
+        }
+
+        /**
+         * Continue the run after a game over, at a score penalty
+         * The lives are refilled, every hazard is cleared and the player picks the level up
+         * from their respawn point (see config.respawn) after the resume countdown. A timed
+         * run that ran out of time gets timeBonus back on the clock.
+         * @param {string} [source] - Input method ('keyboard', 'gesture' or 'gamepad')
+         * @returns {boolean} - True if the run was continued
+         */
+        function continueRun(source) {
+            if (!canContinue()) return false;
+
+            emit('input', { tick: state.tickCount, action: 'continue', source: source || 'keyboard' });
+            state.continuesUsed++;
+            state.isGameOver = false;
+            state.isPlaying = true;
+            state.lives = config.initialLives;
+            emit('livesChanged', { lives: state.lives });
+            addScore(-config.continuePenalty);
+            if (state.timeLeftTicks === 0) {
+                state.timeLeftTicks = Math.round(config.timeBonus * config.tickRate / 1000);
+            }
+
+            clearHazards();
+            respawn();
+            state.countdownTicks = Math.round(config.resumeCountdown * config.tickRate / 1000);
+            accumulator = 0;
+            emit('runContinued', { continuesLeft: config.maxContinues - state.continuesUsed });
+            return true;
+        }
+
+        /**
+         * Pause the game
+         * @param {string} reason - Why the game is paused ('key', 'hidden', 'blur', 'hand', ...)
+         * @returns {boolean} - True if the game was running and is now paused
+         */
+        function pause(reason) {
+            if (!state.isPlaying || state.isGameOver || state.isPaused || state.isReplay) return false;
+
+            state.isPaused = true;
+            state.pauseReason = reason || 'key';
+            emit('paused', { reason: state.pauseReason });
+            return true;
+        }
+
+        /**
+         * Resume a paused game after a short countdown
+         * @returns {boolean} - True if the game was paused and is now resuming
+         */
+        function resume() {
+            if (!state.isPaused) return false;
+
+            state.isPaused = false;
+            state.pauseReason = null;
+            state.countdownTicks = Math.round(config.resumeCountdown * config.tickRate / 1000);
+            emit('resumed', { countdownTicks: state.countdownTicks });
+            return true;
+        }
+
+        /**
+         * Check whether the simulation is paused or counting down to resume
+         * @returns {boolean} - True if inputs and hazards are frozen
+         */
+        function isFrozen() {
+            return state.isPaused || state.countdownTicks > 0;
+        }
+
+        /**
+         * Advance the simulation by real elapsed time using fixed steps
+         * Leftover time is carried over, so the simulation runs at the same speed
+         * whatever the display refresh rate or frame drops.
+         * @param {number} elapsedMs - Real time since the previous call
+         * @returns {number} - Interpolation factor (0-1) between the previous and current step
+         */
+        function advance(elapsedMs) {
+            const stepMs = 1000 / config.tickRate;
+            accumulator += Math.min(Math.max(elapsedMs, 0), config.maxFrameTime);
+
+            while (accumulator >= stepMs) {
+                tick();
+                accumulator -= stepMs;
+            }
+            return accumulator / stepMs;
+        }
+
+        /**
+         * Advance the simulation by one fixed step
+         */
+        function tick() {
+            if (!state.isPlaying || state.isGameOver || state.isPaused) return;
+
+            // Hazards stay frozen until the resume countdown has finished
+            if (state.countdownTicks > 0) {
+                state.countdownTicks--;
+                if (state.countdownTicks === 0) {
+                    emit('countdownFinished');
+                }
+                return;
+            }
+
+            state.tickCount++;
+            if (state.invulnerableTicks > 0) {
+                state.invulnerableTicks--;
+            }
+
+            // The clock of a timed run ends it when it runs out
+            if (state.timeLeftTicks !== null && --state.timeLeftTicks <= 0) {
+                state.timeLeftTicks = 0;
+                gameOver('time');
+                return;
+            }
+            updatePowerups();
+
+            // Remember where everything was for interpolated rendering
+            for (const entity of state.projectiles.concat(state.enemies)) {
+                entity.prevX = entity.x;
+                entity.prevY = entity.y;
+            }
+
+            // Time freeze stops every hazard where it is
+            if (hasActivePowerup('freeze')) return;
+            updateTurrets();
+            updateProjectiles();
+            updateEnemies();
+            if (respawnDue) respawn();
+        }
+
+        /**
+         * Advance the turrets' firing patterns, telegraphing and firing volleys
+         */
+        function updateTurrets() {
+            for (const turret of state.turrets) {
+                for (const action of updateTurret(turret, turretTiming)) {
+                    const lane = getTurretLane(state.grid, turret, action.direction);
+                    if (action.type === 'windup') {
+                        emit('turretWindup', { turret, direction: action.direction, lane });
+                    } else {
+                        emit('turretFired', { turret, direction: action.direction, lane, last: action.last });
+                        spawnProjectile(turret, action.direction);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Update projectiles positions and check for collisions
+         */
+        function updateProjectiles() {
+            // Skip if paused or not active
+            if (!state.isPlaying || state.isGameOver) return;
+
+            const speed = state.rules.projectileSpeed;
+
+            // Update existing projectiles
+            for (let i = state.projectiles.length - 1; i >= 0; i--) {
+                const projectile = state.projectiles[i];
+                const from = { x: projectile.x, y: projectile.y };
+
+                // Update position
+                projectile.x += projectile.velocity.x * speed;
+                projectile.y += projectile.velocity.y * speed;
+
+                // Check every cell crossed this step, in order, for the player and walls
+                for (const cell of getCellsCrossed(from, projectile)) {
+                    if (!isInside(cell.x, cell.y) || blocksHazards(state.grid[cell.y][cell.x])) {
+                        removeProjectile(i);
+                        break;
+                    }
+                    // An invulnerable player lets the projectile fly on
+                    if (cell.x === state.playerPosition.x && cell.y === state.playerPosition.y &&
+                        handleCollision('projectile', `turret:${projectile.pattern}`)) {
+                        removeProjectile(i);
+                        if (state.isGameOver) return;
+                        break;
+                    }
+                }
+            }
+        }
+
+        /**
+         * Remove the projectile at an index
+         * @param {number} index - Index into state.projectiles
+         */
+        function removeProjectile(index) {
+            const [projectile] = state.projectiles.splice(index, 1);
+            emit('projectileRemoved', { projectile });
+        }
+
+        /**
+         * Fire a projectile from a turret
+         * @param {Object} turret - Turret firing the shot
+         * @param {string} direction - Lane the shot flies down ('up', 'right', 'down', 'left')
+         */
+        function spawnProjectile(turret, direction) {
+            // Skip if paused or not active
+            if (!state.isPlaying || state.isGameOver) return;
+
+            const velocity = {
+                x: direction === 'right' ? 1 : direction === 'left' ? -1 : 0,
+                y: direction === 'down' ? 1 : direction === 'up' ? -1 : 0
+            };
+
+            // Start at the turret's edge so the shot is already in the first tile of its lane
+            const x = turret.x + velocity.x * 0.51;
+            const y = turret.y + velocity.y * 0.51;
+            const projectile = {
+                id: nextEntityId++,
+                x,
+                y,
+                prevX: x,
+                prevY: y,
+                velocity,
+                turretId: turret.id,
+                pattern: turret.pattern   // Firing pattern of the turret, for collision causes
+            };
+            state.projectiles.push(projectile);
+            emit('projectileSpawned', { projectile });
+        }
+
+        /**
+         * Update enemy positions and check for collisions
+         */
+        function updateEnemies() {
+            // Skip if paused or not active
+            if (!state.isPlaying || state.isGameOver) return;
+
+            // Update existing enemies
+            for (let i = state.enemies.length - 1; i >= 0; i--) {
+                const enemy = state.enemies[i];
+                const from = { x: enemy.x, y: enemy.y };
+
+                // Walk to the next tile on the way to the archetype's target
+                if (!enemy.next) {
+                    enemy.next = getNextEnemyStep(enemy, {
+                        grid: state.grid,
+                        player: state.playerPosition,
+                        playerDirection: state.playerDirection
+                    });
+                }
+                if (enemy.next) {
+                    const speed = state.rules.enemySpeed * ENEMY_TYPES[enemy.type].speed;
+                    const dx = enemy.next.x - enemy.x;
+                    const dy = enemy.next.y - enemy.y;
+                    if (Math.abs(dx) + Math.abs(dy) <= speed) {
+                        enemy.x = enemy.next.x;
+                        enemy.y = enemy.next.y;
+                        enemy.next = null;
+                    } else {
+                        enemy.x += Math.sign(dx) * speed;
+                        enemy.y += Math.sign(dy) * speed;
+                    }
+                }
+
+                // Check for collision with player anywhere along this step
+                if (sweepBox(from, enemy, state.playerPosition, ENEMY_REACH) !== null &&
+                    handleCollision('enemy', `enemy:${enemy.type}`)) {
+                    state.enemies.splice(i, 1);
+                    emit('enemyRemoved', { enemy });
+                    if (state.isGameOver) return;
+                }
+            }
+
+            // Spawn new enemies based on level
+            if (hazardRng() < state.rules.enemyChance && state.enemies.length < state.rules.maxEnemies) {
+                spawnEnemy();
+            }
+        }
+
+        /**
+         * Spawn a new enemy
+         */
+        function spawnEnemy() {
+            // Skip if paused or not active
+            if (!state.isPlaying || state.isGameOver) return;
+
+            const width = state.grid[0].length;
+            const height = state.grid.length;
+
+            // Choose random position away from player (closer on small grids)
+            let x, y;
+            const playerX = state.playerPosition.x;
+            const playerY = state.playerPosition.y;
+            const minDistance = Math.min(5, Math.floor((width + height) / 4));
+
+            if (state.enemySpawns.length > 0) {
+                // Level defines spawn points: prefer those away from the player
+                const farSpawns = state.enemySpawns.filter(pos =>
+                    Math.abs(pos.x - playerX) + Math.abs(pos.y - playerY) > minDistance);
+                const candidates = farSpawns.length > 0 ? farSpawns : state.enemySpawns;
+                ({ x, y } = candidates[Math.floor(hazardRng() * candidates.length)]);
+            } else {
+                // Give up after a while on levels with few open tiles away from the player
+                let attempts = 0;
+                do {
+                    if (++attempts > 100) return;
+
+                    x = Math.floor(hazardRng() * width);
+                    y = Math.floor(hazardRng() * height);
+
+                    // Ensure minimum distance from player
+                    const distance = Math.abs(x - playerX) + Math.abs(y - playerY);
+
+                    // Check if position is valid (open ground and not too close to player)
+                    if (distance > minDistance && isWalkable(state.grid[y][x]) && !blocksHazards(state.grid[y][x])) {
+                        break;
+                    }
+                } while (true);
+            }
+
+            const type = pickEnemyType(state.rules.enemyTypes, hazardRng);
+            const enemy = Object.assign({ id: nextEntityId++ }, createEnemy(type, { x, y }, state.grid, hazardRng));
+            state.enemies.push(enemy);
+            emit('enemySpawned', { enemy });
+        }
+
+        return {
+            config,
+            state,
+            on,
+            off,
+            startRun,
+            stopRun,
+            snapshot,
+            restoreRun,
+            canContinue,
+            continueRun,
+            move,
+            usePowerup,
+            pause,
+            resume,
+            advance,
+            tick
+        };
+    }
+
+    GridRush.DEFAULT_CONFIG = DEFAULT_CONFIG;
+    GridRush.validateConfig = validateConfig;
+    GridRush.createEngine = createEngine;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,144 @@
+/**
+ * GridRush - Gamepad input
+ *
+ * Turns controller state from the browser Gamepad API into game inputs. A
+ * reader is polled once per frame with each connected gamepad and reports:
+ * - direction: a move to make now (d-pad first, else the left stick past the
+ *              deadzone; holding a direction repeats it after repeatDelay)
+ * - pressed:   names of the buttons pressed since the last poll (see GAMEPAD_BUTTONS)
+ * - orbit:     right stick tilt { x, y } from -1 to 1, zero inside the deadzone
+ *
+ * Buttons are looked up by their position in the "standard" mapping
+ * (https://w3c.github.io/gamepad/#remapping); controllers the browser can't
+ * map may have them elsewhere. What each button does is up to the page.
+ */
+(function (GridRush) {
+    'use strict';
+
+    // Button indices in the standard mapping
+    const GAMEPAD_BUTTONS = {
+        a: 0,
+        b: 1,
+        x: 2,
+        y: 3,
+        back: 8,
+        start: 9,
+        up: 12,
+        down: 13,
+        left: 14,
+        right: 15
+    };
+
+    const DPAD_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+    const DEFAULT_GAMEPAD_CONFIG = {
+        deadzone: 0.4,        // Stick tilt (0-1) ignored around the centre
+        repeatDelay: 350,     // Milliseconds a direction is held before the move repeats
+        repeatInterval: 180   // Milliseconds between repeated moves while it stays held
+    };
+
+    /**
+     * Scale a stick axis so the deadzone reads as 0 and full tilt as 1
+     * @param {number} value - Axis value (-1 to 1)
+     * @param {number} deadzone - Tilt ignored around the centre (0-1)
+     * @returns {number} - Scaled value (-1 to 1)
+     */
+    function applyDeadzone(value, deadzone) {
+        const size = Math.abs(value || 0);
+        if (size <= deadzone) return 0;
+        return Math.sign(value) * Math.min(1, (size - deadzone) / (1 - deadzone));
+    }
+
+    /**
+     * Get the direction a stick is pushed in
+     * @param {number} x - Horizontal axis (-1 left to 1 right)
+     * @param {number} y - Vertical axis (-1 up to 1 down)
+     * @param {number} deadzone - Tilt ignored around the centre (0-1)
+     * @returns {string|null} - 'up', 'down', 'left' or 'right' along the axis pushed furthest, or null
+     */
+    function getStickDirection(x, y, deadzone) {
+        if (Math.hypot(x || 0, y || 0) <= deadzone) return null;
+        if (Math.abs(x) > Math.abs(y)) {
+            return x > 0 ? 'right' : 'left';
+        }
+        return y > 0 ? 'down' : 'up';
+    }
+
+    /**
+     * Check whether a gamepad button is held down
+     * @param {Object} pad - Gamepad
+     * @param {number} index - Button index
+     * @returns {boolean} - True if pressed (analog triggers count past halfway)
+     */
+    function isButtonDown(pad, index) {
+        const button = pad.buttons[index];
+        return !!button && (button.pressed || button.value > 0.5);
+    }
+
+    /**
+     * Create a reader that turns polled gamepad state into inputs
+     * @param {Object} [options] - Overrides for DEFAULT_GAMEPAD_CONFIG
+     * @returns {Object} - Reader with read() and forget()
+     */
+    function createGamepadReader(options) {
+        const config = Object.assign({}, DEFAULT_GAMEPAD_CONFIG, options);
+        const pads = new Map();  // Gamepad index to { buttons, direction, nextRepeat } from the last poll
+
+        /**
+         * Read the inputs of a gamepad since it was last polled
+         * @param {Object} pad - Gamepad from navigator.getGamepads()
+         * @param {number} now - Timestamp in milliseconds
+         * @returns {Object} - { direction, pressed, orbit }
+         */
+        function read(pad, now) {
+            const last = pads.get(pad.index) || { buttons: {}, direction: null, nextRepeat: 0 };
+            const buttons = {};
+            const pressed = [];
+            for (const [name, index] of Object.entries(GAMEPAD_BUTTONS)) {
+                buttons[name] = isButtonDown(pad, index);
+                if (buttons[name] && !last.buttons[name]) pressed.push(name);
+            }
+
+            const axes = pad.axes || [];
+            const held = DPAD_DIRECTIONS.find(name => buttons[name]) ||
+                getStickDirection(axes[0], axes[1], config.deadzone);
+
+            // A new direction moves at once; one held down repeats
+            let direction = null;
+            let nextRepeat = last.nextRepeat;
+            if (held && held !== last.direction) {
+                direction = held;
+                nextRepeat = now + config.repeatDelay;
+            } else if (held && now >= nextRepeat) {
+                direction = held;
+                nextRepeat = now + config.repeatInterval;
+            }
+
+            pads.set(pad.index, { buttons, direction: held, nextRepeat });
+            return {
+                direction,
+                pressed,
+                orbit: {
+                    x: applyDeadzone(axes[2], config.deadzone),
+                    y: applyDeadzone(axes[3], config.deadzone)
+                }
+            };
+        }
+
+        /**
+         * Drop what is remembered about a gamepad (e.g. once it is disconnected)
+         * @param {number} index - Gamepad index
+         */
+        function forget(index) {
+            pads.delete(index);
+        }
+
+        return { config, read, forget };
+    }
+
+    GridRush.GAMEPAD_BUTTONS = GAMEPAD_BUTTONS;
+    GridRush.DEFAULT_GAMEPAD_CONFIG = DEFAULT_GAMEPAD_CONFIG;
+    GridRush.applyDeadzone = applyDeadzone;
+    GridRush.getStickDirection = getStickDirection;
+    GridRush.createGamepadReader = createGamepadReader;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,160 @@
+/**
+ * GridRush - High scores
+ *
+ * Finished runs are kept in one table of entries:
+ * { id, name, score, level, date, controls, seed, mode, difficulty }
+ * where controls is how the run was mostly played ('gesture' or 'keyboard') and
+ * difficulty is the preset the run was played at ('custom' for a custom curve;
+ * missing on runs recorded before difficulty presets).
+ *
+ * Boards are views of the table: the best runs of a game mode, or the best
+ * runs of one seed in a game mode. An entry is kept as long as it is on at
+ * least one board, so tables from different machines can be merged by
+ * putting their entries together and pruning again.
+ *
+ * Table format (version 1): { version: 1, entries: [...] }
+ */
+(function (GridRush) {
+    'use strict';
+
+    const HIGH_SCORE_VERSION = 1;
+    const BOARD_SIZE = 10;
+    const CONTROL_METHODS = ['gesture', 'keyboard'];
+
+    /**
+     * Create an empty high score table
+     * @returns {Object} - Table
+     */
+    function createHighScoreTable() {
+        return { version: HIGH_SCORE_VERSION, entries: [] };
+    }
+
+    /**
+     * Order entries best first: higher score, then higher level, then the earlier run
+     */
+    function compareEntries(a, b) {
+        return b.score - a.score || b.level - a.level || a.date.localeCompare(b.date);
+    }
+
+    /**
+     * Get a board from a table
+     * @param {Object} table - High score table
+     * @param {string} mode - Game mode
+     * @param {string} [seed] - Only runs of this seed (all seeds if left out)
+     * @param {number} [size] - Number of places on the board
+     * @returns {Array} - Entries, best first
+     */
+    function getHighScoreBoard(table, mode, seed, size = BOARD_SIZE) {
+        return table.entries
+            .filter(entry => entry.mode === mode && (seed === undefined || entry.seed === seed))
+            .sort(compareEntries)
+            .slice(0, size);
+    }
+
+    /**
+     * Drop the entries that are on no board any more
+     * @param {Array} entries - Entries
+     * @param {number} size - Number of places on each board
+     * @returns {Array} - Entries still on a mode or seed board, best first
+     */
+    function pruneEntries(entries, size) {
+        const placed = new Map();   // Board key to entries on it so far
+        const kept = [];
+        for (const entry of entries.slice().sort(compareEntries)) {
+            const boards = [entry.mode, `${entry.mode}\n${entry.seed}`];
+            const fits = boards.filter(key => (placed.get(key) || 0) < size);
+            for (const key of boards) {
+                placed.set(key, (placed.get(key) || 0) + 1);
+            }
+            if (fits.length > 0) kept.push(entry);
+        }
+        return kept;
+    }
+
+    /**
+     * Add a finished run to a table
+     * @param {Object} table - High score table
+     * @param {Object} run - { name, score, level, controls, seed, mode, difficulty } (date defaults to now)
+     * @param {number} [size] - Number of places on each board
+     * @returns {Object} - { table, entry, rank, seedRank } with the 1-based places the run took on
+     *                     its mode and seed boards (null if it didn't make a board)
+     */
+    function addHighScore(table, run, size = BOARD_SIZE) {
+        const entry = {
+            id: run.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: String(run.name || '').trim().slice(0, 20) || 'Player',
+            score: Math.max(0, run.score),
+            level: run.level,
+            date: run.date || new Date().toISOString(),
+            controls: CONTROL_METHODS.includes(run.controls) ? run.controls : 'keyboard',
+            seed: run.seed,
+            mode: run.mode,
+            difficulty: run.difficulty
+        };
+        const updated = {
+            version: HIGH_SCORE_VERSION,
+            entries: pruneEntries(table.entries.concat([entry]), size)
+        };
+        const rank = getHighScoreBoard(updated, entry.mode, undefined, size).indexOf(entry) + 1;
+        const seedRank = getHighScoreBoard(updated, entry.mode, entry.seed, size).indexOf(entry) + 1;
+        return { table: updated, entry, rank: rank || null, seedRank: seedRank || null };
+    }
+
+    /**
+     * Merge an imported table into another
+     * Entries present in both (same id) are only kept once.
+     * @param {Object} table - High score table
+     * @param {Object} imported - Table to merge in (validated)
+     * @param {number} [size] - Number of places on each board
+     * @returns {Object} - { table, added } with the number of new entries that made a board
+     */
+    function mergeHighScores(table, imported, size = BOARD_SIZE) {
+        const known = new Set(table.entries.map(entry => entry.id));
+        const incoming = imported.entries.filter(entry => !known.has(entry.id));
+        const entries = pruneEntries(table.entries.concat(incoming), size);
+        return {
+            table: { version: HIGH_SCORE_VERSION, entries },
+            added: incoming.filter(entry => entries.includes(entry)).length
+        };
+    }
+
+    /**
+     * Validate a high score table (e.g. from localStorage or an imported file)
+     * @param {Object} data - Parsed table
+     * @throws {Error} - If the table is corrupt or from another version
+     */
+    function validateHighScores(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('High scores are not an object');
+        }
+        if (data.version !== HIGH_SCORE_VERSION) {
+            throw new Error(`High scores have version ${data.version}, expected ${HIGH_SCORE_VERSION}`);
+        }
+        if (!Array.isArray(data.entries)) {
+            throw new Error('High scores have no entries');
+        }
+        data.entries.forEach((entry, index) => {
+            const valid = entry && typeof entry === 'object' &&
+                typeof entry.id === 'string' && entry.id !== '' &&
+                typeof entry.name === 'string' &&
+                Number.isFinite(entry.score) && entry.score >= 0 &&
+                Number.isInteger(entry.level) && entry.level >= 1 &&
+                typeof entry.date === 'string' && !isNaN(Date.parse(entry.date)) &&
+                CONTROL_METHODS.includes(entry.controls) &&
+                typeof entry.seed === 'string' && entry.seed !== '' &&
+                typeof entry.mode === 'string' && entry.mode !== '' &&
+                (entry.difficulty === undefined || typeof entry.difficulty === 'string');
+            if (!valid) {
+                throw new Error(`High score entry ${index + 1} is malformed`);
+            }
+        });
+    }
+
+    GridRush.HIGH_SCORE_VERSION = HIGH_SCORE_VERSION;
+    GridRush.HIGH_SCORE_BOARD_SIZE = BOARD_SIZE;
+    GridRush.createHighScoreTable = createHighScoreTable;
+    GridRush.getHighScoreBoard = getHighScoreBoard;
+    GridRush.addHighScore = addHighScore;
+    GridRush.mergeHighScores = mergeHighScores;
+    GridRush.validateHighScores = validateHighScores;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
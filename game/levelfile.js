@@ -0,0 +1,395 @@
+/**
+ * GridRush - Level files
+ *
+ * Hand-crafted levels are JSON files with an ASCII map plus metadata:
+ *
+ * {
+ *   "name": "Corridors",
+ *   "map": [
+ *     "S..#......",
+ *     ".#.#.####.",
+ *     "...E....G."
+ *   ],
+ *   "rules": { "noRevisit": true, "fogRadius": 3, "lineOfSight": true },
+ *   "hazards": { "turretInterval": 3000, "turretWindup": 1000, "enemyChance": 0.005, "maxEnemies": 1,
+ *                "enemyTypes": { "chaser": 1, "sentry": 2 } },
+ *   "turrets": [
+ *     { "x": 3, "y": 0, "pattern": "alternating", "directions": ["up", "down"] },
+ *     { "x": 9, "y": 3, "pattern": "burst", "directions": ["up"], "offset": 1500 }
+ *   ],
+ *   "objectives": { "steps": 14, "noHits": false }
+ * }
+ *
+ * Map tiles: '.' floor, '#' wall, 'S' start, 'G' goal, 'E' enemy spawn point,
+ * '~' ice, '%' crumbling floor, 'o' hole, '^' '>' 'v' '<' arrows, 'r' 'b' 'y' keys,
+ * 'R' 'B' 'Y' doors of the same colors, '1' '2' '3' teleporter pairs, '$' coins,
+ * '*' gems and '+' checkpoints (see tiles.js).
+ * Turrets sit on a wall tile or just outside an edge of the map (x or y of -1,
+ * the width or the height) and fire down the listed directions (see turrets.js).
+ * "objectives" can leave out an optional objective (false) or set the step
+ * limit (see objectives.js); objectives not mentioned use the defaults.
+ * "start" and "goal" may be given as { x, y } instead of S/G tiles, and
+ * "width"/"height" are optional but must match the map when present.
+ * Rules and hazards not given in the file use the procedural defaults for
+ * the level number the file is played at.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { isSolvable } = isNode ? require('./analysis') : GridRush;
+    const { TILES, TILE_INFO, CHAR_TILES } = isNode ? require('./tiles') : GridRush;
+    const { ENEMY_TYPES } = isNode ? require('./enemies') : GridRush;
+    const { validateTurret } = isNode ? require('./turrets') : GridRush;
+
+    // Tile characters allowed in a map: every tile type, plus markers on plain floor
+    const MAP_TILES = Object.assign({}, CHAR_TILES, {
+        'S': TILES.FLOOR,
+        'G': TILES.FLOOR,
+        'E': TILES.FLOOR
+    });
+
+    // Allowed keys and their types for the "rules" and "hazards" sections
+    const RULE_TYPES = {
+        noRevisit: 'boolean',
+        fogRadius: 'number',
+        lineOfSight: 'boolean'
+    };
+    const HAZARD_TYPES = {
+        turretInterval: 'number',
+        turretWindup: 'number',
+        projectileSpeed: 'number',
+        enemyChance: 'number',
+        maxEnemies: 'number',
+        enemySpeed: 'number',
+        enemyTypes: 'object'
+    };
+    const OBJECTIVE_TYPES = {
+        gems: 'boolean',
+        steps: 'number|boolean',
+        noHits: 'boolean'
+    };
+
+    /**
+     * Parse and validate a level file
+     * @param {Object|string} data - Level file contents (parsed JSON or JSON text)
+     * @param {Object} [options] - { width, height } the engine supports, if fixed
+     * @returns {Object} - Level ({ name, grid, start, goal, rules, enemySpawns, turrets, objectives })
+     * @throws {Error} - With a readable list of every problem found (error.details)
+     */
+    function parseLevelFile(data, options) {
+        const errors = [];
+
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw levelError([`File is not valid JSON (${e.message})`]);
+            }
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw levelError(['File must contain a JSON object']);
+        }
+
+        const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom level';
+
+        // Map: non-empty list of equally long strings
+        const map = data.map;
+        if (!Array.isArray(map) || map.length === 0 || !map.every(row => typeof row === 'string')) {
+            throw levelError(['"map" must be a non-empty list of strings']);
+        }
+        const height = map.length;
+        const width = map[0].length;
+        if (width === 0) {
+            throw levelError(['"map" rows must not be empty']);
+        }
+        map.forEach((row, y) => {
+            if (row.length !== width) {
+                errors.push(`Map row ${y + 1} is ${row.length} tiles wide, expected ${width}`);
+            }
+        });
+        if (data.width !== undefined && data.width !== width) {
+            errors.push(`"width" is ${data.width} but the map is ${width} tiles wide`);
+        }
+        if (data.height !== undefined && data.height !== height) {
+            errors.push(`"height" is ${data.height} but the map is ${height} tiles high`);
+        }
+        if (options && options.width && options.height &&
+            (width !== options.width || height !== options.height)) {
+            errors.push(`Map is ${width}x${height}, but levels must be ${options.width}x${options.height}`);
+        }
+        if (errors.length > 0) throw levelError(errors);
+
+        // Tiles
+        const grid = [];
+        const marked = { S: [], G: [] };
+        const enemySpawns = [];
+        map.forEach((row, y) => {
+            grid.push([]);
+            for (let x = 0; x < width; x++) {
+                const char = row[x];
+                if (!(char in MAP_TILES)) {
+                    errors.push(`Map row ${y + 1}, column ${x + 1}: unknown tile '${char}'`);
+                    grid[y].push(0);
+                    continue;
+                }
+                grid[y].push(MAP_TILES[char]);
+                if (char === 'S' || char === 'G') marked[char].push({ x, y });
+                if (char === 'E') enemySpawns.push({ x, y });
+            }
+        });
+
+        // Teleporters only work in pairs
+        for (const [code, info] of Object.entries(TILE_INFO)) {
+            if (info.kind !== 'teleporter') continue;
+            const count = grid.reduce((total, row) => total + row.filter(tile => tile === Number(code)).length, 0);
+            if (count !== 0 && count !== 2) {
+                errors.push(`Map has ${count} '${info.char}' teleporters, expected a pair`);
+            }
+        }
+
+        const start = readPosition(data.start, marked.S, 'start', 'S', grid, errors);
+        const goal = readPosition(data.goal, marked.G, 'goal', 'G', grid, errors);
+        if (start && goal && start.x === goal.x && start.y === goal.y) {
+            errors.push('Start and goal must be on different tiles');
+        }
+
+        const rules = {};
+        readSection(data.rules, 'rules', RULE_TYPES, rules, errors);
+        readSection(data.hazards, 'hazards', HAZARD_TYPES, rules, errors);
+        checkRuleValues(rules, errors);
+        const turrets = readTurrets(data.turrets, grid, errors);
+        const objectives = {};
+        readSection(data.objectives, 'objectives', OBJECTIVE_TYPES, objectives, errors);
+        if (objectives.steps === true || (typeof objectives.steps === 'number' && !Number.isInteger(objectives.steps))) {
+            errors.push('"objectives.steps" must be a whole number of steps or false');
+        }
+
+        if (errors.length > 0) throw levelError(errors);
+
+        // The goal must be reachable under the level's own rules
+        if (!isSolvable({ grid, start, goal, rules })) {
+            throw levelError(['The goal cannot be reached from the start']);
+        }
+
+        return { name, grid, start, goal, rules, enemySpawns, turrets, objectives };
+    }
+
+    /**
+     * Write a parsed level back as a level file
+     * @param {Object} level - Level from parseLevelFile()
+     * @returns {Object} - Level file contents (parseLevelFile gives the level back)
+     */
+    function formatLevelFile(level) {
+        const map = level.grid.map(row => row.map(tile => TILE_INFO[tile].char));
+        map[level.start.y][level.start.x] = 'S';
+        map[level.goal.y][level.goal.x] = 'G';
+        level.enemySpawns.forEach(({ x, y }) => {
+            map[y][x] = 'E';
+        });
+
+        const { rules, hazards } = splitRules(level.rules);
+        const data = { name: level.name, map: map.map(row => row.join('')), rules };
+        if (Object.keys(hazards).length > 0) data.hazards = hazards;
+        if (level.turrets.length > 0) data.turrets = level.turrets.map(turret => Object.assign({}, turret));
+        if (Object.keys(level.objectives).length > 0) data.objectives = Object.assign({}, level.objectives);
+        return data;
+    }
+
+    /**
+     * Validate a parsed level kept outside a level file (e.g. in a saved run or a replay)
+     * The level is written back as a file and parsed again, so it gets every check a file gets.
+     * @param {Object} level - Level as returned by parseLevelFile()
+     * @throws {Error} - With a readable list of every problem found (error.details)
+     */
+    function validateLevel(level) {
+        let data;
+        try {
+            data = formatLevelFile(level);
+        } catch (e) {
+            throw levelError(['Level is missing its map, start, goal, rules, turrets or objectives']);
+        }
+        parseLevelFile(data);
+    }
+
+    /**
+     * Validate level rules kept outside a level file (e.g. the active rules of a saved run)
+     * @param {Object} rules - Rules as parsed from the "rules" and "hazards" sections together
+     * @param {boolean} [complete] - Every entry must be set, as in the rules the engine plays with
+     * @returns {Array} - Problem descriptions (empty if the rules are valid)
+     */
+    function validateLevelRules(rules, complete) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return ['Level rules must be an object'];
+        }
+        const errors = [];
+        const sections = splitRules(rules);
+        const checked = {};
+        readSection(sections.rules, 'rules', RULE_TYPES, checked, errors);
+        readSection(sections.hazards, 'hazards', HAZARD_TYPES, checked, errors);
+        checkRuleValues(checked, errors);
+        if (complete) {
+            for (const [sectionName, types] of [['rules', RULE_TYPES], ['hazards', HAZARD_TYPES]]) {
+                for (const key of Object.keys(types)) {
+                    if (!(key in rules)) errors.push(`"${sectionName}.${key}" is missing`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Split a level's rules back into the "rules" and "hazards" sections
+     * @returns {Object} - { rules, hazards }
+     */
+    function splitRules(levelRules) {
+        const rules = {};
+        const hazards = {};
+        for (const [key, value] of Object.entries(levelRules)) {
+            (key in RULE_TYPES ? rules : hazards)[key] = value;
+        }
+        return { rules, hazards };
+    }
+
+    /**
+     * Check rule values whose type alone doesn't make them valid
+     */
+    function checkRuleValues(rules, errors) {
+        if (rules.enemyTypes !== undefined) {
+            readEnemyTypes(rules.enemyTypes, errors);
+        }
+        if (rules.turretInterval === 0) {
+            errors.push('"hazards.turretInterval" must be more than 0 milliseconds');
+        }
+    }
+
+    /**
+     * Read the start or goal position from an explicit field or a map tile
+     * @returns {Object|null} - Position, or null if invalid (errors are recorded)
+     */
+    function readPosition(field, tiles, key, char, grid, errors) {
+        let pos;
+        if (field !== undefined) {
+            if (tiles.length > 0) {
+                errors.push(`"${key}" is given both as a field and as '${char}' on the map`);
+                return null;
+            }
+            if (!field || !Number.isInteger(field.x) || !Number.isInteger(field.y)) {
+                errors.push(`"${key}" must be an object with integer x and y`);
+                return null;
+            }
+            pos = { x: field.x, y: field.y };
+        } else if (tiles.length === 1) {
+            pos = tiles[0];
+        } else {
+            errors.push(tiles.length === 0 ?
+                `Map has no '${char}' tile and no "${key}" field` :
+                `Map has ${tiles.length} '${char}' tiles, expected one`);
+            return null;
+        }
+
+        if (pos.y < 0 || pos.y >= grid.length || pos.x < 0 || pos.x >= grid[0].length) {
+            errors.push(`"${key}" (${pos.x}, ${pos.y}) is outside the map`);
+            return null;
+        }
+        if (grid[pos.y][pos.x] !== TILES.FLOOR) {
+            errors.push(`"${key}" (${pos.x}, ${pos.y}) must be on a floor tile`);
+            return null;
+        }
+        return pos;
+    }
+
+    /**
+     * Copy a "rules" or "hazards" section, checking key names and value types
+     */
+    function readSection(section, sectionName, types, target, errors) {
+        if (section === undefined) return;
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+            errors.push(`"${sectionName}" must be an object`);
+            return;
+        }
+        for (const key of Object.keys(section)) {
+            if (!(key in types)) {
+                errors.push(`Unknown ${sectionName} entry "${key}"`);
+            } else if (!types[key].split('|').includes(typeof section[key]) ||
+                       (typeof section[key] === 'number' && !(section[key] >= 0))) {
+                errors.push(`"${sectionName}.${key}" must be a ${describeType(types[key])}`);
+            } else {
+                target[key] = section[key];
+            }
+        }
+    }
+
+    /**
+     * Check the "hazards.enemyTypes" weights ({ "chaser": 2, "sentry": 1 })
+     */
+    function readEnemyTypes(weights, errors) {
+        if (!weights || Array.isArray(weights)) {
+            errors.push('"hazards.enemyTypes" must be an object of enemy types and weights');
+            return;
+        }
+        for (const [type, weight] of Object.entries(weights)) {
+            if (!(type in ENEMY_TYPES)) {
+                errors.push(`Unknown enemy type "${type}" (expected ${Object.keys(ENEMY_TYPES).join(', ')})`);
+            } else if (typeof weight !== 'number' || !(weight >= 0)) {
+                errors.push(`"hazards.enemyTypes.${type}" must be a non-negative number`);
+            }
+        }
+    }
+
+    /**
+     * Check the "turrets" list
+     * @returns {Array} - Turrets (empty if the file has none)
+     */
+    function readTurrets(list, grid, errors) {
+        if (list === undefined) return [];
+        if (!Array.isArray(list)) {
+            errors.push('"turrets" must be a list');
+            return [];
+        }
+        const turrets = [];
+        list.forEach((turret, index) => {
+            const problems = validateTurret(turret, grid);
+            for (const problem of problems) {
+                errors.push(`Turret ${index + 1} ${problem}`);
+            }
+            if (problems.length > 0) return;
+            if (turrets.some(other => other.x === turret.x && other.y === turret.y)) {
+                errors.push(`Turret ${index + 1} shares its tile with another turret`);
+                return;
+            }
+            turrets.push({
+                x: turret.x,
+                y: turret.y,
+                pattern: turret.pattern,
+                directions: turret.directions.slice(),
+                offset: turret.offset || 0
+            });
+        });
+        return turrets;
+    }
+
+    /**
+     * Describe an allowed value type for an error message ('number|boolean' -> 'non-negative number or boolean')
+     */
+    function describeType(type) {
+        return type.split('|').map(name => name === 'number' ? 'non-negative number' : name).join(' or ');
+    }
+
+    /**
+     * Build an error listing every problem in a level file
+     * @param {Array} details - Problem descriptions
+     * @returns {Error} - Error with a readable message and error.details
+     */
+    function levelError(details) {
+        const error = new Error('Invalid level file:\n- ' + details.join('\n- '));
+        error.details = details;
+        return error;
+    }
+
+    GridRush.LEVEL_RULE_KEYS = Object.keys(RULE_TYPES);
+    GridRush.parseLevelFile = parseLevelFile;
+    GridRush.formatLevelFile = formatLevelFile;
+    GridRush.validateLevel = validateLevel;
+    GridRush.validateLevelRules = validateLevelRules;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,983 @@
+/**
+ * GridRush - Level generation
+ *
+ * Procedural maze generators with guaranteed paths. Every generator works on a
+ * maze context ({ grid, level, width, height, rng, settings }, settings being the
+ * level's difficulty settings) instead of the global game state so that
+ * levels can be built without a renderer. All randomness comes from the
+ * context's seeded rng so the same seed always produces the same maze.
+ *
+ * Generators live in a registry keyed by name. Each one declares the smallest
+ * grid it supports and its tunable parameters, so levels can pick a generator
+ * (and tune it) by name. The 'classic' generator is the default and keeps the
+ * original progression of styles.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { findPath } = isNode ? require('./pathfinding') : GridRush;
+    const { analyzeLevel } = isNode ? require('./analysis') : GridRush;
+    const { MAZE_ALGORITHMS } = isNode ? require('./mazes') : GridRush;
+    const { TILES, KEY_COLORS, isWalkable } = isNode ? require('./tiles') : GridRush;
+    const { pickWeighted } = isNode ? require('./random') : GridRush;
+    const { TURRET_PATTERNS, getTurretLane, getOpenDirections } = isNode ? require('./turrets') : GridRush;
+    const { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, getDifficultyAt } = isNode ? require('./difficulty') : GridRush;
+
+    // Layouts tried before settling for the one closest to the difficulty band
+    const MAX_BAND_ATTEMPTS = 20;
+
+    // Placements of special tiles tried before a level is left without them
+    const MAX_TILE_ATTEMPTS = 10;
+
+    // Arrow tile for each direction
+    const ARROW_TILES = [TILES.ARROW_UP, TILES.ARROW_RIGHT, TILES.ARROW_DOWN, TILES.ARROW_LEFT];
+
+    // Generator used when a level doesn't name one
+    const DEFAULT_GENERATOR = 'classic';
+
+    // Styles the classic generator cycles through once the difficulty curve turns simple mazes off, indexed by level % 3
+    const CLASSIC_ROTATION = ['rooms', 'spiral', 'winding'];
+
+    // Registered generators by name
+    const generators = new Map();
+
+    /**
+     * Register a maze generator (replaces any generator with the same name)
+     * @param {Object} generator - { name, description, minWidth, minHeight, params, generate }
+     *   params maps each tunable parameter to { default, min, max, description };
+     *   generate(maze, start, goal, params) fills maze.grid with walls (1) and floor (0)
+     */
+    function registerGenerator(generator) {
+        if (!generator || typeof generator.name !== 'string' || !generator.name) {
+            throw new Error('Maze generators need a name');
+        }
+        if (typeof generator.generate !== 'function') {
+            throw new Error(`Maze generator "${generator.name}" has no generate function`);
+        }
+
+        generators.set(generator.name, Object.assign({
+            description: '',
+            minWidth: 5,
+            minHeight: 5,
+            params: {}
+        }, generator));
+    }
+
+    /**
+     * Look up a registered generator
+     * @param {string} name - Generator name
+     * @returns {Object|null} - The generator, or null if there is none by that name
+     */
+    function getGenerator(name) {
+        return generators.get(name) || null;
+    }
+
+    /**
+     * List the registered generators
+     * @returns {Array} - Generators in registration order
+     */
+    function listGenerators() {
+        return Array.from(generators.values());
+    }
+
+    /**
+     * Fill in a generator's parameters
+     * Missing or non-numeric values use the default; numbers are clamped to the declared range.
+     * @param {Object} generator - Registered generator
+     * @param {Object} [overrides] - Parameter values chosen for the level
+     * @returns {Object} - Parameter values by name
+     */
+    function resolveParams(generator, overrides) {
+        const values = {};
+        for (const [key, spec] of Object.entries(generator.params)) {
+            const value = overrides && overrides[key];
+            values[key] = Number.isFinite(value) ?
+                Math.min(spec.max, Math.max(spec.min, value)) :
+                spec.default;
+        }
+
+        for (const key of Object.keys(overrides || {})) {
+            if (!(key in generator.params)) {
+                console.warn(`Maze generator "${generator.name}" has no parameter "${key}"`);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Pick the generator for a level
+     * Unknown generators and grids smaller than the generator supports fall back to the default.
+     * @param {Object} [choice] - { name, params }
+     * @param {number} width - Grid width in tiles
+     * @param {number} height - Grid height in tiles
+     * @returns {Object} - { generator, params }
+     */
+    function chooseGenerator(choice, width, height) {
+        const fallback = { generator: generators.get(DEFAULT_GENERATOR), params: {} };
+        if (!choice || !choice.name) return fallback;
+
+        const generator = getGenerator(choice.name);
+        if (!generator) {
+            console.warn(`Unknown maze generator "${choice.name}", using ${DEFAULT_GENERATOR}`);
+            return fallback;
+        }
+        if (width < generator.minWidth || height < generator.minHeight) {
+            console.warn(`Maze generator "${generator.name}" needs at least ${generator.minWidth}x${generator.minHeight} tiles, using ${DEFAULT_GENERATOR}`);
+            return fallback;
+        }
+        return { generator, params: resolveParams(generator, choice.params) };
+    }
+
+    /**
+     * Generate the grid with walls and a guaranteed path
+     * With a difficulty band, layouts rated outside it are rejected and regenerated.
+     * @param {number} level - Level number being generated
+     * @param {number} width - Grid width in tiles (at least 5)
+     * @param {number} height - Grid height in tiles (at least 5)
+     * @param {Function} rng - Seeded random number generator
+     * @param {Object} [options] - { generator: { name, params }, settings: the level's difficulty settings
+     *                             (see getDifficultyAt; the normal curve's if left out),
+     *                             tiles: special tile amounts (see placeSpecialTiles),
+     *                             items: collectibles (see placeCollectibles), turrets: see placeTurrets,
+     *                             difficulty: { min, max }, rules };
+     *                             special tiles, gems and difficulty bands are checked with analyzeLevel
+     *                             using the level's rules
+     * @returns {Object} - { grid, start, goal }
+     */
+    function generateGrid(level, width, height, rng, options) {
+        const opts = options || {};
+        const { generator, params } = chooseGenerator(opts.generator, width, height);
+        const settings = opts.settings || getDifficultyAt(DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].curve, level);
+        const build = () => {
+            const candidate = buildGrid(level, width, height, rng, generator, params, settings);
+            if (opts.tiles) {
+                candidate.grid = placeSpecialTiles(candidate, opts.tiles, opts.rules || {}, rng);
+            }
+            if (opts.items) {
+                candidate.grid = placeCollectibles(candidate, opts.items, opts.rules || {}, rng);
+            }
+            candidate.turrets = opts.turrets ? placeTurrets(candidate, opts.turrets, opts.rules || {}, rng) : [];
+            return candidate;
+        };
+
+        const band = opts.difficulty;
+        if (!band) {
+            return build();
+        }
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (let attempt = 0; attempt < MAX_BAND_ATTEMPTS; attempt++) {
+            const candidate = build();
+            const { difficulty } = analyzeLevel(Object.assign({ rules: opts.rules }, candidate));
+            const distance = Math.max(0, band.min - difficulty, difficulty - band.max);
+            if (distance === 0) return candidate;
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Build one grid with walls and a guaranteed path
+     * @param {number} level - Level number being generated
+     * @param {number} width - Grid width in tiles
+     * @param {number} height - Grid height in tiles
+     * @param {Function} rng - Seeded random number generator
+     * @param {Object} generator - Registered generator to lay out the walls
+     * @param {Object} params - Resolved generator parameters
+     * @param {Object} settings - The level's difficulty settings (see getDifficultyAt)
+     * @returns {Object} - { grid, start, goal }
+     */
+    function buildGrid(level, width, height, rng, generator, params, settings) {
+        const maze = { grid: [], level, width, height, rng, settings };
+
+        // Initialize grid with all empty (0)
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                row.push(0); // 0 represents an empty tile
+            }
+            maze.grid.push(row);
+        }
+
+        // Set start position
+        const startX = 0;
+        const startY = 0;
+        let goal;
+
+        // Set goal position based on level with more variety
+        if (level === 1) {
+            goal = { x: Math.min(4, width - 1), y: Math.min(4, height - 1) }; // Easier first level
+        } else if (level === 2) {
+            goal = { x: width - 2, y: 2 }; // Right side
+        } else if (level === 3) {
+            goal = { x: 2, y: height - 2 }; // Bottom side
+        } else if (level === 4) {
+            goal = { x: width - 3, y: height - 3 }; // Bottom right
+        } else {
+            // Higher levels have truly random goal positions (but not too close to start)
+            let minDistance = Math.floor((width + height) / 2 * 0.6); // Minimum Manhattan distance from start
+
+            let x, y;
+            do {
+                x = Math.floor(maze.rng() * (width - 2)) + 1;
+                y = Math.floor(maze.rng() * (height - 2)) + 1;
+
+                // Calculate Manhattan distance
+                const distance = Math.abs(x - startX) + Math.abs(y - startY);
+                if (distance >= minDistance) break;
+            } while (true);
+
+            goal = { x, y };
+        }
+
+        generator.generate(maze, { x: startX, y: startY }, goal, params);
+
+        // Always ensure start and goal positions are open
+        maze.grid[startY][startX] = 0; // Start position
+        maze.grid[goal.y][goal.x] = 0; // Goal position
+
+        // Make sure there's still a valid path (redundant check)
+        validatePath(maze, startX, startY, goal.x, goal.y);
+
+        return { grid: maze.grid, start: { x: startX, y: startY }, goal };
+    }
+
+    /**
+     * Scatter special tiles over a generated level
+     * Placements the solver can't beat are thrown away and tried again; after
+     * MAX_TILE_ATTEMPTS the level keeps its plain layout.
+     * @param {Object} level - { grid, start, goal } from buildGrid()
+     * @param {Object} amounts - { ice, crumble, arrows }: share of floor tiles (0-1);
+     *                           { teleporters, doors }: number of pairs and locked doors (up to 3);
+     *                           { checkpoints }: number of checkpoints on the shortest route
+     * @param {Object} rules - Level rules (for the solvability check)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Array} - New grid with the special tiles
+     */
+    function placeSpecialTiles(level, amounts, rules, rng) {
+        const { start, goal } = level;
+        const pick = (items) => items.splice(Math.floor(rng() * items.length), 1)[0];
+        const isEnd = (x, y) => (x === start.x && y === start.y) || (x === goal.x && y === goal.y);
+
+        for (let attempt = 0; attempt < MAX_TILE_ATTEMPTS; attempt++) {
+            const grid = level.grid.map(row => row.slice());
+            const height = grid.length;
+            const width = grid[0].length;
+            const floor = () => {
+                const tiles = [];
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (grid[y][x] === TILES.FLOOR && !isEnd(x, y)) tiles.push({ x, y });
+                    }
+                }
+                return tiles;
+            };
+            const floorCount = floor().length;
+            const count = (share) => Math.round(floorCount * Math.min(1, share || 0));
+
+            // Locked doors go on corridor tiles of the shortest route, with the key
+            // somewhere the player can reach without passing the door
+            const doors = Math.min(KEY_COLORS.length, amounts.doors || 0);
+            for (let i = 0; i < doors; i++) {
+                const { path } = analyzeLevel({ grid, start, goal, rules });
+                const corridor = path.slice(Math.ceil(path.length * 0.4), Math.floor(path.length * 0.8))
+                    .filter(({ x, y }) => grid[y][x] === TILES.FLOOR && countWalkableNeighbours(grid, x, y) === 2);
+                if (corridor.length === 0) break;
+
+                const door = pick(corridor);
+                grid[door.y][door.x] = TILES.DOOR_RED + i;
+                const keyTiles = getReachableFloor(grid, start).filter(({ x, y }) => !isEnd(x, y) &&
+                    Math.abs(x - start.x) + Math.abs(y - start.y) >= 2);
+                if (keyTiles.length === 0) {
+                    grid[door.y][door.x] = TILES.FLOOR;
+                    break;
+                }
+                const key = pick(keyTiles);
+                grid[key.y][key.x] = TILES.KEY_RED + i;
+            }
+
+            // Teleporter pairs, far enough apart to be worth taking
+            const pairs = Math.min(3, amounts.teleporters || 0);
+            for (let i = 0; i < pairs; i++) {
+                const tiles = floor();
+                const from = tiles.length > 0 ? pick(tiles) : null;
+                const far = tiles.filter(({ x, y }) => from &&
+                    Math.abs(x - from.x) + Math.abs(y - from.y) >= (width + height) / 3);
+                if (!from || far.length === 0) break;
+                const to = pick(far);
+                grid[from.y][from.x] = TILES.TELEPORTER_A + i;
+                grid[to.y][to.x] = TILES.TELEPORTER_A + i;
+            }
+
+            // Ice in small patches
+            let ice = count(amounts.ice);
+            const iceTiles = floor();
+            while (ice > 0 && iceTiles.length > 0) {
+                let tile = pick(iceTiles);
+                for (let size = 0; size < 3 && tile && ice > 0; size++, ice--) {
+                    grid[tile.y][tile.x] = TILES.ICE;
+                    const next = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                        .map(([dx, dy]) => ({ x: tile.x + dx, y: tile.y + dy }))
+                        .filter(({ x, y }) => y >= 0 && y < height && x >= 0 && x < width &&
+                            grid[y][x] === TILES.FLOOR && !isEnd(x, y));
+                    tile = next.length > 0 ? pick(next) : null;
+                }
+            }
+
+            // Single crumbling tiles and arrows
+            const singles = floor();
+            for (let i = count(amounts.crumble); i > 0 && singles.length > 0; i--) {
+                const tile = pick(singles);
+                grid[tile.y][tile.x] = TILES.CRUMBLE;
+            }
+            for (let i = count(amounts.arrows); i > 0 && singles.length > 0; i--) {
+                const tile = pick(singles);
+                grid[tile.y][tile.x] = ARROW_TILES[Math.floor(rng() * ARROW_TILES.length)];
+            }
+
+            const { solvable, path } = analyzeLevel({ grid, start, goal, rules });
+            if (solvable) {
+                // Checkpoints spread evenly along the shortest route, on plain floor
+                const checkpoints = amounts.checkpoints || 0;
+                for (let i = 1; i <= checkpoints; i++) {
+                    const tile = path[Math.floor(path.length * i / (checkpoints + 1))];
+                    if (tile && grid[tile.y][tile.x] === TILES.FLOOR && !isEnd(tile.x, tile.y)) {
+                        grid[tile.y][tile.x] = TILES.CHECKPOINT;
+                    }
+                }
+                return grid;
+            }
+        }
+        return level.grid;
+    }
+
+    /**
+     * Scatter coins and gems over a generated level
+     * Gems go off the shortest route so collecting them is a detour. Each gem is
+     * kept only if the solver still finds a route that collects every gem; spots
+     * that fail MAX_TILE_ATTEMPTS times in a row leave the level with fewer gems.
+     * @param {Object} level - { grid, start, goal }
+     * @param {Object} amounts - { coins: share of floor tiles (0-1), gems: number of gems }
+     * @param {Object} rules - Level rules (for the solver)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Array} - New grid with the collectibles
+     */
+    function placeCollectibles(level, amounts, rules, rng) {
+        const { start, goal } = level;
+        const pick = (items) => items.splice(Math.floor(rng() * items.length), 1)[0];
+        const analysis = analyzeLevel({ grid: level.grid, start, goal, rules });
+        if (!analysis.solvable) return level.grid;
+
+        const grid = level.grid.map(row => row.slice());
+        const onRoute = new Set(analysis.path.map(({ x, y }) => `${x},${y}`));
+        const reachable = getReachableFloor(grid, start).filter(({ x, y }) =>
+            !(x === start.x && y === start.y) && !(x === goal.x && y === goal.y));
+
+        // Any floor tile off the route will do for a gem; the solver decides whether it can be collected
+        const gemSpots = [];
+        grid.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile === TILES.FLOOR && !onRoute.has(`${x},${y}`) &&
+                !(x === start.x && y === start.y) && !(x === goal.x && y === goal.y)) {
+                gemSpots.push({ x, y });
+            }
+        }));
+        for (let placed = 0; placed < (amounts.gems || 0); placed++) {
+            let found = false;
+            for (let attempt = 0; attempt < MAX_TILE_ATTEMPTS && gemSpots.length > 0 && !found; attempt++) {
+                const spot = pick(gemSpots);
+                grid[spot.y][spot.x] = TILES.GEM;
+                found = analyzeLevel({ grid, start, goal, rules }).gemPar !== null;
+                if (!found) grid[spot.y][spot.x] = TILES.FLOOR;
+            }
+            if (!found) break;
+        }
+
+        // Coins anywhere on the floor, route included
+        const spots = reachable.filter(({ x, y }) => grid[y][x] === TILES.FLOOR);
+        const coins = Math.round(spots.length * Math.min(1, amounts.coins || 0));
+        for (let i = 0; i < coins; i++) {
+            const spot = pick(spots);
+            grid[spot.y][spot.x] = TILES.COIN;
+        }
+        return grid;
+    }
+
+    /**
+     * Mount turrets on the walls and edges of a generated level
+     * Turrets prefer lanes that cross the shortest route, and lanes that cross
+     * the start tile are left out so the player isn't fired on before moving.
+     * @param {Object} level - { grid, start, goal }
+     * @param {Object} amounts - { count, patterns: relative weights per pattern (see TURRET_PATTERNS) }
+     * @param {Object} rules - Level rules (turretInterval spreads the turrets' first volleys)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Array} - Turrets ({ x, y, pattern, directions, offset })
+     */
+    function placeTurrets(level, amounts, rules, rng) {
+        const { grid, start } = level;
+        const height = grid.length;
+        const width = grid[0].length;
+        const pick = (items) => items[Math.floor(rng() * items.length)];
+        const count = amounts.count || 0;
+        if (count <= 0) return [];
+
+        const route = new Set(analyzeLevel(Object.assign({ rules }, level)).path.map(({ x, y }) => `${x},${y}`));
+
+        // Every wall tile and every position just outside an edge, with the lanes it could fire down
+        const positions = [];
+        grid.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile === TILES.WALL) positions.push({ x, y });
+        }));
+        for (let x = 0; x < width; x++) positions.push({ x, y: -1 }, { x, y: height });
+        for (let y = 0; y < height; y++) positions.push({ x: -1, y }, { x: width, y });
+        const mounts = positions.map(pos => {
+            const lanes = getOpenDirections(grid, pos)
+                .map(direction => ({ direction, tiles: getTurretLane(grid, pos, direction) }))
+                .filter(lane => !lane.tiles.some(({ x, y }) => x === start.x && y === start.y));
+            return {
+                x: pos.x,
+                y: pos.y,
+                directions: lanes.map(lane => lane.direction),
+                covering: lanes.filter(lane => lane.tiles.some(({ x, y }) => route.has(`${x},${y}`)))
+                    .map(lane => lane.direction)
+            };
+        }).filter(mount => mount.directions.length > 0);
+
+        const turrets = [];
+        for (let i = 0; i < count; i++) {
+            const pattern = pickWeighted(amounts.patterns || { single: 1 }, rng);
+            if (!TURRET_PATTERNS[pattern]) continue;
+            const usable = mounts.filter(mount => mount.directions.length >= TURRET_PATTERNS[pattern].minDirections);
+            const covering = usable.filter(mount => mount.covering.length > 0);
+            const options = covering.length > 0 ? covering : usable;
+            if (options.length === 0) continue;
+
+            const mount = pick(options);
+            mounts.splice(mounts.indexOf(mount), 1);
+            let directions;
+            if (pattern === 'rotating') {
+                directions = mount.directions;
+            } else if (pattern === 'alternating') {
+                // Prefer firing out of both sides of a wall
+                const pairs = [['up', 'down'], ['right', 'left']].filter(pair =>
+                    pair.every(direction => mount.directions.includes(direction)));
+                directions = pairs.length > 0 ? pick(pairs) : mount.directions.slice(0, 2);
+            } else {
+                directions = [pick(mount.covering.length > 0 ? mount.covering : mount.directions)];
+            }
+
+            turrets.push({
+                x: mount.x,
+                y: mount.y,
+                pattern,
+                directions,
+                offset: Math.round(i * (rules.turretInterval || 0) / count)
+            });
+        }
+        return turrets;
+    }
+
+    /**
+     * Count the walkable tiles next to a tile
+     */
+    function countWalkableNeighbours(grid, x, y) {
+        return [[1, 0], [-1, 0], [0, 1], [0, -1]].filter(([dx, dy]) =>
+            grid[y + dy] !== undefined && grid[y + dy][x + dx] !== undefined &&
+            isWalkable(grid[y + dy][x + dx])).length;
+    }
+
+    /**
+     * Flood fill the floor tiles reachable from a position without crossing special tiles
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} from - Start position
+     * @returns {Array} - Reachable floor tiles
+     */
+    function getReachableFloor(grid, from) {
+        const seen = new Set([`${from.x},${from.y}`]);
+        const stack = [from];
+        const tiles = [];
+        while (stack.length > 0) {
+            const { x, y } = stack.pop();
+            tiles.push({ x, y });
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const key = `${nx},${ny}`;
+                if (grid[ny] === undefined || grid[ny][nx] !== TILES.FLOOR || seen.has(key)) continue;
+                seen.add(key);
+                stack.push({ x: nx, y: ny });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Generate a simple maze for lower levels
+     * @param {Object} maze - Maze context ({ grid, level, width, height, rng, settings })
+     * @param {number} startX - Starting X coordinate
+     * @param {number} startY - Starting Y coordinate
+     * @param {number} endX - Ending X coordinate
+     * @param {number} endY - Ending Y coordinate
+     */
+    function generateSimpleMaze(maze, startX, startY, endX, endY) {
+        const { width, height } = maze;
+
+        // Find the shortest path first
+        const path = findPath(maze.grid, startX, startY, endX, endY);
+
+        // Draw some walls around the path with gaps
+        if (path.length > 0) {
+            // Mark the path tiles as visited
+            const visited = new Set();
+            for (const point of path) {
+                visited.add(`${point.x},${point.y}`);
+            }
+
+            // Create walls but leave the path clear
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    // Don't put walls on the path
+                    if (visited.has(`${x},${y}`)) continue;
+
+                    // Avoid blocking the start and goal areas completely
+                    if ((x < 2 && y < 2) || (Math.abs(x - endX) < 2 && Math.abs(y - endY) < 2)) continue;
+
+                    // Create patterns of walls based on level
+                    if (maze.level === 1) {
+                        // Level 1: Simple walls pattern
+                        if ((x + y) % 3 === 0) {
+                            maze.grid[y][x] = 1;
+                        }
+                    } else {
+                        // Level 2: More challenging pattern
+                        if ((x * y) % 4 === 0 || (x + y) % 5 === 0) {
+                            maze.grid[y][x] = 1;
+                        }
+                    }
+                }
+            }
+
+            // Add some strategic walls near the path to make navigation more challenging
+            for (let i = 1; i < path.length - 1; i++) {
+                const point = path[i];
+
+                // Try to place walls adjacent to the path points (but not on path)
+                const adjacentPoints = [
+                    { x: point.x + 1, y: point.y },
+                    { x: point.x - 1, y: point.y },
+                    { x: point.x, y: point.y + 1 },
+                    { x: point.x, y: point.y - 1 }
+                ];
+
+                for (const adjPoint of adjacentPoints) {
+                    if (adjPoint.x < 0 || adjPoint.x >= width || adjPoint.y < 0 || adjPoint.y >= height) continue;
+                    if (visited.has(`${adjPoint.x},${adjPoint.y}`)) continue;
+
+                    // 50% chance to place a wall
+                    if (maze.rng() < 0.5) {
+                        maze.grid[adjPoint.y][adjPoint.x] = 1;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate the classic progression of styles
+     * Levels the difficulty curve marks for simple mazes get a clear path; the others cycle
+     * through the room, spiral and winding styles.
+     * @param {Object} maze - Maze context ({ grid, level, width, height, rng, settings })
+     * @param {Object} start - Start position
+     * @param {Object} goal - Goal position
+     */
+    function generateClassicMaze(maze, start, goal) {
+        const { simpleMazes, wallDensity } = maze.settings;
+        const style = simpleMazes ? generators.get('simple') : generators.get(CLASSIC_ROTATION[maze.level % 3]);
+        // Winding mazes take their wall density from the difficulty curve
+        const overrides = style.name === 'winding' ? { baseDensity: wallDensity, densityPerLevel: 0 } : {};
+        style.generate(maze, start, goal, resolveParams(style, overrides));
+    }
+
+    /**
+     * Generate a room-based maze with bottlenecks
+     * Rooms are square; wider or taller grids get more rooms along that side.
+     */
+    function generateRoomMaze(maze, startX, startY, endX, endY, maxRoomSize) {
+        const { width, height } = maze;
+
+        // Room divisions: a 3x3 layout on square grids up to 3 * maxRoomSize tiles, with rooms
+        // of at most maxRoomSize tiles (walls included) beyond that
+        const roomSize = Math.min(maxRoomSize, Math.max(3, Math.floor(Math.min(width, height) / 3)));
+        const roomsX = Math.floor(width / roomSize);
+        const roomsY = Math.floor(height / roomSize);
+
+        // Create dividing walls
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                // Create walls at room boundaries
+                if (x % roomSize === 0 || y % roomSize === 0) {
+                    maze.grid[y][x] = 1;
+                }
+            }
+        }
+
+        // Create doors between rooms (at least one door per wall)
+        for (let roomY = 0; roomY < roomsY; roomY++) {
+            for (let roomX = 0; roomX < roomsX; roomX++) {
+                // Horizontal doors (in vertical walls)
+                if (roomX < roomsX - 1) {
+                    const doorY = (roomY * roomSize) + Math.floor(maze.rng() * (roomSize - 2)) + 1;
+                    const doorX = (roomX + 1) * roomSize;
+                    maze.grid[doorY][doorX] = 0;
+                }
+
+                // Vertical doors (in horizontal walls)
+                if (roomY < roomsY - 1) {
+                    const doorX = (roomX * roomSize) + Math.floor(maze.rng() * (roomSize - 2)) + 1;
+                    const doorY = (roomY + 1) * roomSize;
+                    maze.grid[doorY][doorX] = 0;
+                }
+            }
+        }
+
+        // Add some random obstacles inside rooms
+        for (let roomY = 0; roomY < roomsY; roomY++) {
+            for (let roomX = 0; roomX < roomsX; roomX++) {
+                const obstacleCount = Math.floor(maze.rng() * 3) + 2; // 2-4 obstacles per room
+
+                for (let i = 0; i < obstacleCount; i++) {
+                    const obsX = (roomX * roomSize) + Math.floor(maze.rng() * (roomSize - 2)) + 1;
+                    const obsY = (roomY * roomSize) + Math.floor(maze.rng() * (roomSize - 2)) + 1;
+
+                    // Don't block start or goal
+                    if ((obsX === startX && obsY === startY) || (obsX === endX && obsY === endY)) {
+                        continue;
+                    }
+
+                    maze.grid[obsY][obsX] = 1;
+
+                    // Sometimes create small clusters of obstacles
+                    if (maze.rng() < 0.4) {
+                        const adjX = obsX + (maze.rng() < 0.5 ? 1 : -1);
+                        const adjY = obsY;
+
+                        if (adjX > 0 && adjX < width && adjX % roomSize !== 0 &&
+                            !(adjX === startX && adjY === startY) &&
+                            !(adjX === endX && adjY === endY)) {
+                            maze.grid[adjY][adjX] = 1;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Make sure there's a path from start to goal
+        validatePath(maze, startX, startY, endX, endY);
+    }
+
+    /**
+     * Generate a spiral/concentric maze
+     */
+    function generateSpiralMaze(maze, startX, startY, endX, endY, wallChance) {
+        const { width, height } = maze;
+        const centerX = Math.floor(width / 2);
+        const centerY = Math.floor(height / 2);
+
+        // Create concentric squares (clipped to the grid on its shorter side)
+        const rings = Math.floor(Math.max(width, height) / 2);
+
+        for (let ring = 1; ring <= rings; ring++) {
+            // Define the boundaries of this ring
+            const minX = centerX - ring;
+            const maxX = centerX + ring;
+            const minY = centerY - ring;
+            const maxY = centerY + ring;
+
+            // Create walls for this ring
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    // Only process points on the ring border
+                    if (x === minX || x === maxX || y === minY || y === maxY) {
+                        // Check boundaries
+                        if (x >= 0 && x < width && y >= 0 && y < height) {
+                            // Don't block start or goal
+                            if ((x === startX && y === startY) || (x === endX && y === endY)) {
+                                continue;
+                            }
+
+                            // Create walls with some probability (leave some gaps)
+                            if (maze.rng() < wallChance) {
+                                maze.grid[y][x] = 1;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Ensure there's at least one opening in each wall of the ring
+            // Top wall
+            let openingX = minX + Math.floor(maze.rng() * (maxX - minX));
+            if (openingX >= 0 && openingX < width && minY >= 0 && minY < height) {
+                maze.grid[minY][openingX] = 0;
+            }
+
+            // Right wall
+            let openingY = minY + Math.floor(maze.rng() * (maxY - minY));
+            if (maxX >= 0 && maxX < width && openingY >= 0 && openingY < height) {
+                maze.grid[openingY][maxX] = 0;
+            }
+
+            // Bottom wall
+            openingX = minX + Math.floor(maze.rng() * (maxX - minX));
+            if (openingX >= 0 && openingX < width && maxY >= 0 && maxY < height) {
+                maze.grid[maxY][openingX] = 0;
+            }
+
+            // Left wall
+            openingY = minY + Math.floor(maze.rng() * (maxY - minY));
+            if (minX >= 0 && minX < width && openingY >= 0 && openingY < height) {
+                maze.grid[openingY][minX] = 0;
+            }
+        }
+
+        // Make sure there's a path from start to goal
+        validatePath(maze, startX, startY, endX, endY);
+    }
+
+    /**
+     * Generate a winding maze with strategic walls
+     */
+    function generateWindingMaze(maze, startX, startY, endX, endY, params) {
+        const { width, height } = maze;
+
+        // Find a winding path from start to goal
+        const directPath = findPath(maze.grid, startX, startY, endX, endY);
+
+        // Create a more winding path by adding random detours
+        let windingPath = [];
+
+        if (directPath.length > 0) {
+            windingPath = createWindingPath(maze, directPath);
+
+            // Mark all path tiles
+            const pathTiles = new Set();
+            for (const point of windingPath) {
+                pathTiles.add(`${point.x},${point.y}`);
+            }
+
+            // Fill a significant portion of the grid with walls
+            const wallDensity = params.baseDensity + (maze.level * params.densityPerLevel); // Increases with level
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    // Don't put walls on the path
+                    if (pathTiles.has(`${x},${y}`)) continue;
+
+                    // Don't completely surround start and end
+                    if ((Math.abs(x - startX) <= 1 && Math.abs(y - startY) <= 1) ||
+                        (Math.abs(x - endX) <= 1 && Math.abs(y - endY) <= 1)) {
+                        continue;
+                    }
+
+                    // Place walls based on probability
+                    if (maze.rng() < wallDensity) {
+                        maze.grid[y][x] = 1;
+                    }
+                }
+            }
+
+            // Add some strategic walls along the path to create challenges
+            // (but keep the path itself clear)
+            for (let i = 2; i < windingPath.length - 2; i++) {
+                const point = windingPath[i];
+                const adjacentPoints = [
+                    { x: point.x + 1, y: point.y },
+                    { x: point.x - 1, y: point.y },
+                    { x: point.x, y: point.y + 1 },
+                    { x: point.x, y: point.y - 1 }
+                ];
+
+                for (const adjPoint of adjacentPoints) {
+                    // Check if in bounds and not on path
+                    if (adjPoint.x < 0 || adjPoint.x >= width || adjPoint.y < 0 || adjPoint.y >= height) continue;
+                    if (pathTiles.has(`${adjPoint.x},${adjPoint.y}`)) continue;
+
+                    // Add walls strategically
+                    if (maze.rng() < 0.65) {
+                        maze.grid[adjPoint.y][adjPoint.x] = 1;
+                    }
+                }
+            }
+        }
+
+        // Make sure there's a path from start to goal
+        validatePath(maze, startX, startY, endX, endY);
+    }
+
+    /**
+     * Create a winding path from a direct path by adding detours
+     * @param {Object} maze - Maze context ({ grid, level, width, height, rng, settings })
+     * @param {Array} directPath - The direct path from start to goal
+     * @returns {Array} - A more winding path
+     */
+    function createWindingPath(maze, directPath) {
+        const windingPath = [...directPath];
+        const { width, height } = maze;
+
+        // No need to add detours to very short paths
+        if (directPath.length < 5) return windingPath;
+
+        // Add 1-3 detours depending on path length
+        const numDetours = Math.min(3, Math.floor(directPath.length / 5));
+
+        for (let d = 0; d < numDetours; d++) {
+            // Choose a random point on the path (not too close to start or goal)
+            const minIndex = Math.ceil(directPath.length * 0.2);
+            const maxIndex = Math.floor(directPath.length * 0.8);
+            const detourIndex = minIndex + Math.floor(maze.rng() * (maxIndex - minIndex));
+
+            const detourStart = directPath[detourIndex];
+
+            // Choose a random valid detour point
+            const detourLength = Math.floor(maze.rng() * 3) + 2; // 2-4 steps
+
+            // Try a few directions for the detour
+            const directions = [
+                { x: 1, y: 0 },
+                { x: -1, y: 0 },
+                { x: 0, y: 1 },
+                { x: 0, y: -1 }
+            ];
+
+            // Shuffle directions
+            for (let i = directions.length - 1; i > 0; i--) {
+                const j = Math.floor(maze.rng() * (i + 1));
+                [directions[i], directions[j]] = [directions[j], directions[i]];
+            }
+
+            // Try each direction until we find a valid detour
+            for (const dir of directions) {
+                let validDetour = true;
+                let currentX = detourStart.x;
+                let currentY = detourStart.y;
+                const detourPoints = [];
+
+                // Check if we can make a detour in this direction
+                for (let step = 0; step < detourLength; step++) {
+                    currentX += dir.x;
+                    currentY += dir.y;
+
+                    // Check if the detour point is valid
+                    if (currentX < 0 || currentX >= width || currentY < 0 || currentY >= height) {
+                        validDetour = false;
+                        break;
+                    }
+
+                    detourPoints.push({ x: currentX, y: currentY });
+                }
+
+                // If we found a valid detour, add it to the path
+                if (validDetour) {
+                    // Add detour points
+                    const detourBackPoints = [...detourPoints];
+                    detourBackPoints.pop(); // Remove the last point to avoid duplication
+                    detourBackPoints.reverse(); // Reverse to come back to the original path
+
+                    // Insert the detour into the winding path
+                    windingPath.splice(detourIndex + 1, 0, ...detourPoints, ...detourBackPoints);
+                    break;
+                }
+            }
+        }
+
+        return windingPath;
+    }
+
+    /**
+     * Validate that there is a path from start to goal
+     * If no path is found, create one
+     * @param {Object} maze - Maze context ({ grid, level, width, height, rng, settings })
+     * @param {number} startX - Starting X coordinate
+     * @param {number} startY - Starting Y coordinate
+     * @param {number} endX - Ending X coordinate
+     * @param {number} endY - Ending Y coordinate
+     */
+    function validatePath(maze, startX, startY, endX, endY) {
+        const path = findPath(maze.grid, startX, startY, endX, endY);
+
+        // If no path is found, create a direct path
+        if (path.length === 0) {
+            console.log("No path found, creating one...");
+
+            // Clear a direct path
+            const dx = endX > startX ? 1 : -1;
+            const dy = endY > startY ? 1 : -1;
+
+            // First horizontal then vertical
+            let x = startX;
+            while (x !== endX) {
+                maze.grid[startY][x] = 0;
+                x += dx;
+            }
+
+            let y = startY;
+            while (y !== endY) {
+                maze.grid[y][endX] = 0;
+                y += dy;
+            }
+
+            // Make sure the end is clear
+            maze.grid[endY][endX] = 0;
+        }
+    }
+
+    registerGenerator({
+        name: 'classic',
+        description: 'The original progression: simple mazes, then rooms, spirals and winding paths by level',
+        generate: generateClassicMaze
+    });
+    registerGenerator({
+        name: 'simple',
+        description: 'A clear path with wall patterns and obstacles along it',
+        generate: (maze, start, goal) => generateSimpleMaze(maze, start.x, start.y, goal.x, goal.y)
+    });
+    registerGenerator({
+        name: 'rooms',
+        description: 'A grid of rooms joined by doors, with obstacles inside',
+        params: {
+            maxRoomSize: { default: 5, min: 3, max: 10, description: 'Largest room size in tiles, walls included' }
+        },
+        generate: (maze, start, goal, params) =>
+            generateRoomMaze(maze, start.x, start.y, goal.x, goal.y, params.maxRoomSize)
+    });
+    registerGenerator({
+        name: 'spiral',
+        description: 'Concentric rings with gaps',
+        params: {
+            wallChance: { default: 0.7, min: 0, max: 1, description: 'Chance for each ring tile to be a wall' }
+        },
+        generate: (maze, start, goal, params) =>
+            generateSpiralMaze(maze, start.x, start.y, goal.x, goal.y, params.wallChance)
+    });
+    registerGenerator({
+        name: 'winding',
+        description: 'A long winding path through dense walls',
+        params: {
+            baseDensity: { default: 0.5, min: 0, max: 1, description: 'Share of tiles off the path that are walls' },
+            densityPerLevel: { default: 0.03, min: 0, max: 0.1, description: 'Extra wall density per level' }
+        },
+        generate: (maze, start, goal, params) =>
+            generateWindingMaze(maze, start.x, start.y, goal.x, goal.y, params)
+    });
+    MAZE_ALGORITHMS.forEach(registerGenerator);
+
+    GridRush.generateGrid = generateGrid;
+    GridRush.validatePath = validatePath;
+    GridRush.registerGenerator = registerGenerator;
+    GridRush.getGenerator = getGenerator;
+    GridRush.listGenerators = listGenerators;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
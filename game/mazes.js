@@ -0,0 +1,474 @@
+/**
+ * GridRush - Maze algorithms
+ *
+ * Classic maze and dungeon algorithms for the generator registry in levels.js.
+ * Each entry declares its name, the smallest grid it supports and its tunable
+ * parameters; generate() fills the maze context ({ grid, level, width, height, rng, settings })
+ * with walls (1) and floor (0) and makes sure the start and goal are connected.
+ *
+ * The perfect-maze algorithms (backtracker, Prim's, Kruskal) carve on a lattice:
+ * cells sit on even coordinates and the odd rows and columns between them are
+ * the walls that get knocked down. On an even width or height the far edge
+ * stays solid wall.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const DIRECTIONS = [
+        { x: 1, y: 0 },
+        { x: -1, y: 0 },
+        { x: 0, y: 1 },
+        { x: 0, y: -1 }
+    ];
+
+    // Parameter shared by the perfect-maze algorithms
+    const BRAID_PARAM = {
+        default: 0,
+        min: 0,
+        max: 1,
+        description: 'Chance to open each dead end into a loop (0 = perfect maze)'
+    };
+
+    /**
+     * Fill the whole grid with one tile type
+     * @param {Object} maze - Maze context
+     * @param {number} tile - Tile code (0 floor, 1 wall)
+     */
+    function fill(maze, tile) {
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                maze.grid[y][x] = tile;
+            }
+        }
+    }
+
+    /**
+     * Check whether a tile is inside the grid
+     */
+    function inside(maze, x, y) {
+        return x >= 0 && y >= 0 && x < maze.width && y < maze.height;
+    }
+
+    /**
+     * Shuffle an array in place with the maze's rng (Fisher-Yates)
+     * @param {Object} maze - Maze context
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} - The same array
+     */
+    function shuffle(maze, items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(maze.rng() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * List the lattice cells (even coordinates) of the grid
+     * @param {Object} maze - Maze context
+     * @returns {Array} - Cells ({ x, y })
+     */
+    function latticeCells(maze) {
+        const cells = [];
+        for (let y = 0; y < maze.height; y += 2) {
+            for (let x = 0; x < maze.width; x += 2) {
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Get the lattice cells two tiles away from a cell
+     * @param {Object} maze - Maze context
+     * @param {Object} cell - Cell ({ x, y })
+     * @returns {Array} - Neighbouring cells
+     */
+    function latticeNeighbours(maze, cell) {
+        return DIRECTIONS
+            .map(dir => ({ x: cell.x + dir.x * 2, y: cell.y + dir.y * 2 }))
+            .filter(next => inside(maze, next.x, next.y));
+    }
+
+    /**
+     * Open two cells and the wall tile between them
+     */
+    function carvePassage(maze, a, b) {
+        maze.grid[a.y][a.x] = 0;
+        maze.grid[(a.y + b.y) / 2][(a.x + b.x) / 2] = 0;
+        maze.grid[b.y][b.x] = 0;
+    }
+
+    /**
+     * Count the open tiles next to a tile
+     */
+    function openNeighbourCount(maze, x, y) {
+        return DIRECTIONS.filter(dir => inside(maze, x + dir.x, y + dir.y) &&
+            maze.grid[y + dir.y][x + dir.x] === 0).length;
+    }
+
+    /**
+     * Open some dead ends of a lattice maze into loops
+     * @param {Object} maze - Maze context
+     * @param {number} chance - Chance (0-1) for each dead end
+     */
+    function braid(maze, chance) {
+        if (chance <= 0) return;
+
+        for (const cell of latticeCells(maze)) {
+            if (openNeighbourCount(maze, cell.x, cell.y) !== 1 || maze.rng() >= chance) continue;
+
+            // Knock down a wall towards a cell that isn't already connected
+            const closed = latticeNeighbours(maze, cell).filter(next =>
+                maze.grid[(cell.y + next.y) / 2][(cell.x + next.x) / 2] === 1);
+            if (closed.length > 0) {
+                carvePassage(maze, cell, closed[Math.floor(maze.rng() * closed.length)]);
+            }
+        }
+    }
+
+    /**
+     * Carve an L-shaped corridor between two tiles
+     * @param {Object} maze - Maze context
+     * @param {Object} from - First tile
+     * @param {Object} to - Second tile
+     */
+    function carveCorridor(maze, from, to) {
+        const horizontalFirst = maze.rng() < 0.5;
+        const corner = horizontalFirst ? { x: to.x, y: from.y } : { x: from.x, y: to.y };
+
+        for (const [a, b] of [[from, corner], [corner, to]]) {
+            const dx = Math.sign(b.x - a.x);
+            const dy = Math.sign(b.y - a.y);
+            let x = a.x;
+            let y = a.y;
+            maze.grid[y][x] = 0;
+            while (x !== b.x || y !== b.y) {
+                x += dx;
+                y += dy;
+                maze.grid[y][x] = 0;
+            }
+        }
+    }
+
+    /**
+     * Make sure a tile is open and joined to the rest of the floor
+     * All open tiles must already be connected to each other.
+     * @param {Object} maze - Maze context
+     * @param {Object} point - Tile to link (usually the start or goal)
+     */
+    function linkToFloor(maze, point) {
+        if (maze.grid[point.y][point.x] === 0 && openNeighbourCount(maze, point.x, point.y) > 0) return;
+
+        // Corridor to the closest open tile
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (maze.grid[y][x] !== 0 || (x === point.x && y === point.y)) continue;
+                const distance = Math.abs(x - point.x) + Math.abs(y - point.y);
+                if (distance < nearestDistance) {
+                    nearest = { x, y };
+                    nearestDistance = distance;
+                }
+            }
+        }
+
+        maze.grid[point.y][point.x] = 0;
+        if (nearest) carveCorridor(maze, point, nearest);
+    }
+
+    /**
+     * Wall in every open tile that isn't connected to the largest open region
+     * @param {Object} maze - Maze context
+     */
+    function keepLargestRegion(maze) {
+        const region = Array(maze.height).fill().map(() => Array(maze.width).fill(-1));
+        const sizes = [];
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (maze.grid[y][x] !== 0 || region[y][x] !== -1) continue;
+
+                // Flood fill a new region
+                const id = sizes.length;
+                const stack = [{ x, y }];
+                region[y][x] = id;
+                sizes.push(0);
+                while (stack.length > 0) {
+                    const tile = stack.pop();
+                    sizes[id]++;
+                    for (const dir of DIRECTIONS) {
+                        const nx = tile.x + dir.x;
+                        const ny = tile.y + dir.y;
+                        if (inside(maze, nx, ny) && maze.grid[ny][nx] === 0 && region[ny][nx] === -1) {
+                            region[ny][nx] = id;
+                            stack.push({ x: nx, y: ny });
+                        }
+                    }
+                }
+            }
+        }
+
+        const largest = sizes.indexOf(Math.max(...sizes));
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (maze.grid[y][x] === 0 && region[y][x] !== largest) {
+                    maze.grid[y][x] = 1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Recursive backtracker (depth-first search with an explicit stack)
+     * Produces long, twisting corridors with few branches.
+     */
+    function generateBacktracker(maze, start, goal, params) {
+        fill(maze, 1);
+
+        const visited = new Set([`${start.x},${start.y}`]);
+        const stack = [start];
+        maze.grid[start.y][start.x] = 0;
+
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const options = latticeNeighbours(maze, current).filter(next => !visited.has(`${next.x},${next.y}`));
+            if (options.length === 0) {
+                stack.pop();
+                continue;
+            }
+            const next = options[Math.floor(maze.rng() * options.length)];
+            carvePassage(maze, current, next);
+            visited.add(`${next.x},${next.y}`);
+            stack.push(next);
+        }
+
+        braid(maze, params.braid);
+        linkToFloor(maze, goal);
+    }
+
+    /**
+     * Randomized Prim's algorithm
+     * Grows the maze from the start by opening random frontier cells; many short dead ends.
+     */
+    function generatePrim(maze, start, goal, params) {
+        fill(maze, 1);
+
+        const inMaze = new Set([`${start.x},${start.y}`]);
+        const frontier = [];
+        const addFrontier = (cell) => {
+            for (const next of latticeNeighbours(maze, cell)) {
+                if (!inMaze.has(`${next.x},${next.y}`)) frontier.push({ cell: next, from: cell });
+            }
+        };
+        maze.grid[start.y][start.x] = 0;
+        addFrontier(start);
+
+        while (frontier.length > 0) {
+            const [{ cell, from }] = frontier.splice(Math.floor(maze.rng() * frontier.length), 1);
+            const key = `${cell.x},${cell.y}`;
+            if (inMaze.has(key)) continue;
+
+            inMaze.add(key);
+            carvePassage(maze, from, cell);
+            addFrontier(cell);
+        }
+
+        braid(maze, params.braid);
+        linkToFloor(maze, goal);
+    }
+
+    /**
+     * Randomized Kruskal's algorithm
+     * Joins cells in random order while avoiding cycles; an even mix of branches.
+     */
+    function generateKruskal(maze, start, goal, params) {
+        fill(maze, 1);
+
+        const cells = latticeCells(maze);
+        const parent = new Map(cells.map(cell => [`${cell.x},${cell.y}`, `${cell.x},${cell.y}`]));
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key))); // Path halving
+                key = parent.get(key);
+            }
+            return key;
+        };
+
+        // Every wall between two cells, right and down only so each appears once
+        const edges = [];
+        for (const cell of cells) {
+            maze.grid[cell.y][cell.x] = 0;
+            for (const next of [{ x: cell.x + 2, y: cell.y }, { x: cell.x, y: cell.y + 2 }]) {
+                if (inside(maze, next.x, next.y)) edges.push([cell, next]);
+            }
+        }
+
+        for (const [a, b] of shuffle(maze, edges)) {
+            const rootA = find(`${a.x},${a.y}`);
+            const rootB = find(`${b.x},${b.y}`);
+            if (rootA !== rootB) {
+                parent.set(rootA, rootB);
+                carvePassage(maze, a, b);
+            }
+        }
+
+        braid(maze, params.braid);
+        linkToFloor(maze, goal);
+    }
+
+    /**
+     * Cellular-automata caves
+     * Random noise smoothed into organic caverns; only the largest cave is kept.
+     */
+    function generateCaves(maze, start, goal, params) {
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                maze.grid[y][x] = maze.rng() < params.fillChance ? 1 : 0;
+            }
+        }
+
+        // Each pass, a tile becomes a wall when enough of its 8 neighbours are walls
+        // (tiles outside the grid count as walls)
+        for (let i = 0; i < params.iterations; i++) {
+            const next = maze.grid.map(row => row.slice());
+            for (let y = 0; y < maze.height; y++) {
+                for (let x = 0; x < maze.width; x++) {
+                    let walls = 0;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            if (dx === 0 && dy === 0) continue;
+                            if (!inside(maze, x + dx, y + dy) || maze.grid[y + dy][x + dx] === 1) walls++;
+                        }
+                    }
+                    if (maze.grid[y][x] === 1) {
+                        next[y][x] = walls >= params.deathLimit ? 1 : 0;
+                    } else {
+                        next[y][x] = walls > params.birthLimit ? 1 : 0;
+                    }
+                }
+            }
+            maze.grid = next;
+        }
+
+        // Fully walled grids still need somewhere to link to
+        if (maze.grid.every(row => row.every(tile => tile === 1))) {
+            maze.grid[start.y][start.x] = 0;
+        }
+        keepLargestRegion(maze);
+        linkToFloor(maze, start);
+        linkToFloor(maze, goal);
+    }
+
+    /**
+     * Binary space partitioning dungeon
+     * Splits the grid into regions, puts a room in each and joins sibling rooms with corridors.
+     */
+    function generateBsp(maze, start, goal, params) {
+        fill(maze, 1);
+
+        const minLeaf = params.minLeafSize;
+
+        /**
+         * Split a region recursively and carve its rooms
+         * @returns {Object} - A tile inside one of the region's rooms (to connect to)
+         */
+        function split(region) {
+            const canSplitX = region.width >= minLeaf * 2;
+            const canSplitY = region.height >= minLeaf * 2;
+
+            if (!canSplitX && !canSplitY) {
+                // Leaf: a room with at least one tile of margin where the region allows it
+                const roomWidth = Math.max(1, Math.floor(region.width * (params.roomFill + maze.rng() * (1 - params.roomFill))) - 1);
+                const roomHeight = Math.max(1, Math.floor(region.height * (params.roomFill + maze.rng() * (1 - params.roomFill))) - 1);
+                const roomX = region.x + Math.floor(maze.rng() * (region.width - roomWidth));
+                const roomY = region.y + Math.floor(maze.rng() * (region.height - roomHeight));
+                for (let y = roomY; y < roomY + roomHeight; y++) {
+                    for (let x = roomX; x < roomX + roomWidth; x++) {
+                        maze.grid[y][x] = 0;
+                    }
+                }
+                return {
+                    x: roomX + Math.floor(roomWidth / 2),
+                    y: roomY + Math.floor(roomHeight / 2)
+                };
+            }
+
+            // Split across the longer side when both are possible
+            const splitX = canSplitX && (!canSplitY || region.width > region.height ||
+                (region.width === region.height && maze.rng() < 0.5));
+            const length = splitX ? region.width : region.height;
+            const cut = minLeaf + Math.floor(maze.rng() * (length - minLeaf * 2 + 1));
+
+            const [first, second] = splitX ?
+                [{ x: region.x, y: region.y, width: cut, height: region.height },
+                 { x: region.x + cut, y: region.y, width: region.width - cut, height: region.height }] :
+                [{ x: region.x, y: region.y, width: region.width, height: cut },
+                 { x: region.x, y: region.y + cut, width: region.width, height: region.height - cut }];
+
+            const a = split(first);
+            const b = split(second);
+            carveCorridor(maze, a, b);
+            return maze.rng() < 0.5 ? a : b;
+        }
+
+        split({ x: 0, y: 0, width: maze.width, height: maze.height });
+        linkToFloor(maze, start);
+        linkToFloor(maze, goal);
+    }
+
+    // Algorithm definitions registered by levels.js
+    const MAZE_ALGORITHMS = [
+        {
+            name: 'backtracker',
+            description: 'Recursive backtracker: long twisting corridors with few branches',
+            minWidth: 5,
+            minHeight: 5,
+            params: { braid: BRAID_PARAM },
+            generate: generateBacktracker
+        },
+        {
+            name: 'prim',
+            description: "Randomized Prim's algorithm: branchy mazes with many short dead ends",
+            minWidth: 5,
+            minHeight: 5,
+            params: { braid: BRAID_PARAM },
+            generate: generatePrim
+        },
+        {
+            name: 'kruskal',
+            description: "Randomized Kruskal's algorithm: evenly mixed branches",
+            minWidth: 5,
+            minHeight: 5,
+            params: { braid: BRAID_PARAM },
+            generate: generateKruskal
+        },
+        {
+            name: 'caves',
+            description: 'Cellular-automata caves: open, organic caverns',
+            minWidth: 7,
+            minHeight: 7,
+            params: {
+                fillChance: { default: 0.4, min: 0, max: 0.7, description: 'Share of tiles that start as walls' },
+                iterations: { default: 4, min: 0, max: 10, description: 'Smoothing passes' },
+                birthLimit: { default: 4, min: 0, max: 8, description: 'Floor turns to wall with more wall neighbours than this' },
+                deathLimit: { default: 4, min: 0, max: 8, description: 'Wall stays with at least this many wall neighbours' }
+            },
+            generate: generateCaves
+        },
+        {
+            name: 'bsp',
+            description: 'BSP dungeon: rectangular rooms joined by corridors',
+            minWidth: 8,
+            minHeight: 8,
+            params: {
+                minLeafSize: { default: 4, min: 3, max: 10, description: 'Smallest region a room is placed in' },
+                roomFill: { default: 0.6, min: 0.2, max: 1, description: 'Smallest room size as a share of its region' }
+            },
+            generate: generateBsp
+        }
+    ];
+
+    GridRush.MAZE_ALGORITHMS = MAZE_ALGORITHMS;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,103 @@
+/**
+ * GridRush - Game modes
+ *
+ * A mode changes the rules of a whole run. The engine reads the mode's rules
+ * when the run starts:
+ * - timed:      a countdown clock ends the run; every level finished adds time
+ *               (see timeLimit and timeBonus in the engine config)
+ * - hazards:    turrets and enemies appear
+ * - powerups:   power-ups appear
+ * - parScoring: moves are free and each level pays points for finishing at or
+ *               near par instead (see parScore and overParPenalty)
+ * - daily:      the run plays the day's seed (see getDailySeed), the same for everyone
+ *
+ * High scores are filed under the mode's id.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const DEFAULT_MODE = 'endless';
+
+    const DEFAULT_MODE_RULES = {
+        timed: false,
+        hazards: true,
+        powerups: true,
+        parScoring: false,
+        daily: false
+    };
+
+    const GAME_MODES = {
+        endless: {
+            name: 'Endless',
+            description: 'Keep going until you run out of lives',
+            rules: {}
+        },
+        timeAttack: {
+            name: 'Time Attack',
+            description: 'Beat the clock; every level you finish adds time',
+            rules: { timed: true }
+        },
+        puzzle: {
+            name: 'Puzzle',
+            description: 'No hazards or power-ups; finish each level in as few steps as you can',
+            rules: { hazards: false, powerups: false, parScoring: true }
+        },
+        daily: {
+            name: 'Daily Challenge',
+            description: "Today's levels, the same for everyone; one scored attempt a day",
+            rules: { daily: true }
+        }
+    };
+
+    /**
+     * Get the rules of a game mode
+     * @param {string} mode - Mode id
+     * @returns {Object} - { timed, hazards, powerups, parScoring, daily }
+     * @throws {Error} - If there is no such mode
+     */
+    function getModeRules(mode) {
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+            throw new Error(`Unknown game mode "${mode}"`);
+        }
+        return Object.assign({}, DEFAULT_MODE_RULES, GAME_MODES[mode].rules);
+    }
+
+    /**
+     * Get the calendar day of a daily challenge
+     * Days are counted in UTC so everyone plays the same levels at the same time.
+     * @param {Date} [date] - Moment in the day (now if left out)
+     * @returns {string} - Day as YYYY-MM-DD
+     */
+    function getDailyDate(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the seed of a daily challenge
+     * @param {string} [day] - Day as YYYY-MM-DD (today if left out)
+     * @returns {string} - Run seed
+     */
+    function getDailySeed(day = getDailyDate()) {
+        return `daily-${day}`;
+    }
+
+    /**
+     * Score a level finished in a par-scored mode
+     * @param {number} steps - Steps taken
+     * @param {number|null} par - Level par (null if unknown)
+     * @param {number} parScore - Points for finishing at or under par
+     * @param {number} overParPenalty - Points deducted per step over par
+     * @returns {number} - Points earned (never negative)
+     */
+    function getParPoints(steps, par, parScore, overParPenalty) {
+        if (par === null || par === undefined) return parScore;
+        return Math.max(0, parScore - Math.max(0, steps - par) * overParPenalty);
+    }
+
+    GridRush.DEFAULT_MODE = DEFAULT_MODE;
+    GridRush.GAME_MODES = GAME_MODES;
+    GridRush.getModeRules = getModeRules;
+    GridRush.getDailyDate = getDailyDate;
+    GridRush.getDailySeed = getDailySeed;
+    GridRush.getParPoints = getParPoints;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
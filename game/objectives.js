@@ -0,0 +1,122 @@
+/**
+ * GridRush - Level objectives
+ *
+ * Optional goals for a level that pay bonus points when the level is finished:
+ *
+ * - gems:   collect every gem
+ * - steps:  finish in at most a number of steps
+ * - noHits: finish without losing a life
+ *
+ * Each objective is a plain object so it can be saved with the run:
+ * { type, description, target, progress, bonus, status } where status is
+ * 'active', 'complete' or 'failed'.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const OBJECTIVE_TYPES = ['gems', 'steps', 'noHits'];
+
+    /**
+     * Create the objectives for a level
+     * @param {Object} analysis - Level analysis (par, gems, gemPar; see analyzeLevel)
+     * @param {Object} bonuses - Bonus points per objective type (0 leaves the objective out)
+     * @param {Object} [overrides] - From a level file: { gems: false, steps: 20, noHits: true }
+     *                               (false leaves an objective out, a number sets the step limit)
+     * @param {number} stepSlack - Extra steps over par allowed by the default step objective (share of par)
+     * @returns {Array} - Objectives
+     */
+    function createObjectives(analysis, bonuses, overrides, stepSlack) {
+        const choices = Object.assign({}, overrides);
+        const enabled = (type) => bonuses[type] > 0 && choices[type] !== false;
+        const objectives = [];
+
+        // Only offered when the solver found a route that collects every gem
+        if (enabled('gems') && analysis.gems > 0 && analysis.gemPar !== null) {
+            const description = analysis.gems === 1 ? 'Collect the gem' : `Collect all ${analysis.gems} gems`;
+            objectives.push(makeObjective('gems', description, analysis.gems, bonuses.gems));
+        }
+
+        if (enabled('steps') && analysis.par !== null) {
+            const limit = typeof choices.steps === 'number' ?
+                choices.steps :
+                analysis.par + Math.max(1, Math.ceil(analysis.par * stepSlack));
+            objectives.push(makeObjective('steps', `Finish in ${limit} steps or fewer`, limit, bonuses.steps));
+        }
+
+        if (enabled('noHits')) {
+            objectives.push(makeObjective('noHits', 'Finish without losing a life', 0, bonuses.noHits));
+        }
+        return objectives;
+    }
+
+    /**
+     * Build one objective
+     */
+    function makeObjective(type, description, target, bonus) {
+        return { type, description, target, progress: 0, bonus, status: 'active' };
+    }
+
+    /**
+     * Update objectives from the player's progress on the level
+     * @param {Array} objectives - Objectives from createObjectives() (changed in place)
+     * @param {Object} progress - { gems, steps, hits } so far on the level
+     * @param {boolean} finished - True once the goal is reached; open objectives are then settled
+     * @returns {boolean} - True if any objective changed
+     */
+    function updateObjectives(objectives, progress, finished) {
+        let changed = false;
+        for (const objective of objectives) {
+            if (objective.status !== 'active') continue;
+            const before = `${objective.progress}:${objective.status}`;
+
+            switch (objective.type) {
+                case 'gems':
+                    objective.progress = progress.gems;
+                    if (progress.gems >= objective.target) {
+                        objective.status = 'complete';
+                    } else if (finished) {
+                        objective.status = 'failed';
+                    }
+                    break;
+                case 'steps':
+                    objective.progress = progress.steps;
+                    if (progress.steps > objective.target) {
+                        objective.status = 'failed';
+                    } else if (finished) {
+                        objective.status = 'complete';
+                    }
+                    break;
+                case 'noHits':
+                    objective.progress = progress.hits;
+                    if (progress.hits > 0) {
+                        objective.status = 'failed';
+                    } else if (finished) {
+                        objective.status = 'complete';
+                    }
+                    break;
+            }
+
+            if (`${objective.progress}:${objective.status}` !== before) changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Check that a saved list of objectives is well formed
+     * @param {*} objectives - Value to check
+     * @returns {boolean} - True if every entry is a valid objective
+     */
+    function isValidObjectiveList(objectives) {
+        return Array.isArray(objectives) && objectives.every(objective =>
+            objective && OBJECTIVE_TYPES.includes(objective.type) &&
+            typeof objective.description === 'string' &&
+            Number.isInteger(objective.target) && Number.isInteger(objective.progress) &&
+            typeof objective.bonus === 'number' &&
+            ['active', 'complete', 'failed'].includes(objective.status));
+    }
+
+    GridRush.OBJECTIVE_TYPES = OBJECTIVE_TYPES;
+    GridRush.createObjectives = createObjectives;
+    GridRush.updateObjectives = updateObjectives;
+    GridRush.isValidObjectiveList = isValidObjectiveList;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
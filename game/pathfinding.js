@@ -0,0 +1,162 @@
+/**
+ * GridRush - Pathfinding
+ *
+ * Grid search helpers shared by the level generators and the game engine
+ * (enemy navigation).
+ * Works on a plain 2D grid array (grid[y][x]) so it runs without a renderer.
+ */
+(function (GridRush) {
+    'use strict';
+
+    // Neighbour order used by the searches below (changing it changes generated levels)
+    const DIRECTIONS = [
+        { x: 1, y: 0 },  // Right
+        { x: -1, y: 0 }, // Left
+        { x: 0, y: 1 },  // Down
+        { x: 0, y: -1 }  // Up
+    ];
+
+    /**
+     * Find a path from start to end using A* algorithm
+     * @param {Array} grid - 2D array representing the grid (1 = wall)
+     * @param {number} startX - Starting X coordinate
+     * @param {number} startY - Starting Y coordinate
+     * @param {number} endX - Ending X coordinate
+     * @param {number} endY - Ending Y coordinate
+     * @returns {Array} - Array of points in the path
+     */
+    function findPath(grid, startX, startY, endX, endY) {
+        return findGridPath(grid, { x: startX, y: startY }, { x: endX, y: endY }, tile => tile !== 1);
+    }
+
+    /**
+     * Find a shortest path between two tiles using A* algorithm
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} start - Starting position
+     * @param {Object} end - Target position
+     * @param {Function} isPassable - Called with a tile code, true if the tile can be entered
+     * @returns {Array} - Positions from start to end (empty if the end can't be reached)
+     */
+    function findGridPath(grid, start, end, isPassable) {
+        const startX = start.x;
+        const startY = start.y;
+        const endX = end.x;
+        const endY = end.y;
+        const height = grid.length;
+        const width = height > 0 ? grid[0].length : 0;
+
+        // Mark all cells as unvisited
+        const visited = Array(height).fill().map(() => Array(width).fill(false));
+
+        // Use A* pathfinding to find a path
+        const openSet = [{ x: startX, y: startY, g: 0, h: 0, f: 0, parent: null }];
+
+        while (openSet.length > 0) {
+            // Find node with lowest f score
+            let lowestIndex = 0;
+            for (let i = 0; i < openSet.length; i++) {
+                if (openSet[i].f < openSet[lowestIndex].f) {
+                    lowestIndex = i;
+                }
+            }
+
+            const current = openSet[lowestIndex];
+
+            // If reached the end
+            if (current.x === endX && current.y === endY) {
+                // Reconstruct path
+                const path = [];
+                let temp = current;
+                while (temp !== null) {
+                    path.push({ x: temp.x, y: temp.y });
+                    temp = temp.parent;
+                }
+                return path.reverse();
+            }
+
+            // Remove current from openSet and mark as visited
+            openSet.splice(lowestIndex, 1);
+            visited[current.y][current.x] = true;
+
+            // Check all adjacent neighbors
+            for (const dir of DIRECTIONS) {
+                const neighborX = current.x + dir.x;
+                const neighborY = current.y + dir.y;
+
+                // Check if valid position
+                if (neighborX < 0 || neighborX >= width || neighborY < 0 || neighborY >= height) {
+                    continue;
+                }
+
+                // Skip if blocked or already visited
+                if (!isPassable(grid[neighborY][neighborX]) || visited[neighborY][neighborX]) {
+                    continue;
+                }
+
+                // Calculate scores
+                const g = current.g + 1;
+                const h = Math.abs(neighborX - endX) + Math.abs(neighborY - endY); // Manhattan distance
+                const f = g + h;
+
+                // Check if already in openSet with better score
+                let inOpenSet = false;
+                for (const node of openSet) {
+                    if (node.x === neighborX && node.y === neighborY) {
+                        inOpenSet = true;
+                        if (g < node.g) {
+                            node.g = g;
+                            node.f = f;
+                            node.parent = current;
+                        }
+                        break;
+                    }
+                }
+
+                // If not in openSet, add it
+                if (!inOpenSet) {
+                    openSet.push({
+                        x: neighborX,
+                        y: neighborY,
+                        g: g,
+                        h: h,
+                        f: f,
+                        parent: current
+                    });
+                }
+            }
+        }
+
+        // No path found
+        return [];
+    }
+
+    /**
+     * Measure the walking distance from a tile to every tile it can reach (breadth-first)
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} start - Starting position
+     * @param {Function} isPassable - Called with a tile code, true if the tile can be entered
+     * @returns {Map} - "x,y" to distance in steps for every reachable tile (the start included)
+     */
+    function getGridDistances(grid, start, isPassable) {
+        const distances = new Map([[`${start.x},${start.y}`, 0]]);
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            const distance = distances.get(`${x},${y}`);
+            for (const dir of DIRECTIONS) {
+                const nx = x + dir.x;
+                const ny = y + dir.y;
+                const key = `${nx},${ny}`;
+                if (grid[ny] === undefined || grid[ny][nx] === undefined ||
+                    !isPassable(grid[ny][nx]) || distances.has(key)) continue;
+                distances.set(key, distance + 1);
+                queue.push({ x: nx, y: ny });
+            }
+        }
+        return distances;
+    }
+
+    GridRush.findPath = findPath;
+    GridRush.findGridPath = findGridPath;
+    GridRush.getGridDistances = getGridDistances;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
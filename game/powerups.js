@@ -0,0 +1,96 @@
+/**
+ * GridRush - Power-ups
+ *
+ * Power-ups appear on open floor tiles during a level and disappear again
+ * after a while. Walking onto one picks it up; held power-ups are used one at
+ * a time, oldest first, with a key or the pinch gesture.
+ *
+ * - shield:    absorbs the next hit
+ * - freeze:    stops turrets, projectiles and enemies for a few seconds
+ * - phase:     the next move into a wall walks through it
+ * - extraLife: one more life
+ * - reveal:    shows the shortest way to the goal for a few seconds
+ *
+ * Active power-ups are plain objects so they can be saved with the run:
+ * { type, ticksLeft } where ticksLeft is null for power-ups that last until
+ * they are used up (shield and phase).
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { pickWeighted } = isNode ? require('./random') : GridRush;
+    const { TILES } = isNode ? require('./tiles') : GridRush;
+
+    // timed: lasts for the type's duration (see powerupDurations in the engine config)
+    const POWERUP_TYPES = {
+        shield: { description: 'Absorbs the next hit', timed: false },
+        freeze: { description: 'Stops turrets, projectiles and enemies', timed: true },
+        phase: { description: 'Walk through the next wall', timed: false },
+        extraLife: { description: 'One more life', timed: false, instant: true },
+        reveal: { description: 'Shows the way to the goal', timed: true }
+    };
+
+    /**
+     * Get the chance per step of a power-up appearing on a level
+     * Harder levels get more help.
+     * @param {number} baseChance - Chance per step on a level of difficulty 5
+     * @param {number|null} difficulty - Level rating from 1 to 10 (see analyzeLevel)
+     * @returns {number} - Chance per step
+     */
+    function getPowerupChance(baseChance, difficulty) {
+        return baseChance * Math.min(10, Math.max(1, difficulty || 1)) / 5;
+    }
+
+    /**
+     * Pick a power-up type from a table of weights
+     * @param {Object} weights - Type to relative weight, e.g. { shield: 3, extraLife: 1 }
+     * @param {Function} rng - Seeded random number generator
+     * @returns {string|null} - Power-up type, or null if the table has no usable entries
+     */
+    function pickPowerupType(weights, rng) {
+        const known = {};
+        for (const type of Object.keys(weights || {})) {
+            if (POWERUP_TYPES[type]) known[type] = weights[type];
+        }
+        return pickWeighted(known, rng);
+    }
+
+    /**
+     * Pick an open floor tile for a new power-up
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Array} taken - Positions to keep clear (player, goal, other power-ups)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {Object|null} - Position, or null if no floor tile is free
+     */
+    function findPowerupSpot(grid, taken, rng) {
+        const free = [];
+        grid.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile === TILES.FLOOR && !taken.some(pos => pos.x === x && pos.y === y)) {
+                free.push({ x, y });
+            }
+        }));
+        return free.length > 0 ? free[Math.floor(rng() * free.length)] : null;
+    }
+
+    /**
+     * Check saved held and active power-ups
+     * @param {*} held - Held power-up types
+     * @param {*} active - Active power-ups
+     * @returns {boolean} - True if both are well formed
+     */
+    function isValidPowerupState(held, active) {
+        return Array.isArray(held) && held.every(type => type in POWERUP_TYPES) &&
+            Array.isArray(active) && active.every(powerup =>
+                powerup && POWERUP_TYPES[powerup.type] && !POWERUP_TYPES[powerup.type].instant &&
+                (POWERUP_TYPES[powerup.type].timed ?
+                    Number.isInteger(powerup.ticksLeft) && powerup.ticksLeft > 0 :
+                    powerup.ticksLeft === null));
+    }
+
+    GridRush.POWERUP_TYPES = POWERUP_TYPES;
+    GridRush.getPowerupChance = getPowerupChance;
+    GridRush.pickPowerupType = pickPowerupType;
+    GridRush.findPowerupSpot = findPowerupSpot;
+    GridRush.isValidPowerupState = isValidPowerupState;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,86 @@
+/**
+ * GridRush - Seeded random numbers
+ *
+ * Every random decision in the game (maze layouts, goal positions, hazard
+ * spawns) goes through a generator created here, so a run seed always
+ * reproduces the same levels and hazard timeline.
+ */
+(function (GridRush) {
+    'use strict';
+
+    /**
+     * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+     * @param {string} str - Seed text
+     * @returns {number} - 32-bit hash
+     */
+    function hashSeed(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * The returned function is a drop-in replacement for Math.random().
+     * @param {string|number} seed - Seed value
+     * @returns {Function} - Returns floats in [0, 1); exposes the seed as rng.seed
+     */
+    function createRng(seed) {
+        let a = hashSeed(String(seed));
+
+        const rng = function () {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        rng.seed = String(seed);
+        return rng;
+    }
+
+    /**
+     * Create an independent generator for one stream of a run
+     * Streams keep level layouts stable no matter how many hazard rolls happened before.
+     * @param {string} seed - Run seed
+     * @param {string} stream - Stream name (e.g. 'level', 'hazards')
+     * @param {number} level - Level number
+     * @returns {Function} - Seeded random number generator
+     */
+    function deriveRng(seed, stream, level) {
+        return createRng(`${seed}/${stream}/${level}`);
+    }
+
+    /**
+     * Generate a short random seed for runs without an explicit one
+     * @returns {string} - Seed text (base 36)
+     */
+    function randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    /**
+     * Pick a key from a table of relative weights
+     * @param {Object} weights - Key to weight, e.g. { single: 2, burst: 1 } (keys with weight 0 are never picked)
+     * @param {Function} rng - Seeded random number generator
+     * @returns {string|null} - Picked key, or null if no key has a positive weight
+     */
+    function pickWeighted(weights, rng) {
+        const entries = Object.entries(weights || {}).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = rng() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : null;
+    }
+
+    GridRush.createRng = createRng;
+    GridRush.deriveRng = deriveRng;
+    GridRush.randomSeed = randomSeed;
+    GridRush.pickWeighted = pickWeighted;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
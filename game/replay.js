@@ -0,0 +1,312 @@
+/**
+ * GridRush - Input recording and replay
+ *
+ * A run is fully determined by its seed, the engine config and the inputs
+ * applied at each simulation step, so a replay log only stores those. The
+ * replay player re-simulates the run on an engine and can seek to any step.
+ *
+ * Log format (version 1):
+ * {
+ *   version: 1,
+ *   seed: 'abc',
+ *   mode: 'endless',   game mode of the run (optional; 'endless' if left out)
+ *   config: { ...engine rules config },
+ *   recordedAt: ISO date,
+ *   initialSnapshot: null | saved run snapshot (for continued runs),
+ *   levels: [...] hand-crafted levels played at the start of the run (optional),
+ *   endTick: number,
+ *   inputs: [[tick, direction, source], ...]   e.g. [120, 'r', 'k']; direction 'x' uses a held power-up
+ *                                              and 'c' continues the run after a game over; source
+ *                                              'k' is keyboard, 'g' gesture and 'p' gamepad
+ *   hits: [[tick, cause], ...]   lives lost, e.g. [300, 'turret:burst'] (optional; for the
+ *                                replay timeline, the simulation doesn't need it)
+ * }
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { validateSnapshot } = isNode ? require('./save') : GridRush;
+    const { validateLevel } = isNode ? require('./levelfile') : GridRush;
+    const { DEFAULT_CONFIG, validateConfig } = isNode ? require('./engine') : GridRush;
+    const { DEFAULT_MODE, GAME_MODES } = isNode ? require('./modes') : GridRush;
+
+    const REPLAY_VERSION = 1;
+
+    // Compact codes used in the log
+    const DIRECTION_CODES = { up: 'u', down: 'd', left: 'l', right: 'r' };
+    const SOURCE_CODES = { keyboard: 'k', gesture: 'g', gamepad: 'p' };
+    const POWERUP_CODE = 'x';
+    const CONTINUE_CODE = 'c';
+
+    /**
+     * Look up the full name for a compact code
+     * @param {Object} codes - Name to code map
+     * @param {string} code - Compact code
+     * @returns {string|undefined} - Full name
+     */
+    function decode(codes, code) {
+        return Object.keys(codes).find(name => codes[name] === code);
+    }
+
+    /**
+     * Copy the engine rules settings out of a config, leaving out anything else
+     * the page passed to createEngine() (e.g. display settings)
+     * @param {Object} config - Engine config
+     * @returns {Object} - Settings of DEFAULT_CONFIG only
+     */
+    function pickEngineConfig(config) {
+        const picked = {};
+        Object.keys(DEFAULT_CONFIG).forEach(key => {
+            if (key in config) picked[key] = config[key];
+        });
+        return picked;
+    }
+
+    /**
+     * Record every run played on an engine
+     * @param {Object} engine - Engine from createEngine()
+     * @returns {Object} - Recorder with getLog()
+     */
+    function createRecorder(engine) {
+        let log = null;
+
+        engine.on('runStart', ({ state, seed, restored }) => {
+            if (state.isReplay) return;
+
+            log = {
+                version: REPLAY_VERSION,
+                seed,
+                mode: state.mode,
+                config: pickEngineConfig(engine.config),
+                recordedAt: new Date().toISOString(),
+                initialSnapshot: restored ? engine.snapshot() : null,
+                levels: state.customLevels.slice(),
+                endTick: null,
+                inputs: [],
+                hits: []
+            };
+        });
+
+        engine.on('input', ({ tick, direction, action, source }) => {
+            if (!log || engine.state.isReplay) return;
+            const code = action === 'powerup' ? POWERUP_CODE : action === 'continue' ? CONTINUE_CODE : DIRECTION_CODES[direction];
+            log.inputs.push([tick, code, SOURCE_CODES[source] || 'k']);
+            // A continued run hasn't ended after all
+            if (action === 'continue') log.endTick = null;
+        });
+
+        engine.on('collision', ({ tick, cause }) => {
+            if (!log || engine.state.isReplay) return;
+            log.hits.push([tick, cause]);
+        });
+
+        engine.on('gameOver', () => {
+            if (!log || engine.state.isReplay) return;
+            log.endTick = engine.state.tickCount;
+        });
+
+        /**
+         * Get the log of the current (or last) run
+         * @returns {Object|null} - Replay log, or null if nothing was recorded
+         */
+        function getLog() {
+            if (!log) return null;
+            return Object.assign({}, log, {
+                endTick: log.endTick !== null ? log.endTick : engine.state.tickCount,
+                inputs: log.inputs.slice(),
+                hits: log.hits.slice()
+            });
+        }
+
+        return { getLog };
+    }
+
+    /**
+     * Validate a replay log
+     * @param {Object} log - Parsed replay log
+     * @throws {Error} - If the log is corrupt or from another version
+     */
+    function validateLog(log) {
+        if (!log || typeof log !== 'object') {
+            throw new Error('Replay is not an object');
+        }
+        if (log.version !== REPLAY_VERSION) {
+            throw new Error(`Replay has version ${log.version}, expected ${REPLAY_VERSION}`);
+        }
+        if (typeof log.seed !== 'string' || log.seed === '') {
+            throw new Error('Replay has no seed');
+        }
+        if (log.mode !== undefined && !Object.prototype.hasOwnProperty.call(GAME_MODES, log.mode)) {
+            throw new Error(`Replay has an unknown game mode "${log.mode}"`);
+        }
+        if (!log.config || typeof log.config !== 'object') {
+            throw new Error('Replay has no engine config');
+        }
+        try {
+            validateConfig(log.config);
+        } catch (e) {
+            throw new Error(`Replay has an invalid engine config: ${e.message}`);
+        }
+        if (!Number.isInteger(log.endTick) || log.endTick < 0) {
+            throw new Error('Replay has an invalid length');
+        }
+        if (log.initialSnapshot) {
+            validateSnapshot(log.initialSnapshot);
+        }
+        if (log.levels !== undefined && !Array.isArray(log.levels)) {
+            throw new Error('Replay has invalid custom levels');
+        }
+        (log.levels || []).forEach((level, index) => {
+            try {
+                validateLevel(level);
+            } catch (e) {
+                throw new Error(`Replay has an invalid custom level ${index + 1}: ${(e.details || [e.message]).join('; ')}`);
+            }
+        });
+        if (!Array.isArray(log.inputs)) {
+            throw new Error('Replay has no inputs');
+        }
+
+        if (log.hits !== undefined && (!Array.isArray(log.hits) || !log.hits.every(hit =>
+            Array.isArray(hit) && Number.isInteger(hit[0]) && typeof hit[1] === 'string'))) {
+            throw new Error('Replay has a malformed hit entry');
+        }
+
+        let lastTick = 0;
+        for (const input of log.inputs) {
+            if (!Array.isArray(input) || !Number.isInteger(input[0]) || input[0] < lastTick ||
+                (input[1] !== POWERUP_CODE && input[1] !== CONTINUE_CODE && !decode(DIRECTION_CODES, input[1]))) {
+                throw new Error('Replay has a malformed input entry');
+            }
+            lastTick = input[0];
+        }
+    }
+
+    /**
+     * Create a player that re-simulates a replay log on an engine
+     * The log's config is applied to the engine until stop() is called, so the
+     * rules match the recording.
+     * @param {Object} engine - Engine from createEngine()
+     * @param {Object} log - Replay log (validated)
+     * @returns {Object} - Player with play/pause/seek/speed controls
+     * @throws {Error} - If the replay can't be started (the engine keeps its own config)
+     */
+    function createReplayPlayer(engine, log) {
+        const state = engine.state;
+        const liveConfig = Object.assign({}, engine.config);
+        let inputIndex = 0;
+        let playhead = 0;       // Position in simulation steps (fractional while playing)
+        let speed = 1;
+        let isPlaying = false;
+
+        /**
+         * Restart the simulation from the beginning of the log
+         */
+        function reset() {
+            if (log.initialSnapshot) {
+                engine.restoreRun(log.initialSnapshot, { replay: true });
+            } else {
+                engine.startRun(log.seed, { levels: log.levels || [], mode: log.mode || DEFAULT_MODE, replay: true });
+            }
+            inputIndex = 0;
+        }
+
+        /**
+         * Apply recorded inputs and run steps until the engine reaches a tick
+         * @param {number} target - Tick to stop at
+         */
+        function stepTo(target) {
+            while (true) {
+                // A continue recorded at a game over picks the run up again
+                const next = log.inputs[inputIndex];
+                if (state.isGameOver && next && next[1] === CONTINUE_CODE && next[0] <= state.tickCount) {
+                    inputIndex++;
+                    engine.continueRun(decode(SOURCE_CODES, next[2]));
+                }
+                if (!state.isPlaying || state.isGameOver || state.isPaused) break;
+
+                // Inputs are only accepted once the resume countdown is over, as when recording
+                if (state.countdownTicks === 0) {
+                    while (!state.isGameOver && inputIndex < log.inputs.length && log.inputs[inputIndex][0] <= state.tickCount) {
+                        const [, code, sourceCode] = log.inputs[inputIndex++];
+                        const source = decode(SOURCE_CODES, sourceCode);
+                        if (code === POWERUP_CODE) {
+                            engine.usePowerup(source);
+                        } else {
+                            engine.move(decode(DIRECTION_CODES, code), source);
+                        }
+                    }
+                }
+                if (state.isGameOver) continue;   // A continue may follow at this step
+                if (state.tickCount >= target) break;
+                engine.tick();
+            }
+        }
+
+        /**
+         * Jump to a tick, re-simulating from the start when going backwards
+         * @param {number} tick - Target tick (clamped to the log length)
+         */
+        function seek(tick) {
+            const target = Math.max(0, Math.min(Math.floor(tick), log.endTick));
+            if (target < state.tickCount || !state.isReplay) {
+                reset();
+            }
+            stepTo(target);
+            playhead = target;
+        }
+
+        /**
+         * Advance playback by real elapsed time
+         * @param {number} elapsedMs - Real time since the previous call
+         * @returns {number} - Interpolation factor (0-1) for rendering
+         */
+        function update(elapsedMs) {
+            if (!isPlaying) return 0;
+
+            playhead = Math.min(playhead + elapsedMs * speed * engine.config.tickRate / 1000, log.endTick);
+            stepTo(Math.floor(playhead));
+
+            if (playhead >= log.endTick || state.isGameOver) {
+                isPlaying = false;
+            }
+            return playhead - Math.floor(playhead);
+        }
+
+        /**
+         * Stop playback and give the engine its own config back
+         */
+        function stop() {
+            isPlaying = false;
+            Object.keys(engine.config).forEach(key => delete engine.config[key]);
+            Object.assign(engine.config, liveConfig);
+        }
+
+        try {
+            Object.assign(engine.config, log.config);
+            reset();
+        } catch (e) {
+            stop();
+            throw e;
+        }
+
+        return {
+            log,
+            seek,
+            update,
+            stop,
+            play() { isPlaying = true; },
+            pause() { isPlaying = false; },
+            setSpeed(value) { speed = value; },
+            get isPlaying() { return isPlaying; },
+            get currentTick() { return state.tickCount; },
+            get endTick() { return log.endTick; }
+        };
+    }
+
+    GridRush.REPLAY_VERSION = REPLAY_VERSION;
+    GridRush.createRecorder = createRecorder;
+    GridRush.validateLog = validateLog;
+    GridRush.createReplayPlayer = createReplayPlayer;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
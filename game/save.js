@@ -0,0 +1,200 @@
+/**
+ * GridRush - Saved runs
+ *
+ * Versioned snapshot format for an in-progress run. Snapshots are plain JSON
+ * so they can be written to localStorage (or a file) and validated before the
+ * engine restores them. Bump SAVE_VERSION whenever the format changes; older
+ * snapshots are then rejected instead of being half-loaded.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { KEY_COLORS, isTileCode, isWalkable } = isNode ? require('./tiles') : GridRush;
+    const { isValidObjectiveList } = isNode ? require('./objectives') : GridRush;
+    const { validateLevel, validateLevelRules } = isNode ? require('./levelfile') : GridRush;
+    const { describeTurret, validateTurret } = isNode ? require('./turrets') : GridRush;
+    const { isValidPowerupState } = isNode ? require('./powerups') : GridRush;
+    const { GAME_MODES } = isNode ? require('./modes') : GridRush;
+    const { validateDifficultyCurve, copyDifficultyCurve } = isNode ? require('./difficulty') : GridRush;
+
+    const SAVE_VERSION = 11;
+
+    /**
+     * Create a snapshot of the run from the engine state
+     * Hazards and power-ups lying on the board are not saved; they respawn after the run is restored.
+     * Held and active power-ups are.
+     * @param {Object} state - Engine state
+     * @returns {Object} - JSON-serializable snapshot
+     */
+    function createSnapshot(state) {
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: state.seed,
+            mode: state.mode,
+            timeLeftTicks: state.timeLeftTicks,
+            difficultyCurve: copyDifficultyCurve(state.difficultyCurve),
+            level: state.level,
+            score: state.score,
+            lives: state.lives,
+            tickCount: state.tickCount,
+            continuesUsed: state.continuesUsed,
+            steps: state.steps,
+            grid: state.grid.map(row => row.slice()),
+            levelGrid: state.levelGrid.map(row => row.slice()),
+            keys: state.keys.slice(),
+            items: Object.assign({}, state.items),
+            hits: state.hits,
+            objectives: state.objectives.map(objective => Object.assign({}, objective)),
+            visitedTiles: Array.from(state.visitedTiles),
+            exploredTiles: Array.from(state.exploredTiles),
+            checkpoint: state.checkpoint && {
+                x: state.checkpoint.x,
+                y: state.checkpoint.y,
+                visitedTiles: state.checkpoint.visitedTiles.slice()
+            },
+            startPosition: { x: state.startPosition.x, y: state.startPosition.y },
+            playerPosition: { x: state.playerPosition.x, y: state.playerPosition.y },
+            goalPosition: { x: state.goalPosition.x, y: state.goalPosition.y },
+            rules: Object.assign({}, state.rules),
+            enemySpawns: state.enemySpawns.map(pos => ({ x: pos.x, y: pos.y })),
+            turrets: state.turrets.map(describeTurret),
+            heldPowerups: state.heldPowerups.slice(),
+            activePowerups: state.activePowerups.map(powerup => Object.assign({}, powerup)),
+            customLevels: state.customLevels,
+            levelName: state.levelName
+        };
+    }
+
+    /**
+     * Validate a snapshot before it is restored
+     * @param {Object} data - Parsed snapshot
+     * @throws {Error} - If the snapshot is corrupt or from another version
+     */
+    function validateSnapshot(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Saved run is not an object');
+        }
+        if (data.version !== SAVE_VERSION) {
+            throw new Error(`Saved run has version ${data.version}, expected ${SAVE_VERSION}`);
+        }
+        if (typeof data.seed !== 'string' || data.seed === '') {
+            throw new Error('Saved run has no seed');
+        }
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, data.mode)) {
+            throw new Error('Saved run has an unknown game mode');
+        }
+        if (data.timeLeftTicks !== null && !(Number.isInteger(data.timeLeftTicks) && data.timeLeftTicks > 0)) {
+            throw new Error('Saved run has an invalid clock');
+        }
+        try {
+            validateDifficultyCurve(data.difficultyCurve);
+        } catch (error) {
+            throw new Error(`Saved run has an invalid difficulty curve: ${error.message}`);
+        }
+        if (!Number.isInteger(data.level) || data.level < 1) {
+            throw new Error('Saved run has an invalid level');
+        }
+        if (!Number.isInteger(data.lives) || data.lives < 1) {
+            throw new Error('Saved run has an invalid number of lives');
+        }
+        if (typeof data.score !== 'number' || !isFinite(data.score)) {
+            throw new Error('Saved run has an invalid score');
+        }
+        if (!Number.isInteger(data.tickCount) || data.tickCount < 0) {
+            throw new Error('Saved run has an invalid tick count');
+        }
+        if (!Number.isInteger(data.continuesUsed) || data.continuesUsed < 0) {
+            throw new Error('Saved run has an invalid number of continues');
+        }
+        if (!Number.isInteger(data.steps) || data.steps < 0) {
+            throw new Error('Saved run has an invalid step count');
+        }
+
+        // Grid and the level's original layout must be non-empty rectangles of tile codes of the same size
+        const grid = data.grid;
+        if (!Array.isArray(grid) || grid.length === 0 || !Array.isArray(grid[0]) || grid[0].length === 0) {
+            throw new Error('Saved run has no grid');
+        }
+        const width = grid[0].length;
+        for (const layout of [grid, data.levelGrid]) {
+            if (!Array.isArray(layout) || layout.length !== grid.length) {
+                throw new Error('Saved run has a malformed grid');
+            }
+            for (const row of layout) {
+                if (!Array.isArray(row) || row.length !== width || !row.every(isTileCode)) {
+                    throw new Error('Saved run has a malformed grid');
+                }
+            }
+        }
+
+        // Positions must be open tiles inside the grid
+        const isOpenTile = pos => !!pos && Number.isInteger(pos.x) && Number.isInteger(pos.y) &&
+            pos.x >= 0 && pos.y >= 0 && pos.x < width && pos.y < grid.length && isWalkable(grid[pos.y][pos.x]);
+        for (const key of ['startPosition', 'playerPosition', 'goalPosition']) {
+            if (!isOpenTile(data[key])) {
+                throw new Error(`Saved run has an invalid ${key}`);
+            }
+        }
+
+        if (!Array.isArray(data.keys) || !data.keys.every(color => KEY_COLORS.includes(color))) {
+            throw new Error('Saved run has invalid keys');
+        }
+
+        const items = data.items;
+        if (!items || !['coins', 'gems', 'totalCoins', 'totalGems'].every(key => Number.isInteger(items[key]) && items[key] >= 0)) {
+            throw new Error('Saved run has invalid item counts');
+        }
+        if (!Number.isInteger(data.hits) || data.hits < 0) {
+            throw new Error('Saved run has an invalid hit count');
+        }
+        if (!isValidObjectiveList(data.objectives)) {
+            throw new Error('Saved run has invalid objectives');
+        }
+
+        const ruleProblems = validateLevelRules(data.rules, true);
+        if (ruleProblems.length > 0) {
+            throw new Error(`Saved run has invalid level rules: ${ruleProblems.join('; ')}`);
+        }
+        if (!Array.isArray(data.turrets) || !data.turrets.every(turret => validateTurret(turret, data.levelGrid).length === 0)) {
+            throw new Error('Saved run has invalid turrets');
+        }
+        if (!isValidPowerupState(data.heldPowerups, data.activePowerups)) {
+            throw new Error('Saved run has invalid power-ups');
+        }
+        if (!Array.isArray(data.enemySpawns) || !Array.isArray(data.customLevels)) {
+            throw new Error('Saved run has invalid level data');
+        }
+        if (!data.enemySpawns.every(isOpenTile)) {
+            throw new Error('Saved run has invalid enemy spawns');
+        }
+        data.customLevels.forEach((level, index) => {
+            try {
+                validateLevel(level);
+            } catch (e) {
+                throw new Error(`Saved run has an invalid custom level ${index + 1}: ${(e.details || [e.message]).join('; ')}`);
+            }
+        });
+
+        const isTileList = tiles => Array.isArray(tiles) &&
+            tiles.every(tile => typeof tile === 'string' && /^\d+,\d+$/.test(tile));
+        if (!isTileList(data.visitedTiles)) {
+            throw new Error('Saved run has invalid visited tiles');
+        }
+        if (!isTileList(data.exploredTiles)) {
+            throw new Error('Saved run has invalid explored tiles');
+        }
+
+        // The checkpoint (if any) is an open tile the player had visited when they reached it
+        const checkpoint = data.checkpoint;
+        if (checkpoint !== null && (!isOpenTile(checkpoint) || !isTileList(checkpoint.visitedTiles) ||
+            !checkpoint.visitedTiles.includes(`${checkpoint.x},${checkpoint.y}`))) {
+            throw new Error('Saved run has an invalid checkpoint');
+        }
+    }
+
+    GridRush.SAVE_VERSION = SAVE_VERSION;
+    GridRush.createSnapshot = createSnapshot;
+    GridRush.validateSnapshot = validateSnapshot;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
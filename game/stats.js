@@ -0,0 +1,285 @@
+/**
+ * GridRush - Run statistics
+ *
+ * A stats tracker listens to an engine's events and keeps a record of the
+ * current run, level by level:
+ * { level, name, steps, par, ticks, stars, complete, deaths: { wall, projectile, enemy, stuck },
+ *   moves: { gesture, keyboard } }
+ * where ticks is the time spent on the level in simulation steps (pauses and
+ * resume countdowns don't count), stars is null for a level not finished and
+ * gamepad moves count as keyboard moves. A level restarted after the player
+ * got stuck keeps its record, so ticks and deaths cover every attempt.
+ *
+ * Finished runs are added to lifetime statistics, a plain object kept in
+ * localStorage:
+ * {
+ *   version: 2,
+ *   runs, levels, steps, par, ticks,          (levels, steps and par only count finished levels)
+ *   deaths: { wall, projectile, enemy, stuck },
+ *   moves: { gesture, keyboard },
+ *   latency: { count, total, max },           (gesture recognition latency in ms)
+ *   recentRuns: [{ date, score, level, steps, par, deaths }]   (newest last)
+ * }
+ *
+ * A run that ends with continues left is only finished once the player gives
+ * up on it (see endRun) or starts another run.
+ *
+ * Replays and play-tests from the editor are not recorded.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const STATS_VERSION = 2;
+    const RECENT_RUNS = 30;
+    const DEATH_TYPES = ['wall', 'projectile', 'enemy', 'stuck'];
+    const MOVE_SOURCES = ['gesture', 'keyboard'];
+
+    /**
+     * Create an empty latency summary
+     * @returns {Object} - { count, total, max } of gesture recognition latencies in ms
+     */
+    function createLatency() {
+        return { count: 0, total: 0, max: 0 };
+    }
+
+    /**
+     * Create the record of a level about to be played
+     * @param {number} level - Level number
+     * @param {string|null} name - Name of a hand-crafted level (null for a generated one)
+     * @param {number|null} par - Level par (null if unknown)
+     * @returns {Object} - Level record with nothing counted yet
+     */
+    function createLevelRecord(level, name, par) {
+        return {
+            level,
+            name: name || null,
+            steps: 0,
+            par,
+            ticks: 0,
+            stars: null,
+            complete: false,
+            deaths: { wall: 0, projectile: 0, enemy: 0, stuck: 0 },
+            moves: { gesture: 0, keyboard: 0 }
+        };
+    }
+
+    /**
+     * Track the statistics of each run played on an engine
+     * @param {Object} engine - Engine from createEngine()
+     * @param {Function} [onRunEnd] - Called with the run record when a run ends in game over
+     * @returns {Object} - Tracker with getRun(), recordLatency() and endRun()
+     */
+    function createStatsTracker(engine, onRunEnd) {
+        let run = null;
+        let current = null;     // Record of the level being played
+        let levelStartTick = 0;
+        let stuckLevel = null;  // Level the player got stuck on, which starts over with the same record
+        let awaitingContinue = false;  // The run is over unless the player continues it
+
+        engine.on('runStart', ({ state, seed }) => {
+            endRun();
+            current = null;
+            stuckLevel = null;
+            if (state.isReplay || state.isPlaytest) {
+                run = null;
+                return;
+            }
+            run = { seed, date: new Date().toISOString(), score: state.score, level: state.level,
+                levels: [], latency: createLatency() };
+        });
+
+        engine.on('levelStart', ({ level, name, analysis }) => {
+            if (!run) return;
+            // A level restarted after getting stuck carries on with its record
+            const restarted = current && stuckLevel === level;
+            stuckLevel = null;
+            if (restarted) return;
+            current = createLevelRecord(level, name, analysis.par);
+            run.levels.push(current);
+            run.level = level;
+            levelStartTick = engine.state.tickCount;
+        });
+
+        engine.on('input', ({ direction, source }) => {
+            if (!run || !direction) return;
+            current.moves[source === 'gesture' ? 'gesture' : 'keyboard']++;
+        });
+
+        engine.on('playerMoved', () => {
+            if (!run) return;
+            current.steps = engine.state.steps;
+        });
+
+        engine.on('collision', ({ type }) => {
+            if (!run) return;
+            current.deaths[type]++;
+        });
+
+        engine.on('stuck', () => {
+            if (!run) return;
+            current.deaths.stuck++;
+            stuckLevel = current.level;
+        });
+
+        engine.on('scoreChanged', ({ score }) => {
+            if (!run) return;
+            run.score = score;
+        });
+
+        engine.on('levelComplete', ({ steps, stars }) => {
+            if (!run) return;
+            current.steps = steps;
+            current.stars = stars;
+            current.complete = true;
+            current.ticks = engine.state.tickCount - levelStartTick;
+        });
+
+        engine.on('gameOver', ({ continuesLeft }) => {
+            if (!run) return;
+            current.ticks = engine.state.tickCount - levelStartTick;
+            if (continuesLeft > 0) {
+                awaitingContinue = true;
+            } else if (onRunEnd) {
+                onRunEnd(run);
+            }
+        });
+
+        engine.on('runContinued', () => {
+            awaitingContinue = false;
+        });
+
+        /**
+         * Finish a run that was waiting to be continued
+         */
+        function endRun() {
+            if (!awaitingContinue) return;
+            awaitingContinue = false;
+            if (run && onRunEnd) onRunEnd(run);
+        }
+
+        /**
+         * Get the record of the current (or last) run
+         * @returns {Object|null} - { seed, date, score, level, levels, latency }, or null if nothing was recorded
+         */
+        function getRun() {
+            return run;
+        }
+
+        /**
+         * Record how long the hand tracker took to turn a gesture into a move
+         * @param {number} ms - Latency in milliseconds
+         */
+        function recordLatency(ms) {
+            if (!run || !(ms >= 0)) return;
+            run.latency.count++;
+            run.latency.total += ms;
+            run.latency.max = Math.max(run.latency.max, ms);
+        }
+
+        return { getRun, recordLatency, endRun };
+    }
+
+    /**
+     * Create empty lifetime statistics
+     * @returns {Object} - Lifetime statistics
+     */
+    function createLifetimeStats() {
+        return {
+            version: STATS_VERSION,
+            runs: 0,
+            levels: 0,
+            steps: 0,
+            par: 0,
+            ticks: 0,
+            deaths: { wall: 0, projectile: 0, enemy: 0, stuck: 0 },
+            moves: { gesture: 0, keyboard: 0 },
+            latency: createLatency(),
+            recentRuns: []
+        };
+    }
+
+    /**
+     * Add a finished run to lifetime statistics
+     * @param {Object} lifetime - Lifetime statistics (updated in place)
+     * @param {Object} run - Run record from a stats tracker
+     * @returns {Object} - The lifetime statistics
+     */
+    function addRunToLifetime(lifetime, run) {
+        const finished = run.levels.filter(level => level.complete && level.par !== null);
+        const steps = finished.reduce((total, level) => total + level.steps, 0);
+        const par = finished.reduce((total, level) => total + level.par, 0);
+        const deaths = { wall: 0, projectile: 0, enemy: 0, stuck: 0 };
+
+        lifetime.runs++;
+        lifetime.levels += finished.length;
+        lifetime.steps += steps;
+        lifetime.par += par;
+        for (const level of run.levels) {
+            lifetime.ticks += level.ticks;
+            for (const type of DEATH_TYPES) {
+                deaths[type] += level.deaths[type];
+                lifetime.deaths[type] += level.deaths[type];
+            }
+            for (const source of MOVE_SOURCES) {
+                lifetime.moves[source] += level.moves[source];
+            }
+        }
+        lifetime.latency.count += run.latency.count;
+        lifetime.latency.total += run.latency.total;
+        lifetime.latency.max = Math.max(lifetime.latency.max, run.latency.max);
+
+        lifetime.recentRuns.push({ date: run.date, score: run.score, level: run.level, steps, par, deaths });
+        lifetime.recentRuns = lifetime.recentRuns.slice(-RECENT_RUNS);
+        return lifetime;
+    }
+
+    /**
+     * Bring lifetime statistics saved by an older version up to date
+     * Version 1 didn't count lives lost to getting stuck; they start from 0.
+     * @param {Object} data - Parsed statistics (updated in place)
+     * @returns {Object} - The statistics (left as they are if not from an older version)
+     */
+    function upgradeLifetimeStats(data) {
+        if (data && data.version === 1 && data.deaths) {
+            data.version = 2;
+            data.deaths.stuck = 0;
+            for (const run of Array.isArray(data.recentRuns) ? data.recentRuns : []) {
+                if (run && run.deaths) run.deaths.stuck = 0;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Validate saved lifetime statistics
+     * @param {Object} data - Parsed statistics
+     * @throws {Error} - If the statistics are corrupt or from another version
+     */
+    function validateLifetimeStats(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Statistics are not an object');
+        }
+        if (data.version !== STATS_VERSION) {
+            throw new Error(`Statistics have version ${data.version}, expected ${STATS_VERSION}`);
+        }
+        const isCount = value => typeof value === 'number' && value >= 0 && isFinite(value);
+        if (!['runs', 'levels', 'steps', 'par', 'ticks'].every(key => isCount(data[key])) ||
+            !data.deaths || !DEATH_TYPES.every(type => isCount(data.deaths[type])) ||
+            !data.moves || !MOVE_SOURCES.every(source => isCount(data.moves[source])) ||
+            !data.latency || !['count', 'total', 'max'].every(key => isCount(data.latency[key]))) {
+            throw new Error('Statistics have invalid totals');
+        }
+        if (!Array.isArray(data.recentRuns) || !data.recentRuns.every(run =>
+            run && typeof run.score === 'number' && isCount(run.level) && isCount(run.steps) && isCount(run.par) &&
+            run.deaths && DEATH_TYPES.every(type => isCount(run.deaths[type])))) {
+            throw new Error('Statistics have invalid recent runs');
+        }
+    }
+
+    GridRush.STATS_DEATH_TYPES = DEATH_TYPES;
+    GridRush.createStatsTracker = createStatsTracker;
+    GridRush.createLifetimeStats = createLifetimeStats;
+    GridRush.addRunToLifetime = addRunToLifetime;
+    GridRush.upgradeLifetimeStats = upgradeLifetimeStats;
+    GridRush.validateLifetimeStats = validateLifetimeStats;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
@@ -0,0 +1,259 @@
+/**
+ * GridRush - Tile types
+ *
+ * Tile codes stored in level grids, their level file characters and the
+ * movement rules that go with them. resolveMove() is shared by the engine and
+ * the level solver so both agree on where a move ends up:
+ *
+ * - Walls block moves (walking into one costs a life); holes left by
+ *   crumbling tiles block moves without a penalty.
+ * - Keys are picked up by stepping on them. A key opens every door of its
+ *   color and is kept for the rest of the level; doors without the key block.
+ * - Teleporters come in pairs and move the player to the other tile of the pair.
+ * - Ice keeps the player sliding in the same direction until the next tile is
+ *   blocked or the player reaches a tile that isn't ice.
+ * - Arrows can't be entered against their direction and push the player one
+ *   tile along it (chains of arrows act as a conveyor).
+ * - Crumbling tiles break into holes when the player leaves them.
+ * - Coins and gems are picked up by crossing them and otherwise act as floor.
+ * - Checkpoints act as floor; the last one the player crossed is where they
+ *   respawn after a hit (see respawn in the engine config).
+ */
+(function (GridRush) {
+    'use strict';
+
+    // Tile codes
+    const TILES = {
+        FLOOR: 0,
+        WALL: 1,
+        ICE: 2,
+        CRUMBLE: 3,
+        HOLE: 4,
+        ARROW_UP: 5,
+        ARROW_RIGHT: 6,
+        ARROW_DOWN: 7,
+        ARROW_LEFT: 8,
+        KEY_RED: 10,
+        KEY_BLUE: 11,
+        KEY_YELLOW: 12,
+        DOOR_RED: 20,
+        DOOR_BLUE: 21,
+        DOOR_YELLOW: 22,
+        TELEPORTER_A: 30,
+        TELEPORTER_B: 31,
+        TELEPORTER_C: 32,
+        COIN: 40,
+        GEM: 41,
+        CHECKPOINT: 50
+    };
+
+    // Key and door colors, and teleporter pairs, in tile code order
+    const KEY_COLORS = ['red', 'blue', 'yellow'];
+    const TELEPORTER_PAIRS = ['A', 'B', 'C'];
+
+    const DIRECTIONS = {
+        up: { x: 0, y: -1 },
+        right: { x: 1, y: 0 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 }
+    };
+
+    // What each tile code is: its kind, level file character and kind-specific data
+    const TILE_INFO = {
+        [TILES.FLOOR]: { kind: 'floor', char: '.' },
+        [TILES.WALL]: { kind: 'wall', char: '#' },
+        [TILES.ICE]: { kind: 'ice', char: '~' },
+        [TILES.CRUMBLE]: { kind: 'crumble', char: '%' },
+        [TILES.HOLE]: { kind: 'hole', char: 'o' },
+        [TILES.ARROW_UP]: { kind: 'arrow', char: '^', direction: 'up' },
+        [TILES.ARROW_RIGHT]: { kind: 'arrow', char: '>', direction: 'right' },
+        [TILES.ARROW_DOWN]: { kind: 'arrow', char: 'v', direction: 'down' },
+        [TILES.ARROW_LEFT]: { kind: 'arrow', char: '<', direction: 'left' },
+        [TILES.KEY_RED]: { kind: 'key', char: 'r', color: 'red' },
+        [TILES.KEY_BLUE]: { kind: 'key', char: 'b', color: 'blue' },
+        [TILES.KEY_YELLOW]: { kind: 'key', char: 'y', color: 'yellow' },
+        [TILES.DOOR_RED]: { kind: 'door', char: 'R', color: 'red' },
+        [TILES.DOOR_BLUE]: { kind: 'door', char: 'B', color: 'blue' },
+        [TILES.DOOR_YELLOW]: { kind: 'door', char: 'Y', color: 'yellow' },
+        [TILES.TELEPORTER_A]: { kind: 'teleporter', char: '1', pair: 'A' },
+        [TILES.TELEPORTER_B]: { kind: 'teleporter', char: '2', pair: 'B' },
+        [TILES.TELEPORTER_C]: { kind: 'teleporter', char: '3', pair: 'C' },
+        [TILES.COIN]: { kind: 'coin', char: '$' },
+        [TILES.GEM]: { kind: 'gem', char: '*' },
+        [TILES.CHECKPOINT]: { kind: 'checkpoint', char: '+' }
+    };
+
+    // Level file character to tile code
+    const CHAR_TILES = {};
+    for (const [code, info] of Object.entries(TILE_INFO)) {
+        CHAR_TILES[info.char] = Number(code);
+    }
+
+    /**
+     * Check whether a value is a known tile code
+     * @param {*} tile - Value to check
+     * @returns {boolean} - True for a tile code
+     */
+    function isTileCode(tile) {
+        return Number.isInteger(tile) && tile in TILE_INFO;
+    }
+
+    /**
+     * Get the kind of a tile ('floor', 'wall', 'ice', 'crumble', 'hole', 'arrow', 'key', 'door',
+     * 'teleporter', 'coin', 'gem', 'checkpoint')
+     * @param {number} tile - Tile code
+     * @returns {string} - Tile kind (unknown codes count as floor)
+     */
+    function getTileKind(tile) {
+        return TILE_INFO[tile] ? TILE_INFO[tile].kind : 'floor';
+    }
+
+    /**
+     * Check whether the player can ever stand on a tile (doors count once opened)
+     * @param {number} tile - Tile code
+     * @returns {boolean} - False for walls and holes
+     */
+    function isWalkable(tile) {
+        const kind = getTileKind(tile);
+        return kind !== 'wall' && kind !== 'hole';
+    }
+
+    /**
+     * Check whether a tile stops projectiles and enemies
+     * @param {number} tile - Tile code
+     * @returns {boolean} - True for walls and closed doors
+     */
+    function blocksHazards(tile) {
+        const kind = getTileKind(tile);
+        return kind === 'wall' || kind === 'door';
+    }
+
+    /**
+     * Find the other tile of a teleporter pair
+     * @param {Array} grid - 2D array of tile codes
+     * @param {number} x - X coordinate of one teleporter
+     * @param {number} y - Y coordinate of one teleporter
+     * @returns {Object|null} - Position of the paired teleporter, or null if it has no pair
+     */
+    function findTeleporterPair(grid, x, y) {
+        const tile = grid[y][x];
+        for (let ty = 0; ty < grid.length; ty++) {
+            for (let tx = 0; tx < grid[ty].length; tx++) {
+                if (grid[ty][tx] === tile && (tx !== x || ty !== y)) {
+                    return { x: tx, y: ty };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Work out where a move ends up
+     * The grid is not changed; the caller applies the result (picking up keys,
+     * opening doors, breaking the tile the move started on if it was crumbling).
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} from - Position the move starts at
+     * @param {string} direction - 'up', 'down', 'left' or 'right'
+     * @param {Object} [options] - { keys: colors held (Set or array), goal: position the move stops at,
+     *                               isBlocked(x, y): true for tiles the player may not enter (e.g. visited) }
+     * @returns {Object} - { path: tiles entered in order (empty if the move is blocked),
+     *                       blockedBy: why the first step failed ('edge', 'wall', 'hole', 'door', 'arrow', 'blocked'),
+     *                       keys: colors picked up, doors: door positions opened }
+     */
+    function resolveMove(grid, from, direction, options) {
+        const opts = options || {};
+        const keys = new Set(opts.keys || []);
+        const result = { path: [], blockedBy: null, keys: [], doors: [] };
+        let dir = DIRECTIONS[direction];
+        if (!dir) {
+            result.blockedBy = 'edge';
+            return result;
+        }
+
+        const height = grid.length;
+        const width = grid[0].length;
+        const startCrumbles = getTileKind(grid[from.y][from.x]) === 'crumble';
+        const seen = new Set();  // Tile and direction pairs, to stop on arrow loops
+        let x = from.x;
+        let y = from.y;
+
+        /**
+         * Reason the player can't enter a tile moving in a direction, or null
+         */
+        const blockReason = (tx, ty, moving) => {
+            if (tx < 0 || ty < 0 || tx >= width || ty >= height) return 'edge';
+            if (startCrumbles && tx === from.x && ty === from.y) return 'hole';
+            const tile = grid[ty][tx];
+            const info = TILE_INFO[tile] || TILE_INFO[TILES.FLOOR];
+            if (info.kind === 'wall') return 'wall';
+            if (info.kind === 'hole') return 'hole';
+            if (info.kind === 'door' && !keys.has(info.color)) return 'door';
+            if (info.kind === 'arrow') {
+                const arrow = DIRECTIONS[info.direction];
+                if (arrow.x === -moving.x && arrow.y === -moving.y) return 'arrow';
+            }
+            if (opts.isBlocked && opts.isBlocked(tx, ty)) return 'blocked';
+            return null;
+        };
+
+        while (true) {
+            const nx = x + dir.x;
+            const ny = y + dir.y;
+            const reason = blockReason(nx, ny, dir);
+            if (reason) {
+                if (result.path.length === 0) result.blockedBy = reason;
+                break;
+            }
+
+            x = nx;
+            y = ny;
+            result.path.push({ x, y });
+            const info = TILE_INFO[grid[y][x]] || TILE_INFO[TILES.FLOOR];
+
+            if (info.kind === 'key' && !keys.has(info.color)) {
+                keys.add(info.color);
+                result.keys.push(info.color);
+            } else if (info.kind === 'door') {
+                result.doors.push({ x, y });
+            }
+
+            if (opts.goal && x === opts.goal.x && y === opts.goal.y) break;
+
+            if (info.kind === 'teleporter') {
+                const pair = findTeleporterPair(grid, x, y);
+                if (pair && !(opts.isBlocked && opts.isBlocked(pair.x, pair.y))) {
+                    x = pair.x;
+                    y = pair.y;
+                    result.path.push({ x, y });
+                }
+                break;
+            }
+
+            const loopKey = `${x},${y},${dir.x},${dir.y}`;
+            if (seen.has(loopKey)) break;
+            seen.add(loopKey);
+
+            if (info.kind === 'ice') continue;
+            if (info.kind === 'arrow') {
+                dir = DIRECTIONS[info.direction];
+                continue;
+            }
+            break;
+        }
+
+        return result;
+    }
+
+    GridRush.TILES = TILES;
+    GridRush.TILE_INFO = TILE_INFO;
+    GridRush.CHAR_TILES = CHAR_TILES;
+    GridRush.KEY_COLORS = KEY_COLORS;
+    GridRush.TELEPORTER_PAIRS = TELEPORTER_PAIRS;
+    GridRush.MOVE_DIRECTIONS = DIRECTIONS;
+    GridRush.isTileCode = isTileCode;
+    GridRush.getTileKind = getTileKind;
+    GridRush.isWalkable = isWalkable;
+    GridRush.blocksHazards = blocksHazards;
+    GridRush.findTeleporterPair = findTeleporterPair;
+    GridRush.resolveMove = resolveMove;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
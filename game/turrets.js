@@ -0,0 +1,222 @@
+/**
+ * GridRush - Turrets
+ *
+ * Turrets are mounted on wall tiles or just outside an edge of the grid and
+ * fire projectiles down straight lanes. Before each volley a turret winds up
+ * for a moment so the player can see which lane is about to be hit.
+ *
+ * A turret is a plain object so it can be written in level files and saves:
+ * { x, y, pattern, directions, offset } where directions lists the lanes it
+ * fires down ('up', 'right', 'down', 'left') and offset (ms) delays its first
+ * volley so turrets on one level don't all fire together.
+ *
+ * Patterns:
+ * - single:      one shot down its lane
+ * - burst:       a few quick shots down its lane
+ * - alternating: one shot, switching between its lanes
+ * - rotating:    one shot, turning clockwise to the next lane each volley
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { blocksHazards, getTileKind } = isNode ? require('./tiles') : GridRush;
+
+    const TURRET_PATTERNS = {
+        single: { description: 'One shot down its lane', shots: 1, minDirections: 1 },
+        burst: { description: 'Three quick shots down its lane', shots: 3, minDirections: 1 },
+        alternating: { description: 'One shot, switching between two lanes', shots: 1, minDirections: 2 },
+        rotating: { description: 'One shot, turning clockwise to the next lane', shots: 1, minDirections: 2 }
+    };
+
+    // Clockwise order, used for rotating turrets
+    const TURRET_DIRECTIONS = ['up', 'right', 'down', 'left'];
+    const DIRECTION_STEPS = {
+        up: { x: 0, y: -1 },
+        right: { x: 1, y: 0 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 }
+    };
+
+    const BURST_SPACING = 150;  // Milliseconds between the shots of a burst
+
+    /**
+     * Check whether a position can hold a turret
+     * @param {Array} grid - 2D array of tile codes
+     * @param {number} x - X coordinate (-1 or the width for the left and right edges)
+     * @param {number} y - Y coordinate (-1 or the height for the top and bottom edges)
+     * @returns {boolean} - True for wall tiles and for positions just outside an edge (not the corners)
+     */
+    function isTurretMount(grid, x, y) {
+        const height = grid.length;
+        const width = grid[0].length;
+        const insideX = x >= 0 && x < width;
+        const insideY = y >= 0 && y < height;
+        if (insideX && insideY) return getTileKind(grid[y][x]) === 'wall';
+        return (insideX && (y === -1 || y === height)) || (insideY && (x === -1 || x === width));
+    }
+
+    /**
+     * Get the tiles a turret's shots cross in one direction
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} mount - Turret position
+     * @param {string} direction - 'up', 'right', 'down' or 'left'
+     * @returns {Array} - Positions from the turret outward until a wall, closed door or the edge
+     */
+    function getTurretLane(grid, mount, direction) {
+        const step = DIRECTION_STEPS[direction];
+        const lane = [];
+        if (!step) return lane;
+
+        let x = mount.x + step.x;
+        let y = mount.y + step.y;
+        while (y >= 0 && y < grid.length && x >= 0 && x < grid[0].length && !blocksHazards(grid[y][x])) {
+            lane.push({ x, y });
+            x += step.x;
+            y += step.y;
+        }
+        return lane;
+    }
+
+    /**
+     * Get the directions a turret could fire in from a mount
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} mount - Turret position
+     * @returns {Array} - Directions with at least one open tile, in clockwise order
+     */
+    function getOpenDirections(grid, mount) {
+        return TURRET_DIRECTIONS.filter(direction => getTurretLane(grid, mount, direction).length > 0);
+    }
+
+    /**
+     * Check a turret from a level file or save
+     * @param {*} turret - Value to check
+     * @param {Array} grid - 2D array of tile codes of the level
+     * @returns {Array} - Problems found (empty if the turret is valid)
+     */
+    function validateTurret(turret, grid) {
+        if (!turret || typeof turret !== 'object' || Array.isArray(turret)) {
+            return ['must be an object'];
+        }
+        const errors = [];
+        if (!Number.isInteger(turret.x) || !Number.isInteger(turret.y) || !isTurretMount(grid, turret.x, turret.y)) {
+            errors.push('must be on a wall tile or just outside an edge of the map');
+        }
+        const pattern = TURRET_PATTERNS[turret.pattern];
+        if (!pattern) {
+            errors.push(`has unknown pattern "${turret.pattern}" (expected ${Object.keys(TURRET_PATTERNS).join(', ')})`);
+        }
+        if (!Array.isArray(turret.directions) || turret.directions.length === 0 ||
+            !turret.directions.every(direction => TURRET_DIRECTIONS.includes(direction))) {
+            errors.push(`needs "directions" from ${TURRET_DIRECTIONS.join(', ')}`);
+        } else if (pattern && turret.directions.length < pattern.minDirections) {
+            errors.push(`needs at least ${pattern.minDirections} directions for the ${turret.pattern} pattern`);
+        } else if (errors.length === 0) {
+            for (const direction of turret.directions) {
+                if (getTurretLane(grid, turret, direction).length === 0) {
+                    errors.push(`can't fire ${direction} (the next tile is blocked or off the map)`);
+                }
+            }
+        }
+        if (turret.offset !== undefined && !(typeof turret.offset === 'number' && turret.offset >= 0)) {
+            errors.push('"offset" must be a non-negative number of milliseconds');
+        }
+        return errors;
+    }
+
+    /**
+     * Create a firing turret from its description
+     * @param {Object} turret - { x, y, pattern, directions, offset }
+     * @param {Object} timing - See getTurretTiming()
+     * @returns {Object} - Turret with its firing state: { ..., directionIndex, timer, shotsLeft, shotTimer }
+     */
+    function createTurret(turret, timing) {
+        return {
+            x: turret.x,
+            y: turret.y,
+            pattern: turret.pattern,
+            directions: turret.directions.slice(),
+            offset: turret.offset || 0,
+            directionIndex: 0,   // Lane of the next volley
+            timer: timing.interval + Math.round((turret.offset || 0) / timing.stepMs),  // Steps until the next volley
+            shotsLeft: 0,        // Shots still to fire in the current volley
+            shotTimer: 0         // Steps until the next shot of the current volley
+        };
+    }
+
+    /**
+     * Get a turret's description without its firing state (for saves)
+     * @param {Object} turret - Turret from createTurret()
+     * @returns {Object} - { x, y, pattern, directions, offset }
+     */
+    function describeTurret(turret) {
+        return {
+            x: turret.x,
+            y: turret.y,
+            pattern: turret.pattern,
+            directions: turret.directions.slice(),
+            offset: turret.offset
+        };
+    }
+
+    /**
+     * Convert the level's turret cadence into simulation steps
+     * @param {Object} rules - Level rules ({ turretInterval, turretWindup } in ms)
+     * @param {number} tickRate - Simulation steps per second
+     * @returns {Object} - { interval, windup, spacing } in simulation steps, and stepMs (length of a step)
+     */
+    function getTurretTiming(rules, tickRate) {
+        const stepMs = 1000 / tickRate;
+        const interval = Math.max(1, Math.round(rules.turretInterval / stepMs));
+        return {
+            interval,
+            // The wind-up has to fit between volleys
+            windup: Math.min(Math.round(rules.turretWindup / stepMs), Math.floor(interval / 2)),
+            spacing: Math.max(1, Math.round(BURST_SPACING / stepMs)),
+            stepMs
+        };
+    }
+
+    /**
+     * Advance a turret by one simulation step
+     * @param {Object} turret - Turret from createTurret() (changed in place)
+     * @param {Object} timing - See getTurretTiming()
+     * @returns {Array} - What happened: [{ type: 'windup' | 'fire', direction, last }]
+     *                    (last: true on the final shot of a volley)
+     */
+    function updateTurret(turret, timing) {
+        const actions = [];
+        const direction = turret.directions[turret.directionIndex];
+
+        turret.timer--;
+        if (turret.timer === timing.windup && timing.windup > 0) {
+            actions.push({ type: 'windup', direction });
+        }
+        if (turret.timer <= 0) {
+            turret.timer = timing.interval;
+            turret.shotsLeft = TURRET_PATTERNS[turret.pattern].shots;
+            turret.shotTimer = 0;
+        }
+
+        if (turret.shotsLeft > 0 && --turret.shotTimer <= 0) {
+            turret.shotsLeft--;
+            turret.shotTimer = timing.spacing;
+            actions.push({ type: 'fire', direction, last: turret.shotsLeft === 0 });
+            if (turret.shotsLeft === 0 && turret.pattern !== 'single' && turret.pattern !== 'burst') {
+                turret.directionIndex = (turret.directionIndex + 1) % turret.directions.length;
+            }
+        }
+        return actions;
+    }
+
+    GridRush.TURRET_PATTERNS = TURRET_PATTERNS;
+    GridRush.TURRET_DIRECTIONS = TURRET_DIRECTIONS;
+    GridRush.isTurretMount = isTurretMount;
+    GridRush.getTurretLane = getTurretLane;
+    GridRush.getOpenDirections = getOpenDirections;
+    GridRush.validateTurret = validateTurret;
+    GridRush.createTurret = createTurret;
+    GridRush.describeTurret = describeTurret;
+    GridRush.getTurretTiming = getTurretTiming;
+    GridRush.updateTurret = updateTurret;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
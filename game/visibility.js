@@ -0,0 +1,85 @@
+/**
+ * GridRush - Visibility
+ *
+ * Fog of war for levels with limited visibility. The player sees the tiles
+ * within a radius; with line of sight on, walls and closed doors also hide
+ * whatever is behind them. Works on a plain 2D grid so the engine can track
+ * what has been seen without a renderer.
+ */
+(function (GridRush) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { getTileKind } = isNode ? require('./tiles') : GridRush;
+
+    /**
+     * Check whether a tile hides what lies behind it
+     * @param {number} tile - Tile code
+     * @returns {boolean} - True for walls and closed doors
+     */
+    function blocksSight(tile) {
+        const kind = getTileKind(tile);
+        return kind === 'wall' || kind === 'door';
+    }
+
+    /**
+     * Find the tiles the player can see
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} from - Player position
+     * @param {number} radius - Sight radius in tiles
+     * @param {boolean} [lineOfSight] - True if walls and closed doors block the view
+     * @returns {Set} - "x,y" of every visible tile (walls that block the view are visible themselves)
+     */
+    function computeVisibleTiles(grid, from, radius, lineOfSight) {
+        const visible = new Set();
+        const reach = Math.floor(radius);
+        for (let y = Math.max(0, from.y - reach); y <= Math.min(grid.length - 1, from.y + reach); y++) {
+            for (let x = Math.max(0, from.x - reach); x <= Math.min(grid[y].length - 1, from.x + reach); x++) {
+                const dx = x - from.x;
+                const dy = y - from.y;
+                if (dx * dx + dy * dy > radius * radius) continue;
+                if (lineOfSight && !hasLineOfSight(grid, from, { x, y })) continue;
+                visible.add(`${x},${y}`);
+            }
+        }
+        return visible;
+    }
+
+    /**
+     * Check whether nothing between two tiles blocks the view
+     * Walks the line between the tile centres (Bresenham); the end tiles themselves don't count.
+     * @param {Array} grid - 2D array of tile codes
+     * @param {Object} from - Viewer position
+     * @param {Object} to - Target position
+     * @returns {boolean} - True if the target can be seen from the viewer
+     */
+    function hasLineOfSight(grid, from, to) {
+        const dx = Math.abs(to.x - from.x);
+        const dy = Math.abs(to.y - from.y);
+        const sx = from.x < to.x ? 1 : -1;
+        const sy = from.y < to.y ? 1 : -1;
+        let error = dx - dy;
+        let x = from.x;
+        let y = from.y;
+
+        while (x !== to.x || y !== to.y) {
+            const doubled = 2 * error;
+            if (doubled > -dy) {
+                error -= dy;
+                x += sx;
+            }
+            if (doubled < dx) {
+                error += dx;
+                y += sy;
+            }
+            if ((x !== to.x || y !== to.y) && blocksSight(grid[y][x])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    GridRush.blocksSight = blocksSight;
+    GridRush.computeVisibleTiles = computeVisibleTiles;
+    GridRush.hasLineOfSight = hasLineOfSight;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GridRush = window.GridRush || {}));
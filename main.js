@@ -7,52 +7,84 @@
  * Features:
  * - Randomly generated levels with guaranteed paths
  * - Hand gesture controls via webcam
- * - Projectile and enemy obstacles
+ * - Gamepad controls through the browser Gamepad API
+ * - Wall-mounted turrets and enemy obstacles
+ * - Power-ups used with a key or a pinch
+ * - Local high score tables per game mode and seed
+ * - Achievements that unlock player colors and board themes
+ * - Per-run statistics and a lifetime stats dashboard
+ * - Checkpoints to respawn at and continues after game over
  * - Scoring system and lives
  */
 
 // Game state and configuration
-const GAME_CONFIG = {
-    gridSize: 10,             // Size of the grid (10x10)
+const GAME_CONFIG = Object.assign({}, GridRush.DEFAULT_CONFIG, {
     tileSize: 1,              // Size of each grid tile
-    initialLives: 3,          // Starting number of lives
-    initialScore: 1000,       // Starting score
-    stepPenalty: 10,          // Points deducted per step
-    deathPenalty: 100,        // Points deducted for losing a life
-    projectileSpeed: 0.03,    // Base projectile speed
-    projectileInterval: 2000, // Milliseconds between projectile spawns
-    enemySpeed: 0.015,        // Base enemy movement speed
     debounceTime: 300,        // Milliseconds for gesture debounce (increased for stability)
-    wallPercentage: 0.2,      // Percentage of grid to fill with walls
+    handLossPauseTime: 0,     // Milliseconds without a detected hand before auto-pausing (0 disables)
     handDetectionInterval: 150 // Milliseconds between hand detection checks (increased to reduce CPU usage)
-};
+});
+
+// Headless rules engine; the scene and HUD below subscribe to its events
+const engine = GridRush.createEngine(GAME_CONFIG);
+const gameState = engine.state;
+
+// Every run is recorded so it can be replayed or exported
+const recorder = GridRush.createRecorder(engine);
 
-// Game state variables
-let gameState = {
-    score: GAME_CONFIG.initialScore,
-    lives: GAME_CONFIG.initialLives,
-    level: 1,
-    isGameOver: false,
-    isPlaying: false,
-    grid: [],                 // 2D array representing the grid
-    visitedTiles: new Set(),  // Set of visited tile coordinates (as strings)
-    playerPosition: { x: 0, y: 0 },
-    goalPosition: { x: 0, y: 0 },
-    projectiles: [],          // Array of active projectiles
-    enemies: [],              // Array of active enemies
+// Statistics of every run; finished runs are added to the lifetime dashboard
+const runStats = GridRush.createStatsTracker(engine, addRunToLifetimeStats);
+let replayPlayer = null;        // Active replay player while watching a replay
+let isSeekingReplay = false;    // Suppresses level messages while scrubbing
+let customLevel = null;         // Hand-crafted level loaded from ?level= or a dropped file
+let generatorOverride = null;   // Generator schedule from ?generator= (null = the default)
+let fogOverride = null;         // Fog schedule from ?fog= (null = the default)
+
+// Input and UI state that is not part of the game rules
+const inputState = {
     lastMoveTime: 0,          // For movement debouncing
     handDetected: false,      // Flag for hand detection status
+    handLostSince: null,      // Timestamp when the hand was last lost (for auto-pause)
     debugMode: false          // Debug mode to show extra information
 };
 
+// Game controllers are polled every frame while one is connected (see game/gamepad.js)
+const gamepadReader = GridRush.createGamepadReader();
+const GAMEPAD_ORBIT_SPEED = 2.5;  // Radians per second the camera orbits at full right stick tilt
+let isPollingGamepads = false;    // Whether the gamepad polling loop is running
+let lastGamepadPoll = 0;          // Timestamp of the previous gamepad poll
+
+// Colors of keys and doors, and of each teleporter pair
+const KEY_COLOR_VALUES = { red: 0xff4444, blue: 0x4488ff, yellow: 0xffdd33 };
+const TELEPORTER_COLOR_VALUES = { A: 0xcc66ff, B: 0x33ffcc, C: 0xff66aa };
+
+// Colors of the enemy archetypes (see game/enemies.js)
+const ENEMY_COLOR_VALUES = { chaser: 0xff00ff, patroller: 0xff8800, ambusher: 0xff2222, sentry: 0xeeeeee };
+
+// Colors and HUD letters of the power-ups (see game/powerups.js)
+const POWERUP_COLOR_VALUES = { shield: 0x33ccff, freeze: 0xbbf0ff, phase: 0xaa77ff, reveal: 0xffee55, extraLife: 0xff5577 };
+const POWERUP_LETTERS = { shield: 'S', freeze: 'F', phase: 'P', reveal: 'R', extraLife: '+' };
+
 // Three.js variables
 let scene, camera, renderer, controls;
 let gridGroup, playerMesh, goalMesh;
+const hazardMeshes = new Map(); // Projectile and enemy meshes keyed by entity id
+const tileMeshes = new Map();   // Wall and special tile meshes keyed by "x,y"
+const fogMeshes = new Map();    // Fog of war covers keyed by "x,y" (fog levels only)
+const turretMeshes = new Map(); // Turret meshes keyed by the "x,y" of their mount
+const laneHighlights = new Map(); // Telegraphed lanes of turrets winding up, keyed like turretMeshes
+const powerupMeshes = new Map(); // Power-ups lying on the board keyed by entity id
+let revealedPathGroup = null;   // Markers along the route shown by the reveal power-up
+let tileAssets = null;          // Shared tile geometries and materials (see getTileAssets)
+const sharedAssets = new WeakSet(); // Geometries and materials of tileAssets, kept when meshes are removed
+let lastFrameTime = 0;          // Timestamp of the previous rendered frame
+let isAnimating = false;        // Whether the requestAnimationFrame loop is running
 
 // TensorFlow.js and Handpose variables
 let handposeModel;
 let video;
 let lastGesture = null;
+let isPinching = false;         // Whether the thumb and index finger were touching at the last check
 let isHandposeModelLoaded = false;
 let handDetectionErrorCount = 0; // Counter for consecutive hand detection errors
 let handOverlayCanvas = null;
@@ -61,16 +93,141 @@ let handOverlayCtx = null;
 // DOM elements
 const startButton = document.getElementById('start-button');
 const restartButton = document.getElementById('restart-button');
+const gameoverContinueButton = document.getElementById('gameover-continue-button');
+const continueButton = document.getElementById('continue-button');
 const webcamStatus = document.getElementById('webcam-status');
+const levelStatus = document.getElementById('level-status');
 const loadingStatus = document.getElementById('loading-status');
 const startOverlay = document.getElementById('start-overlay');
 const gameoverOverlay = document.getElementById('gameover-overlay');
 const loadingOverlay = document.getElementById('loading-overlay');
+const modeDisplay = document.getElementById('mode');
+const timeDisplay = document.getElementById('time-display');
+const timeLeftDisplay = document.getElementById('time-left');
 const scoreDisplay = document.getElementById('score');
 const livesDisplay = document.getElementById('lives');
 const levelDisplay = document.getElementById('level');
+const stepsDisplay = document.getElementById('steps');
+const parDisplay = document.getElementById('par');
+const keysDisplay = document.getElementById('keys-display');
+const keysList = document.getElementById('keys');
+const coinsDisplay = document.getElementById('coins');
+const gemsDisplay = document.getElementById('gems');
+const objectivesDisplay = document.getElementById('objectives-display');
+const objectivesList = document.getElementById('objectives');
+const powerupsDisplay = document.getElementById('powerups-display');
+const heldPowerupsList = document.getElementById('powerups-held');
+const activePowerupsList = document.getElementById('powerups-active');
+const resultsCard = document.getElementById('results-card');
 const finalScoreDisplay = document.getElementById('final-score');
 const finalLevelDisplay = document.getElementById('final-level');
+const finalSeedDisplay = document.getElementById('final-seed');
+const pauseOverlay = document.getElementById('pause-overlay');
+const pauseReasonDisplay = document.getElementById('pause-reason');
+const resumeButton = document.getElementById('resume-button');
+const countdownDisplay = document.getElementById('countdown');
+const replayBar = document.getElementById('replay-bar');
+const replayPlayButton = document.getElementById('replay-play-button');
+const replayScrub = document.getElementById('replay-scrub');
+const replayHitMarks = document.getElementById('replay-hits');
+const replayTimeDisplay = document.getElementById('replay-time');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayFileInput = document.getElementById('replay-file');
+const playerNameInput = document.getElementById('player-name');
+const startHighScores = document.getElementById('start-highscores');
+const modeSelect = document.getElementById('mode-select');
+const modeDescription = document.getElementById('mode-description');
+const gameoverReason = document.getElementById('gameover-reason');
+const gameoverHighScores = document.getElementById('gameover-highscores');
+const highScoresFileInput = document.getElementById('highscores-file');
+const highScoresStatus = document.getElementById('highscores-status');
+const achievementsSummary = document.getElementById('achievements-summary');
+const achievementsList = document.getElementById('achievements-list');
+const playerColorSelect = document.getElementById('player-color-select');
+const themeSelect = document.getElementById('theme-select');
+const achievementToasts = document.getElementById('achievement-toasts');
+const runStatsTable = document.getElementById('run-stats');
+const statsOverlay = document.getElementById('stats-overlay');
+const statsSummary = document.getElementById('stats-summary');
+const statsCanvas = document.getElementById('stats-chart');
+const settingsButton = document.getElementById('settings-button');
+const settingsOverlay = document.getElementById('settings-overlay');
+const difficultySelect = document.getElementById('difficulty-select');
+const difficultyDescription = document.getElementById('difficulty-description');
+const difficultyTable = document.getElementById('difficulty-table');
+const difficultyStatus = document.getElementById('difficulty-status');
+const respawnSelect = document.getElementById('respawn-select');
+const respawnDescription = document.getElementById('respawn-description');
+
+// localStorage key for the in-progress run snapshot
+const SAVED_RUN_KEY = 'gridrush.savedRun';
+
+// localStorage keys for the high score table and the name entered for it
+const HIGH_SCORES_KEY = 'gridrush.highScores';
+const PLAYER_NAME_KEY = 'gridrush.playerName';
+
+// localStorage keys for the chosen game mode and the day whose Daily Challenge attempt was used
+const GAME_MODE_KEY = 'gridrush.mode';
+const DAILY_ATTEMPT_KEY = 'gridrush.dailyAttempt';
+let selectedMode = GridRush.DEFAULT_MODE;   // Mode of the next run (see game/modes.js)
+let isPracticeRun = false;  // A Daily Challenge run after the day's scored attempt; not entered into high scores
+let isRunEndPending = false; // The run is over unless the player continues it; scored once they give up on it
+
+// localStorage keys for achievement progress and the chosen player color and theme
+const ACHIEVEMENTS_KEY = 'gridrush.achievements';
+const COSMETICS_KEY = 'gridrush.cosmetics';
+const ACHIEVEMENT_TOAST_TIME = 4000;
+
+// Player colors and board themes; all but the first of each are unlocked by achievements (see game/achievements.js)
+const PLAYER_COLORS = {
+    green: { name: 'Green', value: 0x00ff00 },
+    cyan: { name: 'Cyan', value: 0x00ffee },
+    violet: { name: 'Violet', value: 0x9966ff },
+    pink: { name: 'Pink', value: 0xff99cc }
+};
+const THEMES = {
+    classic: { name: 'Classic', background: 0x222233, floor: 0x444444, gridLines: 0x333333, wall: 0x0066cc },
+    midnight: { name: 'Midnight', background: 0x05050f, floor: 0x1a1a2e, gridLines: 0x2a2a4a, wall: 0x3d2b80 },
+    neon: { name: 'Neon', background: 0x0a0014, floor: 0x1a0a2a, gridLines: 0xff00cc, wall: 0x00cc99 },
+    sunset: { name: 'Sunset', background: 0x331a22, floor: 0x5a3a3a, gridLines: 0x6a4444, wall: 0xcc5522 }
+};
+let achievementProgress = null; // Progress shared with the achievement tracker (see setupAchievements)
+let cosmetics = { color: 'green', theme: 'classic' };
+
+// localStorage key for the lifetime statistics, and the colors of their charts
+const LIFETIME_STATS_KEY = 'gridrush.stats';
+const DEATH_COLORS = { wall: '#0066cc', projectile: '#ff3333', enemy: '#ff00ff', stuck: '#aaaaaa' };
+const MOVE_COLORS = { gesture: '#66ff99', keyboard: '#66ccff' };
+
+// localStorage key for the chosen difficulty preset and the custom difficulty curve
+const DIFFICULTY_KEY = 'gridrush.difficulty';
+let difficulty = {
+    preset: GridRush.DEFAULT_DIFFICULTY,   // A preset id (see game/difficulty.js) or 'custom'
+    custom: GridRush.copyDifficultyCurve(GridRush.DIFFICULTY_PRESETS[GridRush.DEFAULT_DIFFICULTY].curve)
+};
+
+// localStorage key for where the player respawns after a hit, and the choices (see respawn in game/engine.js)
+const RESPAWN_KEY = 'gridrush.respawn';
+const RESPAWN_OPTIONS = {
+    checkpoint: { name: 'Last checkpoint', description: 'Back to the last checkpoint you crossed, or the start of the level' },
+    start: { name: 'Level start', description: 'Back to the start of the level' },
+    stay: { name: 'Stay put', description: 'Stay where you were hit' }
+};
+let respawnChoice = GridRush.DEFAULT_CONFIG.respawn;
+
+// Messages shown on the pause overlay for each pause reason
+const PAUSE_MESSAGES = {
+    key: 'Game paused',
+    hidden: 'Paused while the tab was hidden',
+    blur: 'Paused because the window lost focus',
+    hand: 'Paused because no hand was detected',
+    gamepad: 'Paused because the controller was disconnected'
+};
+
+// Status marks shown next to objectives, and how long the level results card stays up
+const OBJECTIVE_MARKS = { active: '\u25CB', complete: '\u2713', failed: '\u2717' };
+const RESULTS_CARD_TIME = 4000;
+let resultsCardTimer = null;
 const canvas = document.getElementById('game-canvas');
 
 /**
@@ -162,14 +319,59 @@ async function initGame() {
         startOverlay.classList.remove('hidden');
         
         // Add event listeners
+        bindEngineEvents();
         startButton.addEventListener('click', startGame);
+        continueButton.addEventListener('click', continueGame);
+        updateContinueButton();
         restartButton.addEventListener('click', restartGame);
+        gameoverContinueButton.addEventListener('click', continueAfterGameOver);
+        resumeButton.addEventListener('click', () => engine.resume());
+        setupReplayControls();
+        setupGameModes();
+        setupHighScoreControls();
+        setupAchievements();
+        setupStatsDashboard();
+        setupSettings();
+        setupLevelFileDrop();
+        setupEditor();
+        
+        // Load a hand-crafted level given in the URL
+        const levelParam = urlParams.get('level');
+        if (levelParam) {
+            loadLevelFromUrl(levelParam);
+        }
+        
+        // Use a maze generator given in the URL for every generated level
+        const generatorParam = urlParams.get('generator');
+        if (generatorParam) {
+            useGenerator(generatorParam);
+        }
+        
+        // Play every level with fog of war
+        const fogParam = urlParams.get('fog');
+        if (fogParam) {
+            useFog(fogParam);
+        }
+        
+        // Pause automatically when the player switches away from the game
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) engine.pause('hidden');
+        });
+        window.addEventListener('blur', () => engine.pause('blur'));
+        
+        // A run waiting to be continued is scored if the player leaves instead
+        window.addEventListener('pagehide', () => {
+            if (isRunEndPending) finishRun();
+        });
         
         // Set a max loading time - if we're still initializing after 10 seconds, force continue
         clearTimeout(window.loadingTimeoutId); // Clear any existing timeout
         
         // Add event listener for camera rotation with keyboard
         document.addEventListener('keydown', handleKeyboardInput);
+        
+        // Game controllers can be plugged in at any time
+        setupGamepads();
     } catch (error) {
         console.error('Fatal error initializing game:', error);
         loadingStatus.textContent = 'Error loading game. Please try refreshing. Error: ' + error.message;
@@ -191,15 +393,9 @@ function setupThreeJS() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x222233);
     
-    // Create camera (positioned directly above the grid looking down)
+    // Create camera (positioned directly above the grid looking down, see frameCamera)
     camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
     
-    // Position camera to look straight down at the grid
-    const gridCenterX = GAME_CONFIG.gridSize / 2 - 0.5;
-    const gridCenterZ = GAME_CONFIG.gridSize / 2 - 0.5;
-    camera.position.set(gridCenterX, 18, gridCenterZ); // Higher position to see the whole grid
-    camera.lookAt(gridCenterX, 0, gridCenterZ); // Look directly down
-    
     // Create renderer
     renderer = new THREE.WebGLRenderer({
         canvas: canvas,
@@ -236,6 +432,9 @@ function setupThreeJS() {
     controls.maxPolarAngle = Math.PI / 2; // Restrict to not go below horizon
     controls.enabled = false;   // Disabled by default, enabled by right-click
     
+    // Look straight down at the default grid until a level is loaded
+    frameCamera(GAME_CONFIG.gridWidth, GAME_CONFIG.gridHeight);
+    
     // Handle window resize
     window.addEventListener('resize', () => {
         camera.aspect = window.innerWidth / window.innerHeight;
@@ -407,6 +606,7 @@ async function detectHands() {
     try {
         // Only run detection if video is ready and playing
         if (video.readyState === 4) {
+            const detectionStart = performance.now();
             const hands = await handposeModel.estimateHands(video);
             
             // Reset error count on successful detection
@@ -425,9 +625,18 @@ async function detectHands() {
             
             // No hand detected - clear state and update UI
             if (hands.length === 0) {
-                gameState.handDetected = false;
+                inputState.handDetected = false;
                 lastGesture = null; // Reset gesture when hand disappears
                 
+                // Optionally pause when the hand has been gone for a while
+                const now = Date.now();
+                if (inputState.handLostSince === null) {
+                    inputState.handLostSince = now;
+                } else if (GAME_CONFIG.handLossPauseTime > 0 &&
+                           now - inputState.handLostSince > GAME_CONFIG.handLossPauseTime) {
+                    engine.pause('hand');
+                }
+                
                 if (handIndicator) {
                     handIndicator.textContent = "No Hand Detected";
                     handIndicator.className = "not-detected";
@@ -489,11 +698,17 @@ async function detectHands() {
                              (indexToMiddleRatio > 1.3); // Index is significantly longer than middle
             
             // Update hand state UI
-            gameState.handDetected = true;
+            inputState.handDetected = true;
+            inputState.handLostSince = null;
+            
+            // Resume automatically if we paused because the hand was lost
+            if (gameState.isPaused && gameState.pauseReason === 'hand') {
+                engine.resume();
+            }
             
             // Debug information to help see what values are being measured
             if (handIndicator) {
-                const debugInfo = gameState.debugMode ? ` (i:${indexDistance.toFixed(1)}, str:${straightness.toFixed(2)})` : '';
+                const debugInfo = inputState.debugMode ? ` (i:${indexDistance.toFixed(1)}, str:${straightness.toFixed(2)})` : '';
                 handIndicator.textContent = handOpen ? 
                     `Hand Detected (Open)${debugInfo}` : 
                     `Hand Detected (Closed)${debugInfo}`;
@@ -503,6 +718,13 @@ async function detectHands() {
             // Draw the hand skeleton on the overlay with appropriate color
             drawHandSkeleton(hand.landmarks, handOpen);
             
+            // Pinching the thumb and index finger together uses a power-up (once per pinch)
+            const pinching = Math.hypot(thumbTip[0] - indexTip[0], thumbTip[1] - indexTip[1]) < 30;
+            if (pinching && !isPinching) {
+                handlePowerup('gesture');
+            }
+            isPinching = pinching;
+            
             // If hand is closed, don't register any movement
             if (!handOpen) {
                 // IMPORTANT: Reset last gesture when hand is closed to prevent lingering movement
@@ -556,10 +778,11 @@ async function detectHands() {
                 const currentTime = Date.now();
                 const increasedDebounceTime = GAME_CONFIG.debounceTime * 2; // 400ms instead of 200ms
                 
-                if (gesture && gesture !== lastGesture && currentTime - gameState.lastMoveTime > increasedDebounceTime) {
-                    handleMovement(gesture);
+                if (gesture && gesture !== lastGesture && currentTime - inputState.lastMoveTime > increasedDebounceTime) {
+                    handleMovement(gesture, 'gesture');
+                    runStats.recordLatency(performance.now() - detectionStart);
                     lastGesture = gesture;
-                    gameState.lastMoveTime = currentTime;
+                    inputState.lastMoveTime = currentTime;
                     
                     // Visual feedback for successful gesture recognition
                     if (handIndicator) {
@@ -594,102 +817,235 @@ async function detectHands() {
 /**
  * Handle player movement based on gesture
  * @param {string} direction - Movement direction ('up', 'down', 'left', 'right')
+ * @param {string} [source] - Input method ('keyboard', 'gesture' or 'gamepad')
  */
-function handleMovement(direction) {
-    if (gameState.isGameOver || !gameState.isPlaying) return;
+function handleMovement(direction, source = 'keyboard') {
+    // Live input is ignored while a replay drives the engine
+    if (replayPlayer) return;
     
-    const { x, y } = gameState.playerPosition;
-    let newX = x;
-    let newY = y;
+    engine.move(direction, source);
+}
+
+/**
+ * Use the oldest held power-up
+ * @param {string} [source] - Input method ('keyboard', 'gesture' or 'gamepad')
+ */
+function handlePowerup(source = 'keyboard') {
+    // Live input is ignored while a replay drives the engine
+    if (replayPlayer) return;
     
-    // Calculate new position based on direction
-    switch (direction) {
-        case 'up': 
-            newY = y - 1;
-            break;
-        case 'down': 
-            newY = y + 1;
-            break;
-        case 'left': 
-            newX = x - 1;
-            break;
-        case 'right': 
-            newX = x + 1;
-            break;
-        default:
-            return;
+    engine.usePowerup(source);
+}
+
+/**
+ * Listen for game controllers being connected and disconnected
+ */
+function setupGamepads() {
+    if (!navigator.getGamepads) {
+        console.log('Gamepad API not supported');
+        return;
     }
     
-    // Check if move is valid
-    if (isValidMove(newX, newY)) {
-        // Update score for each step
-        gameState.score -= GAME_CONFIG.stepPenalty;
-        updateScoreDisplay();
-        
-        // Update player position
-        gameState.playerPosition = { x: newX, y: newY };
-        updatePlayerPosition();
-        
-        // Mark tile as visited
-        const tileKey = `${newX},${newY}`;
-        gameState.visitedTiles.add(tileKey);
-        
-        // Check if player reached the goal
-        if (newX === gameState.goalPosition.x && newY === gameState.goalPosition.y) {
-            handleLevelComplete();
+    window.addEventListener('gamepadconnected', (event) => {
+        console.log('Gamepad connected:', event.gamepad.id);
+        showMessage(`Controller connected: ${event.gamepad.id}`);
+        startGamepadPolling();
+    });
+    
+    window.addEventListener('gamepaddisconnected', (event) => {
+        console.log('Gamepad disconnected:', event.gamepad.id);
+        gamepadReader.forget(event.gamepad.index);
+        showMessage('Controller disconnected');
+        engine.pause('gamepad');
+    });
+    
+    // Controllers already connected before the page loaded (some browsers only report them after a button press)
+    if (getConnectedGamepads().length > 0) {
+        startGamepadPolling();
+    }
+}
+
+/**
+ * Get the game controllers currently connected
+ * @returns {Array} - Gamepads
+ */
+function getConnectedGamepads() {
+    try {
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    } catch (e) {
+        console.error('Error reading gamepads:', e);
+        return [];
+    }
+}
+
+/**
+ * Start the gamepad polling loop unless it is already running
+ */
+function startGamepadPolling() {
+    if (isPollingGamepads) return;
+    isPollingGamepads = true;
+    lastGamepadPoll = performance.now();
+    requestAnimationFrame(pollGamepads);
+}
+
+/**
+ * Read every connected controller once per frame until none are left
+ * @param {number} now - Frame timestamp
+ */
+function pollGamepads(now) {
+    const pads = getConnectedGamepads();
+    if (pads.length === 0) {
+        isPollingGamepads = false;
+        return;
+    }
+    requestAnimationFrame(pollGamepads);
+    
+    const elapsed = Math.min(now - lastGamepadPoll, 100) / 1000;
+    lastGamepadPoll = now;
+    for (const pad of pads) {
+        const { direction, pressed, orbit } = gamepadReader.read(pad, now);
+        pressed.forEach(handleGamepadButton);
+        if (direction && gameState.isPlaying && !gameState.isGameOver) {
+            handleMovement(direction, 'gamepad');
+        }
+        if ((orbit.x || orbit.y) && gameState.isPlaying) {
+            orbitCamera(orbit.x * GAMEPAD_ORBIT_SPEED * elapsed, orbit.y * GAMEPAD_ORBIT_SPEED * elapsed);
         }
     }
 }
 
 /**
- * Check if a move to (x, y) is valid
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- * @returns {boolean} - True if move is valid
+ * Handle a controller button being pressed
+ * A or Start starts and restarts the game, B continues after game over, and while
+ * playing Start pauses, X uses a power-up, Y resets the camera and Back toggles
+ * camera control.
+ * @param {string} button - Button name (see GridRush.GAMEPAD_BUTTONS)
  */
-function isValidMove(x, y) {
-    // Check if within grid boundaries
-    if (x < 0 || y < 0 || x >= GAME_CONFIG.gridSize || y >= GAME_CONFIG.gridSize) {
-        return false;
+function handleGamepadButton(button) {
+    // Menus opened from the start screen are left to the mouse
+    if (!settingsOverlay.classList.contains('hidden') || !statsOverlay.classList.contains('hidden') ||
+        !loadingOverlay.classList.contains('hidden')) {
+        return;
     }
     
-    // Check if hitting a wall
-    if (gameState.grid[y][x] === 1) {
-        handleCollision('wall');
-        return false;
+    if (!startOverlay.classList.contains('hidden')) {
+        if (button === 'a' || button === 'start') startGame();
+        return;
     }
     
-    // From level 2 onward, check if tile was already visited
-    if (gameState.level >= 2) {
-        const tileKey = `${x},${y}`;
-        if (gameState.visitedTiles.has(tileKey)) {
-            return false;
+    if (!gameoverOverlay.classList.contains('hidden')) {
+        if (button === 'a' || button === 'start') {
+            restartGame();
+        } else if (button === 'b' && !gameoverContinueButton.classList.contains('hidden')) {
+            continueAfterGameOver();
         }
+        return;
     }
     
-    return true;
+    if (!gameState.isPlaying) return;
+    
+    switch (button) {
+        case 'start':
+            // Pause or resume (the replay playback while watching one)
+            if (replayPlayer) {
+                toggleReplayPlayback();
+            } else {
+                togglePause();
+            }
+            break;
+            
+        case 'x':
+            if (!gameState.isGameOver) handlePowerup('gamepad');
+            break;
+            
+        case 'y':
+            resetCamera();
+            break;
+            
+        case 'back':
+            // Toggle camera control
+            controls.enabled = !controls.enabled;
+            canvas.style.cursor = controls.enabled ? 'move' : 'default';
+            break;
+    }
 }
 
 /**
- * Handle collisions with obstacles
- * @param {string} type - Type of collision ('wall', 'projectile', 'enemy')
+ * Orbit the camera around the point the controls look at
+ * @param {number} angleLeft - Radians to swing around the vertical axis
+ * @param {number} angleUp - Radians to tilt towards looking straight down
  */
-function handleCollision(type) {
-    // Reduce lives
-    gameState.lives--;
-    updateLivesDisplay();
-    
-    // Apply score penalty
-    gameState.score -= GAME_CONFIG.deathPenalty;
-    updateScoreDisplay();
+function orbitCamera(angleLeft, angleUp) {
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta -= angleLeft;
+    spherical.phi = Math.max(controls.minPolarAngle, Math.min(controls.maxPolarAngle, spherical.phi - angleUp));
+    spherical.makeSafe();
+    
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+    camera.lookAt(controls.target);
+    controls.update();
+}
+
+/**
+ * Subscribe the 3D scene and HUD to engine events
+ */
+function bindEngineEvents() {
+    engine.on('runStart', updateModeDisplay);
+    engine.on('levelStart', handleLevelStart);
+    engine.on('levelComplete', handleLevelComplete);
+    engine.on('playerMoved', updatePlayerPosition);
+    engine.on('playerMoved', updateStepsDisplay);
+    engine.on('tileChanged', ({ x, y, tile }) => setTileMesh(x, y, tile));
+    engine.on('keyCollected', updateKeysDisplay);
+    engine.on('itemCollected', updateItemsDisplay);
+    engine.on('objectivesChanged', updateObjectivesDisplay);
+    engine.on('visibilityChanged', updateFog);
+    engine.on('scoreChanged', updateScoreDisplay);
+    engine.on('livesChanged', updateLivesDisplay);
+    engine.on('collision', handleCollision);
+    engine.on('gameOver', gameOver);
+    engine.on('paused', showPauseOverlay);
+    engine.on('timeAdded', ({ ticks }) => showMessage(`+${Math.round(ticks / GAME_CONFIG.tickRate)}s`));
+    engine.on('stuck', () => showMessage('No moves left!'));
+    engine.on('checkpointReached', () => showMessage('Checkpoint!'));
+    engine.on('respawned', handleRespawn);
+    engine.on('runContinued', ({ continuesLeft }) => showMessage(`Continued! ${continuesLeft} continue${continuesLeft === 1 ? '' : 's'} left`));
+    
+    // Keep a snapshot of the run so it can be continued after closing the tab
+    engine.on('levelStart', saveRun);
+    engine.on('paused', saveRun);
+    engine.on('runContinued', saveRun);
+    engine.on('gameOver', clearSavedRun);
+    engine.on('resumed', () => pauseOverlay.classList.add('hidden'));
+    
+    engine.on('turretWindup', showTurretWindup);
+    engine.on('turretFired', handleTurretFired);
+    engine.on('projectileSpawned', ({ projectile }) => {
+        const projectileGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+        const projectileMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
+        addHazardMesh(projectile, new THREE.Mesh(projectileGeometry, projectileMaterial));
+    });
+    engine.on('enemySpawned', ({ enemy }) => {
+        const enemyGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
+        const enemyMaterial = new THREE.MeshLambertMaterial({ color: ENEMY_COLOR_VALUES[enemy.type] });
+        addHazardMesh(enemy, new THREE.Mesh(enemyGeometry, enemyMaterial));
+    });
+    engine.on('projectileRemoved', ({ projectile }) => removeHazardMesh(projectile));
+    engine.on('enemyRemoved', ({ enemy }) => removeHazardMesh(enemy));
     
-    // Check if game over
-    if (gameState.lives <= 0) {
-        gameOver();
-        return;
-    }
+    engine.on('powerupSpawned', ({ powerup }) => addPowerupMesh(powerup));
+    engine.on('powerupRemoved', ({ powerup }) => removePowerupMesh(powerup));
+    engine.on('powerupsChanged', updatePowerupsDisplay);
+    engine.on('pathRevealed', ({ path }) => showRevealedPath(path));
+}
+
+/**
+ * Visual feedback for collisions with obstacles
+ */
+function handleCollision() {
+    if (gameState.isGameOver || !playerMesh) return;
     
-    // Visual feedback for collision
     const originalColor = playerMesh.material.color.getHex();
     playerMesh.material.color.set(0xff0000); // Flash red
     
@@ -698,6 +1054,19 @@ function handleCollision(type) {
     }, 200);
 }
 
+/**
+ * Move the player to where they respawned after a hit
+ * @param {Object} event - Engine event ({ x, y, at })
+ */
+function handleRespawn({ at }) {
+    updatePlayerPosition();
+    if (at === 'checkpoint') {
+        showMessage('Back to the checkpoint');
+    } else if (at === 'start') {
+        showMessage('Back to the start of the level');
+    }
+}
+
 /**
  * Update player position in the 3D scene
  */
@@ -724,6 +1093,26 @@ function updateLivesDisplay() {
     livesDisplay.textContent = gameState.lives;
 }
 
+/**
+ * Show the run's game mode in the HUD, and the clock in timed modes
+ */
+function updateModeDisplay() {
+    modeDisplay.textContent = GridRush.GAME_MODES[gameState.mode].name;
+    timeDisplay.classList.toggle('hidden', gameState.timeLeftTicks === null);
+    updateTimeDisplay();
+}
+
+/**
+ * Update the clock of a timed run in the HUD
+ */
+function updateTimeDisplay() {
+    if (gameState.timeLeftTicks === null) return;
+    
+    // Count whole seconds down the way a clock does: 0:01 until the last step
+    timeLeftDisplay.textContent = formatTicks(gameState.timeLeftTicks + GAME_CONFIG.tickRate - 1);
+    timeDisplay.classList.toggle('low', gameState.timeLeftTicks < 10 * GAME_CONFIG.tickRate);
+}
+
 /**
  * Update level display in the HUD
  */
@@ -732,63 +1121,123 @@ function updateLevelDisplay() {
 }
 
 /**
- * Handle level completion
+ * Show the keys picked up on this level in the HUD
  */
-function handleLevelComplete() {
-    gameState.level++;
-    updateLevelDisplay();
-    
-    // Show level complete message
-    const levelCompleteMessage = document.createElement('div');
-    levelCompleteMessage.className = 'instruction';
-    levelCompleteMessage.textContent = `Level ${gameState.level - 1} Complete!`;
-    document.getElementById('game-container').appendChild(levelCompleteMessage);
-    
-    // Remove message after animation
-    setTimeout(() => {
-        document.getElementById('game-container').removeChild(levelCompleteMessage);
-    }, 5000);
-    
-    // Generate new level with increased difficulty
-    generateLevel();
+function updateKeysDisplay() {
+    keysList.textContent = '';
+    for (const color of gameState.keys) {
+        const key = document.createElement('span');
+        key.className = 'key-icon';
+        key.style.backgroundColor = '#' + KEY_COLOR_VALUES[color].toString(16).padStart(6, '0');
+        key.title = `${color} key`;
+        keysList.appendChild(key);
+    }
+    keysDisplay.classList.toggle('hidden', gameState.keys.length === 0);
 }
 
 /**
- * Generate a new level
+ * Show the held and active power-ups in the HUD
+ * @param {Object} event - powerupsChanged event ({ held, active })
  */
-function generateLevel() {
-    // Clear existing grid elements
-    while (gridGroup.children.length > 0) {
-        gridGroup.remove(gridGroup.children[0]);
+function updatePowerupsDisplay({ held, active }) {
+    heldPowerupsList.textContent = '';
+    for (const type of held) {
+        heldPowerupsList.appendChild(createPowerupIcon(type));
     }
+    activePowerupsList.textContent = '';
+    for (const { type } of active) {
+        const icon = createPowerupIcon(type);
+        icon.classList.add('active');
+        icon.dataset.type = type;
+        activePowerupsList.appendChild(icon);
+    }
+    updatePowerupTimers();
+    powerupsDisplay.classList.toggle('hidden', held.length === 0 && active.length === 0);
+}
+
+/**
+ * Build a HUD icon for a power-up
+ * @param {string} type - Power-up type
+ * @returns {HTMLElement} - Colored icon with the power-up's letter
+ */
+function createPowerupIcon(type) {
+    const icon = document.createElement('span');
+    icon.className = 'powerup-icon';
+    icon.style.backgroundColor = '#' + POWERUP_COLOR_VALUES[type].toString(16).padStart(6, '0');
+    icon.textContent = POWERUP_LETTERS[type];
+    icon.title = GridRush.POWERUP_TYPES[type].description;
+    return icon;
+}
+
+/**
+ * Update the seconds left on the active timed power-ups
+ */
+function updatePowerupTimers() {
+    for (const icon of activePowerupsList.children) {
+        const powerup = gameState.activePowerups.find(active => active.type === icon.dataset.type);
+        if (powerup && powerup.ticksLeft !== null) {
+            icon.textContent = `${POWERUP_LETTERS[powerup.type]} ${Math.ceil(powerup.ticksLeft / GAME_CONFIG.tickRate)}s`;
+        }
+    }
+}
+
+/**
+ * Show the coins and gems picked up on this level in the HUD
+ */
+function updateItemsDisplay() {
+    const items = gameState.items;
+    coinsDisplay.textContent = `${items.coins} / ${items.totalCoins}`;
+    gemsDisplay.textContent = `${items.gems} / ${items.totalGems}`;
+}
+
+/**
+ * Show the level's optional objectives and their progress in the HUD
+ */
+function updateObjectivesDisplay() {
+    objectivesList.textContent = '';
+    for (const objective of gameState.objectives) {
+        objectivesList.appendChild(createObjectiveItem(objective));
+    }
+    objectivesDisplay.classList.toggle('hidden', gameState.objectives.length === 0);
+}
+
+/**
+ * Build a list entry for an objective
+ * @param {Object} objective - Objective (see game/objectives.js)
+ * @returns {HTMLElement} - List item marked with the objective's status
+ */
+function createObjectiveItem(objective) {
+    const item = document.createElement('li');
+    const mark = OBJECTIVE_MARKS[objective.status];
+    item.className = `objective-${objective.status}`;
+    item.textContent = `${mark} ${objective.description} (+${objective.bonus})`;
+    return item;
+}
+
+/**
+ * Update the step count and par in the HUD
+ */
+function updateStepsDisplay() {
+    stepsDisplay.textContent = gameState.steps;
+    parDisplay.textContent = gameState.analysis ? gameState.analysis.par : '-';
+}
+
+/**
+ * Show a temporary instruction message over the game
+ * @param {string} text - Message to show
+ */
+function showMessage(text) {
+    if (isSeekingReplay) return;
     
-    // Reset game state for new level
-    gameState.grid = [];
-    gameState.visitedTiles = new Set();
-    gameState.projectiles = [];
-    gameState.enemies = [];
-    
-    // Generate new grid using maze generation with guaranteed path
-    generateGrid();
-    
-    // Place player at start position (0,0)
-    gameState.playerPosition = { x: 0, y: 0 };
-    gameState.visitedTiles.add('0,0'); // Mark starting position as visited
-    
-    // Create and position 3D objects
-    createGridObjects();
-    updatePlayerPosition();
-    
-    // Show new level message
-    const newLevelMessage = document.createElement('div');
-    newLevelMessage.className = 'instruction';
-    newLevelMessage.textContent = `Level ${gameState.level}`;
-    document.getElementById('game-container').appendChild(newLevelMessage);
+    const message = document.createElement('div');
+    message.className = 'instruction';
+    message.textContent = text;
+    document.getElementById('game-container').appendChild(message);
     
     // Remove message after animation
     setTimeout(() => {
         try {
-            document.getElementById('game-container').removeChild(newLevelMessage);
+            document.getElementById('game-container').removeChild(message);
         } catch (e) {
             console.log('Element already removed');
         }
@@ -796,604 +1245,145 @@ function generateLevel() {
 }
 
 /**
- * Generate the grid with walls and a guaranteed path
- * Uses an enhanced maze generation algorithm with intelligent obstacles
+ * Show the pause overlay
+ * @param {Object} event - Engine event ({ reason })
  */
-function generateGrid() {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Initialize grid with all empty (0)
-    for (let y = 0; y < size; y++) {
-        const row = [];
-        for (let x = 0; x < size; x++) {
-            row.push(0); // 0 represents an empty tile
-        }
-        gameState.grid.push(row);
-    }
-    
-    // Set start position
-    const startX = 0;
-    const startY = 0;
-    
-    // Set goal position based on level with more variety
-    if (gameState.level === 1) {
-        gameState.goalPosition = { x: 4, y: 4 }; // Easier first level
-    } else if (gameState.level === 2) {
-        gameState.goalPosition = { x: size - 2, y: 2 }; // Right side
-    } else if (gameState.level === 3) {
-        gameState.goalPosition = { x: 2, y: size - 2 }; // Bottom side
-    } else if (gameState.level === 4) {
-        gameState.goalPosition = { x: size - 3, y: size - 3 }; // Bottom right
-    } else {
-        // Higher levels have truly random goal positions (but not too close to start)
-        let minDistance = Math.floor(size * 0.6); // Minimum Manhattan distance from start
-        
-        let x, y;
-        do {
-            x = Math.floor(Math.random() * (size - 2)) + 1;
-            y = Math.floor(Math.random() * (size - 2)) + 1;
-            
-            // Calculate Manhattan distance
-            const distance = Math.abs(x - startX) + Math.abs(y - startY);
-            if (distance >= minDistance) break;
-        } while (true);
-        
-        gameState.goalPosition = { x, y };
-    }
-    
-    // Create the maze based on the level
-    if (gameState.level <= 2) {
-        // Lower levels: Create a simple maze with a clear path and some obstacles
-        generateSimpleMaze(startX, startY, gameState.goalPosition.x, gameState.goalPosition.y);
+function showPauseOverlay({ reason }) {
+    pauseReasonDisplay.textContent = PAUSE_MESSAGES[reason] || PAUSE_MESSAGES.key;
+    pauseOverlay.classList.remove('hidden');
+}
+
+/**
+ * Toggle between paused and running
+ */
+function togglePause() {
+    if (gameState.isPaused) {
+        engine.resume();
     } else {
-        // Higher levels: Create a more complex maze with strategic obstacles
-        generateComplexMaze(startX, startY, gameState.goalPosition.x, gameState.goalPosition.y);
+        engine.pause('key');
     }
-    
-    // Always ensure start and goal positions are open
-    gameState.grid[startY][startX] = 0; // Start position
-    gameState.grid[gameState.goalPosition.y][gameState.goalPosition.x] = 0; // Goal position
-    
-    // Make sure there's still a valid path (redundant check)
-    validatePath(startX, startY, gameState.goalPosition.x, gameState.goalPosition.y);
 }
 
 /**
- * Generate a simple maze for lower levels
- * @param {number} startX - Starting X coordinate
- * @param {number} startY - Starting Y coordinate
- * @param {number} endX - Ending X coordinate
- * @param {number} endY - Ending Y coordinate
+ * Update the resume countdown shown before hazards move again
  */
-function generateSimpleMaze(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Find the shortest path first
-    const path = findPath(startX, startY, endX, endY);
-    
-    // Draw some walls around the path with gaps
-    if (path.length > 0) {
-        // Mark the path tiles as visited
-        const visited = new Set();
-        for (const point of path) {
-            visited.add(`${point.x},${point.y}`);
-        }
-        
-        // Create walls but leave the path clear
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                // Don't put walls on the path
-                if (visited.has(`${x},${y}`)) continue;
-                
-                // Avoid blocking the start and goal areas completely
-                if ((x < 2 && y < 2) || (Math.abs(x - endX) < 2 && Math.abs(y - endY) < 2)) continue;
-                
-                // Create patterns of walls based on level
-                if (gameState.level === 1) {
-                    // Level 1: Simple walls pattern
-                    if ((x + y) % 3 === 0) {
-                        gameState.grid[y][x] = 1;
-                    }
-                } else {
-                    // Level 2: More challenging pattern
-                    if ((x * y) % 4 === 0 || (x + y) % 5 === 0) {
-                        gameState.grid[y][x] = 1;
-                    }
-                }
-            }
-        }
-        
-        // Add some strategic walls near the path to make navigation more challenging
-        for (let i = 1; i < path.length - 1; i++) {
-            const point = path[i];
-            
-            // Try to place walls adjacent to the path points (but not on path)
-            const adjacentPoints = [
-                { x: point.x + 1, y: point.y },
-                { x: point.x - 1, y: point.y },
-                { x: point.x, y: point.y + 1 },
-                { x: point.x, y: point.y - 1 }
-            ];
-            
-            for (const adjPoint of adjacentPoints) {
-                if (adjPoint.x < 0 || adjPoint.x >= size || adjPoint.y < 0 || adjPoint.y >= size) continue;
-                if (visited.has(`${adjPoint.x},${adjPoint.y}`)) continue;
-                
-                // 50% chance to place a wall
-                if (Math.random() < 0.5) {
-                    gameState.grid[adjPoint.y][adjPoint.x] = 1;
-                }
-            }
-        }
+function updateCountdownDisplay() {
+    if (gameState.countdownTicks > 0 && !gameState.isGameOver) {
+        countdownDisplay.textContent = Math.ceil(gameState.countdownTicks / GAME_CONFIG.tickRate);
+        countdownDisplay.classList.remove('hidden');
+    } else {
+        countdownDisplay.classList.add('hidden');
     }
 }
 
 /**
- * Generate a complex maze for higher levels
- * @param {number} startX - Starting X coordinate
- * @param {number} startY - Starting Y coordinate
- * @param {number} endX - Ending X coordinate
- * @param {number} endY - Ending Y coordinate
+ * Handle level completion
+ * @param {Object} event - Engine event ({ level, steps, par, stars, items, objectives, bonus, parPoints })
  */
-function generateComplexMaze(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Choose a maze style based on level
-    const mazeStyle = (gameState.level % 3);
-    
-    switch (mazeStyle) {
-        case 0:
-            // Maze style 1: Room-based maze with bottlenecks
-            generateRoomMaze(startX, startY, endX, endY);
-            break;
-            
-        case 1:
-            // Maze style 2: Spiral/concentric maze
-            generateSpiralMaze(startX, startY, endX, endY);
-            break;
-            
-        case 2:
-            // Maze style 3: Long winding path with strategic walls
-            generateWindingMaze(startX, startY, endX, endY);
-            break;
-    }
+function handleLevelComplete(event) {
+    showResultsCard(event);
 }
 
 /**
- * Generate a room-based maze with bottlenecks
+ * Show the results card for a completed level for a few seconds
+ * @param {Object} event - Engine levelComplete event
  */
-function generateRoomMaze(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Create some room divisions (3x3 grid of rooms)
-    const roomSize = Math.floor(size / 3);
-    
-    // Create dividing walls
-    for (let x = 0; x < size; x++) {
-        for (let y = 0; y < size; y++) {
-            // Create walls at room boundaries
-            if (x % roomSize === 0 || y % roomSize === 0) {
-                gameState.grid[y][x] = 1;
-            }
-        }
+function showResultsCard({ level, steps, par, stars, items, objectives, bonus, parPoints }) {
+    if (isSeekingReplay) return;
+    
+    document.getElementById('results-title').textContent = `Level ${level} Complete!`;
+    document.getElementById('results-stars').textContent = '\u2605'.repeat(stars) + '\u2606'.repeat(3 - stars);
+    
+    const list = document.getElementById('results-list');
+    list.textContent = '';
+    const lines = [
+        `Steps: ${steps} (par ${par})`,
+        `Coins: ${items.coins} / ${items.totalCoins}`,
+        `Gems: ${items.gems} / ${items.totalGems}`
+    ];
+    if (GridRush.getModeRules(gameState.mode).parScoring) {
+        lines.push(`Par points: +${parPoints}`);
     }
-    
-    // Create doors between rooms (at least one door per wall)
-    for (let roomY = 0; roomY < 3; roomY++) {
-        for (let roomX = 0; roomX < 3; roomX++) {
-            // Horizontal doors (in vertical walls)
-            if (roomX < 2) {
-                const doorY = (roomY * roomSize) + Math.floor(Math.random() * (roomSize - 2)) + 1;
-                const doorX = (roomX + 1) * roomSize;
-                gameState.grid[doorY][doorX] = 0;
-            }
-            
-            // Vertical doors (in horizontal walls)
-            if (roomY < 2) {
-                const doorX = (roomX * roomSize) + Math.floor(Math.random() * (roomSize - 2)) + 1;
-                const doorY = (roomY + 1) * roomSize;
-                gameState.grid[doorY][doorX] = 0;
-            }
-        }
+    const run = runStats.getRun();
+    if (run && !gameState.isReplay) {
+        lines.push(`Time: ${formatTicks(run.levels[run.levels.length - 1].ticks)}`);
     }
-    
-    // Add some random obstacles inside rooms
-    for (let roomY = 0; roomY < 3; roomY++) {
-        for (let roomX = 0; roomX < 3; roomX++) {
-            const obstacleCount = Math.floor(Math.random() * 3) + 2; // 2-4 obstacles per room
-            
-            for (let i = 0; i < obstacleCount; i++) {
-                const obsX = (roomX * roomSize) + Math.floor(Math.random() * (roomSize - 2)) + 1;
-                const obsY = (roomY * roomSize) + Math.floor(Math.random() * (roomSize - 2)) + 1;
-                
-                // Don't block start or goal
-                if ((obsX === startX && obsY === startY) || (obsX === endX && obsY === endY)) {
-                    continue;
-                }
-                
-                gameState.grid[obsY][obsX] = 1;
-                
-                // Sometimes create small clusters of obstacles
-                if (Math.random() < 0.4) {
-                    const adjX = obsX + (Math.random() < 0.5 ? 1 : -1);
-                    const adjY = obsY;
-                    
-                    if (adjX > 0 && adjX < size && adjX % roomSize !== 0 && 
-                        !(adjX === startX && adjY === startY) && 
-                        !(adjX === endX && adjY === endY)) {
-                        gameState.grid[adjY][adjX] = 1;
-                    }
-                }
-            }
-        }
+    for (const line of lines) {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    }
+    for (const objective of objectives) {
+        list.appendChild(createObjectiveItem(objective));
     }
+    const total = document.createElement('li');
+    total.textContent = `Bonus: +${bonus}`;
+    list.appendChild(total);
     
-    // Make sure there's a path from start to goal
-    validatePath(startX, startY, endX, endY);
+    resultsCard.classList.remove('hidden');
+    clearTimeout(resultsCardTimer);
+    resultsCardTimer = setTimeout(() => resultsCard.classList.add('hidden'), RESULTS_CARD_TIME);
 }
 
 /**
- * Generate a spiral/concentric maze
+ * Rebuild the scene for a newly generated level
  */
-function generateSpiralMaze(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    const center = Math.floor(size / 2);
+function handleLevelStart() {
+    // Clear existing grid elements
+    clearGridObjects();
     
-    // Create concentric squares
-    const rings = Math.floor(size / 2);
+    // Create and position 3D objects, and fit the camera to the level's size
+    createGridObjects();
+    createTurretObjects(gameState.turrets, gameState.grid);
+    updatePlayerPosition();
+    updateLevelDisplay();
+    updateStepsDisplay();
+    updateKeysDisplay();
+    updateItemsDisplay();
+    createFogObjects();
+    resetCamera();
     
-    for (let ring = 1; ring <= rings; ring++) {
-        // Define the boundaries of this ring
-        const minX = center - ring;
-        const maxX = center + ring;
-        const minY = center - ring;
-        const maxY = center + ring;
-        
-        // Create walls for this ring
-        for (let x = minX; x <= maxX; x++) {
-            for (let y = minY; y <= maxY; y++) {
-                // Only process points on the ring border
-                if (x === minX || x === maxX || y === minY || y === maxY) {
-                    // Check boundaries
-                    if (x >= 0 && x < size && y >= 0 && y < size) {
-                        // Don't block start or goal
-                        if ((x === startX && y === startY) || (x === endX && y === endY)) {
-                            continue;
-                        }
-                        
-                        // Create walls with 70% probability (leave some gaps)
-                        if (Math.random() < 0.7) {
-                            gameState.grid[y][x] = 1;
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Ensure there's at least one opening in each wall of the ring
-        // Top wall
-        let openingX = minX + Math.floor(Math.random() * (maxX - minX));
-        if (openingX >= 0 && openingX < size && minY >= 0 && minY < size) {
-            gameState.grid[minY][openingX] = 0;
-        }
-        
-        // Right wall
-        let openingY = minY + Math.floor(Math.random() * (maxY - minY));
-        if (maxX >= 0 && maxX < size && openingY >= 0 && openingY < size) {
-            gameState.grid[openingY][maxX] = 0;
-        }
-        
-        // Bottom wall
-        openingX = minX + Math.floor(Math.random() * (maxX - minX));
-        if (openingX >= 0 && openingX < size && maxY >= 0 && maxY < size) {
-            gameState.grid[maxY][openingX] = 0;
-        }
-        
-        // Left wall
-        openingY = minY + Math.floor(Math.random() * (maxY - minY));
-        if (minX >= 0 && minX < size && openingY >= 0 && openingY < size) {
-            gameState.grid[openingY][minX] = 0;
-        }
-    }
-    
-    // Make sure there's a path from start to goal
-    validatePath(startX, startY, endX, endY);
-}
-
-/**
- * Generate a winding maze with strategic walls
- */
-function generateWindingMaze(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Find a winding path from start to goal
-    const directPath = findPath(startX, startY, endX, endY);
-    
-    // Create a more winding path by adding random detours
-    let windingPath = [];
-    
-    if (directPath.length > 0) {
-        windingPath = createWindingPath(directPath);
-        
-        // Mark all path tiles
-        const pathTiles = new Set();
-        for (const point of windingPath) {
-            pathTiles.add(`${point.x},${point.y}`);
-        }
-        
-        // Fill a significant portion of the grid with walls
-        const wallDensity = 0.5 + (gameState.level * 0.03); // Increases with level
-        
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                // Don't put walls on the path
-                if (pathTiles.has(`${x},${y}`)) continue;
-                
-                // Don't completely surround start and end
-                if ((Math.abs(x - startX) <= 1 && Math.abs(y - startY) <= 1) ||
-                    (Math.abs(x - endX) <= 1 && Math.abs(y - endY) <= 1)) {
-                    continue;
-                }
-                
-                // Place walls based on probability
-                if (Math.random() < wallDensity) {
-                    gameState.grid[y][x] = 1;
-                }
-            }
-        }
-        
-        // Add some strategic walls along the path to create challenges
-        // (but keep the path itself clear)
-        for (let i = 2; i < windingPath.length - 2; i++) {
-            const point = windingPath[i];
-            const adjacentPoints = [
-                { x: point.x + 1, y: point.y },
-                { x: point.x - 1, y: point.y },
-                { x: point.x, y: point.y + 1 },
-                { x: point.x, y: point.y - 1 }
-            ];
-            
-            for (const adjPoint of adjacentPoints) {
-                // Check if in bounds and not on path
-                if (adjPoint.x < 0 || adjPoint.x >= size || adjPoint.y < 0 || adjPoint.y >= size) continue;
-                if (pathTiles.has(`${adjPoint.x},${adjPoint.y}`)) continue;
-                
-                // Add walls strategically
-                if (Math.random() < 0.65) {
-                    gameState.grid[adjPoint.y][adjPoint.x] = 1;
-                }
-            }
-        }
-    }
-    
-    // Make sure there's a path from start to goal
-    validatePath(startX, startY, endX, endY);
+    // Show new level message
+    const title = gameState.levelName ? `Level ${gameState.level}: ${gameState.levelName}` : `Level ${gameState.level}`;
+    showMessage(`${title}\nDifficulty ${gameState.analysis.difficulty} / 10`);
 }
 
 /**
- * Create a winding path from a direct path by adding detours
- * @param {Array} directPath - The direct path from start to goal
- * @returns {Array} - A more winding path
+ * Add the mesh for a projectile or enemy to the scene
+ * @param {Object} entity - Engine entity ({ id, x, y })
+ * @param {THREE.Mesh} mesh - Mesh representing the entity
  */
-function createWindingPath(directPath) {
-    const windingPath = [...directPath];
-    const size = GAME_CONFIG.gridSize;
-    
-    // No need to add detours to very short paths
-    if (directPath.length < 5) return windingPath;
-    
-    // Add 1-3 detours depending on path length
-    const numDetours = Math.min(3, Math.floor(directPath.length / 5));
-    
-    for (let d = 0; d < numDetours; d++) {
-        // Choose a random point on the path (not too close to start or goal)
-        const minIndex = Math.ceil(directPath.length * 0.2);
-        const maxIndex = Math.floor(directPath.length * 0.8);
-        const detourIndex = minIndex + Math.floor(Math.random() * (maxIndex - minIndex));
-        
-        const detourStart = directPath[detourIndex];
-        
-        // Choose a random valid detour point
-        let detourX, detourY;
-        const detourLength = Math.floor(Math.random() * 3) + 2; // 2-4 steps
-        
-        // Try a few directions for the detour
-        const directions = [
-            { x: 1, y: 0 },
-            { x: -1, y: 0 },
-            { x: 0, y: 1 },
-            { x: 0, y: -1 }
-        ];
-        
-        // Shuffle directions
-        for (let i = directions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [directions[i], directions[j]] = [directions[j], directions[i]];
-        }
-        
-        // Try each direction until we find a valid detour
-        for (const dir of directions) {
-            let validDetour = true;
-            let currentX = detourStart.x;
-            let currentY = detourStart.y;
-            const detourPoints = [];
-            
-            // Check if we can make a detour in this direction
-            for (let step = 0; step < detourLength; step++) {
-                currentX += dir.x;
-                currentY += dir.y;
-                
-                // Check if the detour point is valid
-                if (currentX < 0 || currentX >= size || currentY < 0 || currentY >= size) {
-                    validDetour = false;
-                    break;
-                }
-                
-                detourPoints.push({ x: currentX, y: currentY });
-            }
-            
-            // If we found a valid detour, add it to the path
-            if (validDetour) {
-                // Add detour points
-                const detourBackPoints = [...detourPoints];
-                detourBackPoints.pop(); // Remove the last point to avoid duplication
-                detourBackPoints.reverse(); // Reverse to come back to the original path
-                
-                // Insert the detour into the winding path
-                windingPath.splice(detourIndex + 1, 0, ...detourPoints, ...detourBackPoints);
-                break;
-            }
-        }
-    }
-    
-    return windingPath;
+function addHazardMesh(entity, mesh) {
+    mesh.position.set(entity.x * GAME_CONFIG.tileSize, 0.5, entity.y * GAME_CONFIG.tileSize);
+    scene.add(mesh);
+    hazardMeshes.set(entity.id, mesh);
 }
 
 /**
- * Find a path from start to end using A* algorithm
- * @param {number} startX - Starting X coordinate
- * @param {number} startY - Starting Y coordinate
- * @param {number} endX - Ending X coordinate
- * @param {number} endY - Ending Y coordinate
- * @returns {Array} - Array of points in the path
+ * Remove the mesh for a projectile or enemy from the scene
+ * @param {Object} entity - Engine entity ({ id, x, y })
  */
-function findPath(startX, startY, endX, endY) {
-    const size = GAME_CONFIG.gridSize;
-    
-    // Create a copy of the grid for pathfinding
-    const gridCopy = [];
-    for (let y = 0; y < gameState.grid.length; y++) {
-        gridCopy[y] = [...gameState.grid[y]];
-    }
-    
-    // Mark all cells as unvisited
-    const visited = Array(size).fill().map(() => Array(size).fill(false));
-    
-    // Use A* pathfinding to find a path
-    const openSet = [{ x: startX, y: startY, g: 0, h: 0, f: 0, parent: null }];
-    const closedSet = [];
-    
-    while (openSet.length > 0) {
-        // Find node with lowest f score
-        let lowestIndex = 0;
-        for (let i = 0; i < openSet.length; i++) {
-            if (openSet[i].f < openSet[lowestIndex].f) {
-                lowestIndex = i;
-            }
-        }
-        
-        const current = openSet[lowestIndex];
-        
-        // If reached the end
-        if (current.x === endX && current.y === endY) {
-            // Reconstruct path
-            const path = [];
-            let temp = current;
-            while (temp !== null) {
-                path.push({ x: temp.x, y: temp.y });
-                temp = temp.parent;
-            }
-            return path.reverse();
-        }
-        
-        // Remove current from openSet and add to closedSet
-        openSet.splice(lowestIndex, 1);
-        closedSet.push(current);
-        visited[current.y][current.x] = true;
-        
-        // Check all adjacent neighbors
-        const directions = [
-            { x: 1, y: 0 },  // Right
-            { x: -1, y: 0 }, // Left
-            { x: 0, y: 1 },  // Down
-            { x: 0, y: -1 }  // Up
-        ];
-        
-        for (const dir of directions) {
-            const neighborX = current.x + dir.x;
-            const neighborY = current.y + dir.y;
-            
-            // Check if valid position
-            if (neighborX < 0 || neighborX >= size || neighborY < 0 || neighborY >= size) {
-                continue;
-            }
-            
-            // Skip if wall or in closed set
-            if (gridCopy[neighborY][neighborX] === 1 || visited[neighborY][neighborX]) {
-                continue;
-            }
-            
-            // Calculate scores
-            const g = current.g + 1;
-            const h = Math.abs(neighborX - endX) + Math.abs(neighborY - endY); // Manhattan distance
-            const f = g + h;
-            
-            // Check if already in openSet with better score
-            let inOpenSet = false;
-            for (const node of openSet) {
-                if (node.x === neighborX && node.y === neighborY) {
-                    inOpenSet = true;
-                    if (g < node.g) {
-                        node.g = g;
-                        node.f = f;
-                        node.parent = current;
-                    }
-                    break;
-                }
-            }
-            
-            // If not in openSet, add it
-            if (!inOpenSet) {
-                openSet.push({
-                    x: neighborX,
-                    y: neighborY,
-                    g: g,
-                    h: h,
-                    f: f,
-                    parent: current
-                });
-            }
-        }
-    }
-    
-    // No path found
-    return [];
+function removeHazardMesh(entity) {
+    const mesh = hazardMeshes.get(entity.id);
+    if (!mesh) return;
+    scene.remove(mesh);
+    hazardMeshes.delete(entity.id);
 }
 
 /**
- * Validate that there is a path from start to goal
- * If no path is found, create one
- * @param {number} startX - Starting X coordinate
- * @param {number} startY - Starting Y coordinate
- * @param {number} endX - Ending X coordinate
- * @param {number} endY - Ending Y coordinate
+ * Move projectile and enemy meshes to their simulated positions
+ * @param {number} alpha - Interpolation factor between the previous and current step
  */
-function validatePath(startX, startY, endX, endY) {
-    const path = findPath(startX, startY, endX, endY);
-    
-    // If no path is found, create a direct path
-    if (path.length === 0) {
-        console.log("No path found, creating one...");
-        
-        // Clear a direct path
-        const dx = endX > startX ? 1 : -1;
-        const dy = endY > startY ? 1 : -1;
-        
-        // First horizontal then vertical
-        let x = startX;
-        while (x !== endX) {
-            gameState.grid[startY][x] = 0;
-            x += dx;
+function syncHazardMeshes(alpha) {
+    for (const entity of [...gameState.projectiles, ...gameState.enemies]) {
+        const mesh = hazardMeshes.get(entity.id);
+        if (mesh) {
+            mesh.position.x = (entity.prevX + (entity.x - entity.prevX) * alpha) * GAME_CONFIG.tileSize;
+            mesh.position.z = (entity.prevY + (entity.y - entity.prevY) * alpha) * GAME_CONFIG.tileSize;
+            // Hazards in the fog stay hidden until the player can see their tile
+            mesh.visible = !isFogActive() ||
+                gameState.visibleTiles.has(`${Math.round(entity.x)},${Math.round(entity.y)}`);
         }
-        
-        let y = startY;
-        while (y !== endY) {
-            gameState.grid[y][endX] = 0;
-            y += dy;
-        }
-        
-        // Make sure the end is clear
-        gameState.grid[endY][endX] = 0;
     }
 }
 
@@ -1419,13 +1409,6 @@ function startGame() {
     // Hide start overlay
     startOverlay.classList.add('hidden');
     
-    // Initialize game state
-    gameState.isPlaying = true;
-    gameState.isGameOver = false;
-    gameState.score = GAME_CONFIG.initialScore;
-    gameState.lives = GAME_CONFIG.initialLives;
-    gameState.level = 1;
-    
     // Initialize hand overlay after DOM is fully loaded and webcam is visible
     setTimeout(() => {
         // Initialize hand overlay canvas for visual feedback
@@ -1438,16 +1421,11 @@ function startGame() {
         }
     }, 1500);
     
-    // Update displays
-    updateScoreDisplay();
-    updateLivesDisplay();
-    updateLevelDisplay();
-    
-    // Generate first level
-    generateLevel();
+    // Reset game state and generate first level
+    beginRun();
     
     // Start game loop
-    animate();
+    startAnimationLoop();
     
     // Show game instructions
     const instruction = document.createElement('div');
@@ -1463,7 +1441,7 @@ function startGame() {
             // Add second instruction about keyboard controls
             const instruction2 = document.createElement('div');
             instruction2.className = 'instruction';
-            instruction2.textContent = 'Press arrow keys or WASD to move, C to toggle camera, R to reset view';
+            instruction2.textContent = 'Press arrow keys or WASD to move, P to pause, C to toggle camera, R to reset view';
             document.getElementById('game-container').appendChild(instruction2);
             
             // Remove second instruction after animation
@@ -1480,384 +1458,1979 @@ function startGame() {
     }, 5000);
 }
 
+/**
+ * Continue the run saved in localStorage
+ */
+function continueGame() {
+    const snapshot = loadSavedRun();
+    if (!snapshot) {
+        updateContinueButton();
+        webcamStatus.textContent = 'The saved run could not be loaded.';
+        return;
+    }
+    
+    console.log('Continuing saved run');
+    startOverlay.classList.add('hidden');
+    initHandOverlay();
+    
+    // Rebuilds the scene from the saved grid via the levelStart event
+    isPracticeRun = GridRush.getModeRules(snapshot.mode).daily && !isDailyAttempt(snapshot.seed);
+    applyRespawnChoice(snapshot.mode);
+    applyLevelOverrides(snapshot.mode);
+    engine.restoreRun(snapshot);
+    
+    startAnimationLoop();
+}
+
+/**
+ * Save the current run to localStorage
+ */
+function saveRun() {
+    if (!gameState.isPlaying || gameState.isGameOver || gameState.isReplay || gameState.isPlaytest) return;
+    
+    try {
+        localStorage.setItem(SAVED_RUN_KEY, JSON.stringify(engine.snapshot()));
+    } catch (error) {
+        console.error('Error saving run:', error);
+    }
+}
+
+/**
+ * Load and validate the run saved in localStorage
+ * Corrupt or outdated snapshots are discarded.
+ * @returns {Object|null} - Snapshot, or null if there is no usable save
+ */
+function loadSavedRun() {
+    let raw;
+    try {
+        raw = localStorage.getItem(SAVED_RUN_KEY);
+    } catch (error) {
+        console.error('Error reading saved run:', error);
+        return null;
+    }
+    if (!raw) return null;
+    
+    try {
+        const snapshot = JSON.parse(raw);
+        GridRush.validateSnapshot(snapshot);
+        return snapshot;
+    } catch (error) {
+        console.warn('Discarding saved run:', error.message);
+        clearSavedRun();
+        return null;
+    }
+}
+
+/**
+ * Remove the saved run from localStorage
+ */
+function clearSavedRun() {
+    if (gameState.isReplay || gameState.isPlaytest) return;
+    
+    try {
+        localStorage.removeItem(SAVED_RUN_KEY);
+    } catch (error) {
+        console.error('Error clearing saved run:', error);
+    }
+}
+
+/**
+ * Show the "Continue Run" button only when a usable save exists
+ */
+function updateContinueButton() {
+    const snapshot = loadSavedRun();
+    if (snapshot) {
+        const mode = GridRush.GAME_MODES[snapshot.mode].name;
+        continueButton.textContent = `Continue Run (${mode}, Level ${snapshot.level}, Score ${Math.max(0, snapshot.score)})`;
+        continueButton.classList.remove('hidden');
+    } else {
+        continueButton.classList.add('hidden');
+    }
+}
+
+/**
+ * Load and validate the high score table saved in localStorage
+ * A corrupt or outdated table is replaced by an empty one.
+ * @returns {Object} - High score table
+ */
+function loadHighScores() {
+    try {
+        const raw = localStorage.getItem(HIGH_SCORES_KEY);
+        if (raw) {
+            const table = JSON.parse(raw);
+            GridRush.validateHighScores(table);
+            // Runs recorded before modes could be picked were filed under 'classic', now Endless
+            for (const entry of table.entries) {
+                if (entry.mode === 'classic') entry.mode = 'endless';
+            }
+            return table;
+        }
+    } catch (error) {
+        console.warn('Discarding high scores:', error.message);
+    }
+    return GridRush.createHighScoreTable();
+}
+
+/**
+ * Save the high score table to localStorage
+ * @param {Object} table - High score table
+ */
+function storeHighScores(table) {
+    try {
+        localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(table));
+    } catch (error) {
+        console.error('Error saving high scores:', error);
+    }
+}
+
+/**
+ * Work out how the run that just ended was mostly played
+ * @returns {string} - 'gesture' or 'keyboard'
+ */
+function getRunControls() {
+    const log = recorder.getLog();
+    const inputs = log ? log.inputs : [];
+    const gestures = inputs.filter(([, , source]) => source === 'g').length;
+    return gestures > inputs.length - gestures ? 'gesture' : 'keyboard';
+}
+
+/**
+ * Enter the run that just ended into the high score table
+ * @returns {Object} - addHighScore() result ({ table, entry, rank, seedRank })
+ */
+function recordHighScore() {
+    const result = GridRush.addHighScore(loadHighScores(), {
+        name: playerNameInput.value,
+        score: gameState.score,
+        level: gameState.level,
+        controls: getRunControls(),
+        seed: gameState.seed,
+        mode: gameState.mode,
+        difficulty: describeDifficulty(gameState.difficultyCurve)
+    });
+    storeHighScores(result.table);
+    return result;
+}
+
+/**
+ * Fill a container with high score boards
+ * @param {HTMLElement} container - Element to fill
+ * @param {Array} boards - [{ title, entries, showSeed }]
+ * @param {string} [highlightId] - Id of an entry to highlight (a new high score)
+ */
+function renderHighScores(container, boards, highlightId) {
+    container.textContent = '';
+    for (const { title, entries, showSeed } of boards) {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        container.appendChild(heading);
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'highscores-empty';
+            empty.textContent = 'No scores yet';
+            container.appendChild(empty);
+            continue;
+        }
+        
+        const table = document.createElement('table');
+        const columns = ['#', 'Name', 'Score', 'Level', 'Difficulty', 'Controls', 'Date'].concat(showSeed ? ['Seed'] : []);
+        const header = table.insertRow();
+        for (const column of columns) {
+            const cell = document.createElement('th');
+            cell.textContent = column;
+            header.appendChild(cell);
+        }
+        entries.forEach((entry, index) => {
+            const row = table.insertRow();
+            row.classList.toggle('highscore-new', entry.id === highlightId);
+            const values = [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.level,
+                getDifficultyName(entry.difficulty),
+                entry.controls === 'gesture' ? 'Gesture' : 'Keyboard',
+                new Date(entry.date).toLocaleDateString()
+            ].concat(showSeed ? [entry.seed] : []);
+            for (const value of values) {
+                row.insertCell().textContent = value;
+            }
+        });
+        container.appendChild(table);
+    }
+}
+
+/**
+ * Build the high score boards of a game mode
+ * The Daily Challenge shows the day's board first.
+ * @param {Object} table - High score table
+ * @param {string} mode - Game mode
+ * @param {string|null} seed - Seed whose board is shown too (none if null)
+ * @param {Object} [placed] - { rank, seedRank } places a new entry took on the boards
+ * @returns {Array} - Boards for renderHighScores()
+ */
+function getModeBoards(table, mode, seed, placed = {}) {
+    const name = GridRush.GAME_MODES[mode].name;
+    const modeBoard = {
+        title: `${name} High Scores${placed.rank ? ` (new #${placed.rank}!)` : ''}`,
+        entries: GridRush.getHighScoreBoard(table, mode),
+        showSeed: true
+    };
+    if (!seed) return [modeBoard];
+    
+    const seedBoard = {
+        title: `Seed ${seed}${placed.seedRank ? ` (new #${placed.seedRank}!)` : ''}`,
+        entries: GridRush.getHighScoreBoard(table, mode, seed)
+    };
+    return GridRush.getModeRules(mode).daily ? [seedBoard, modeBoard] : [modeBoard, seedBoard];
+}
+
+/**
+ * Show the chosen mode's high scores on the start screen (and the seed's board when the run has a set seed)
+ */
+function updateHighScoresDisplay() {
+    renderHighScores(startHighScores, getModeBoards(loadHighScores(), selectedMode, getRunSeed()));
+}
+
+/**
+ * Download the high score table as a JSON file
+ */
+function exportHighScores() {
+    const blob = new Blob([JSON.stringify(loadHighScores())], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'gridrush-highscores.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Merge the high scores in a JSON file (e.g. exported on another machine) into the local table
+ * @param {File} file - File chosen by the player
+ */
+function importHighScoresFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = JSON.parse(reader.result);
+            GridRush.validateHighScores(imported);
+            const { table, added } = GridRush.mergeHighScores(loadHighScores(), imported);
+            storeHighScores(table);
+            updateHighScoresDisplay();
+            highScoresStatus.textContent = `Imported ${added} new high score${added === 1 ? '' : 's'}.`;
+        } catch (error) {
+            console.error('Error importing high scores:', error);
+            highScoresStatus.textContent = 'Could not import high scores: ' + error.message;
+        }
+    };
+    reader.onerror = () => {
+        highScoresStatus.textContent = 'Could not read the high score file.';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Wire up the player name, the high score import/export buttons and the start screen table
+ */
+function setupHighScoreControls() {
+    try {
+        playerNameInput.value = localStorage.getItem(PLAYER_NAME_KEY) || '';
+    } catch (error) {
+        console.error('Error reading player name:', error);
+    }
+    playerNameInput.addEventListener('change', () => {
+        try {
+            localStorage.setItem(PLAYER_NAME_KEY, playerNameInput.value.trim());
+        } catch (error) {
+            console.error('Error saving player name:', error);
+        }
+    });
+    
+    document.getElementById('export-highscores-button').addEventListener('click', exportHighScores);
+    document.getElementById('import-highscores-button').addEventListener('click', () => highScoresFileInput.click());
+    highScoresFileInput.addEventListener('change', () => {
+        const file = highScoresFileInput.files[0];
+        highScoresFileInput.value = ''; // Allow importing the same file again
+        if (file) importHighScoresFile(file);
+    });
+    
+    updateHighScoresDisplay();
+}
+
+/**
+ * Load achievement progress and the chosen cosmetics, start tracking achievements and fill the start screen
+ */
+function setupAchievements() {
+    try {
+        const raw = localStorage.getItem(ACHIEVEMENTS_KEY);
+        if (raw) {
+            achievementProgress = JSON.parse(raw);
+            GridRush.validateAchievementProgress(achievementProgress);
+        }
+    } catch (error) {
+        console.warn('Discarding achievement progress:', error.message);
+        achievementProgress = null;
+    }
+    if (!achievementProgress) {
+        achievementProgress = GridRush.createAchievementProgress();
+    }
+    GridRush.createAchievementTracker(engine, achievementProgress, handleAchievementProgress);
+    
+    try {
+        cosmetics = Object.assign(cosmetics, JSON.parse(localStorage.getItem(COSMETICS_KEY)));
+    } catch (error) {
+        console.warn('Discarding cosmetics:', error.message);
+    }
+    playerColorSelect.addEventListener('change', () => chooseCosmetics({ color: playerColorSelect.value }));
+    themeSelect.addEventListener('change', () => chooseCosmetics({ theme: themeSelect.value }));
+    updateAchievementsDisplay();
+}
+
+/**
+ * Save achievement progress and announce new unlocks
+ * @param {Object} progress - Achievement progress
+ * @param {Array} unlocked - Achievements unlocked just now
+ */
+function handleAchievementProgress(progress, unlocked) {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+    } catch (error) {
+        console.error('Error saving achievement progress:', error);
+    }
+    for (const achievement of unlocked) {
+        showAchievementToast(achievement);
+    }
+    if (unlocked.length > 0) updateAchievementsDisplay();
+}
+
+/**
+ * Pop up a toast for an unlocked achievement
+ * @param {Object} achievement - Achievement (see game/achievements.js)
+ */
+function showAchievementToast(achievement) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    const title = document.createElement('strong');
+    title.textContent = `Achievement unlocked: ${achievement.title}`;
+    const description = document.createElement('div');
+    description.textContent = achievement.description;
+    toast.append(title, description);
+    const reward = describeReward(achievement.reward);
+    if (reward) {
+        const unlock = document.createElement('div');
+        unlock.className = 'achievement-reward';
+        unlock.textContent = `Unlocks ${reward}`;
+        toast.appendChild(unlock);
+    }
+    achievementToasts.appendChild(toast);
+    setTimeout(() => toast.remove(), ACHIEVEMENT_TOAST_TIME);
+}
+
+/**
+ * Describe an achievement's cosmetic reward
+ * @param {Object} [reward] - { color } or { theme }
+ * @returns {string|null} - E.g. 'the Neon theme', or null without a reward
+ */
+function describeReward(reward) {
+    if (!reward) return null;
+    return reward.color ?
+        `the ${PLAYER_COLORS[reward.color].name} player color` :
+        `the ${THEMES[reward.theme].name} theme`;
+}
+
+/**
+ * List the achievements and fill the color and theme choices with what has been unlocked
+ */
+function updateAchievementsDisplay() {
+    const achievements = GridRush.ACHIEVEMENTS;
+    const unlockedCount = achievements.filter(achievement => achievementProgress.unlocked[achievement.id]).length;
+    achievementsSummary.textContent = `Achievements (${unlockedCount} / ${achievements.length})`;
+    
+    achievementsList.textContent = '';
+    for (const achievement of achievements) {
+        const unlocked = achievementProgress.unlocked[achievement.id];
+        const item = document.createElement('li');
+        item.className = unlocked ? 'achievement-unlocked' : 'achievement-locked';
+        const reward = describeReward(achievement.reward);
+        item.textContent = `${unlocked ? OBJECTIVE_MARKS.complete : OBJECTIVE_MARKS.active} ${achievement.title}: ${achievement.description}` +
+            (reward ? ` (unlocks ${reward})` : '');
+        achievementsList.appendChild(item);
+    }
+    
+    // Fall back to the defaults if a saved choice is no longer available
+    const rewards = GridRush.getUnlockedRewards(achievementProgress);
+    const colors = ['green'].concat(rewards.colors);
+    const themes = ['classic'].concat(rewards.themes);
+    if (!colors.includes(cosmetics.color)) cosmetics.color = 'green';
+    if (!themes.includes(cosmetics.theme)) cosmetics.theme = 'classic';
+    fillSelect(playerColorSelect, colors.map(id => [id, PLAYER_COLORS[id].name]), cosmetics.color);
+    fillSelect(themeSelect, themes.map(id => [id, THEMES[id].name]), cosmetics.theme);
+}
+
+/**
+ * Replace the options of a select element
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array} options - [value, label] pairs
+ * @param {string} selected - Value to select
+ */
+function fillSelect(select, options, selected) {
+    select.textContent = '';
+    for (const [value, label] of options) {
+        select.add(new Option(label, value, false, value === selected));
+    }
+}
+
+/**
+ * Change the player color or theme and remember the choice
+ * @param {Object} choice - { color } and/or { theme }
+ */
+function chooseCosmetics(choice) {
+    Object.assign(cosmetics, choice);
+    try {
+        localStorage.setItem(COSMETICS_KEY, JSON.stringify(cosmetics));
+    } catch (error) {
+        console.error('Error saving cosmetics:', error);
+    }
+    applyTheme();
+}
+
+/**
+ * Color the scene background and shared wall material with the chosen theme
+ * @returns {Object} - Theme (see THEMES)
+ */
+function applyTheme() {
+    const theme = THEMES[cosmetics.theme] || THEMES.classic;
+    if (scene) scene.background.setHex(theme.background);
+    getTileAssets().wallMaterial.color.setHex(theme.wall);
+    return theme;
+}
+
+/**
+ * Show the per-level breakdown of a run on the game over screen
+ * @param {Object|null} run - Run record from the stats tracker
+ */
+function showRunStats(run) {
+    runStatsTable.textContent = '';
+    if (!run) return;
+    
+    const header = runStatsTable.insertRow();
+    for (const column of ['Level', 'Steps', 'Par', 'Time', 'Wall', 'Shot', 'Enemy', 'Stuck', 'Gesture', 'Keys']) {
+        const cell = document.createElement('th');
+        cell.textContent = column;
+        header.appendChild(cell);
+    }
+    for (const level of run.levels) {
+        const row = runStatsTable.insertRow();
+        row.classList.toggle('level-unfinished', !level.complete);
+        const values = [
+            level.level,
+            level.steps,
+            level.par === null ? '-' : level.par,
+            formatTicks(level.ticks),
+            level.deaths.wall,
+            level.deaths.projectile,
+            level.deaths.enemy,
+            level.deaths.stuck,
+            level.moves.gesture,
+            level.moves.keyboard
+        ];
+        for (const value of values) {
+            row.insertCell().textContent = value;
+        }
+    }
+    if (run.latency.count > 0) {
+        const caption = runStatsTable.createCaption();
+        caption.textContent = `Gesture recognition: ${Math.round(run.latency.total / run.latency.count)} ms on average, ` +
+            `${Math.round(run.latency.max)} ms at most`;
+    }
+}
+
+/**
+ * Load and validate the lifetime statistics saved in localStorage
+ * Corrupt or outdated statistics are replaced by empty ones.
+ * @returns {Object} - Lifetime statistics
+ */
+function loadLifetimeStats() {
+    try {
+        const raw = localStorage.getItem(LIFETIME_STATS_KEY);
+        if (raw) {
+            const stats = GridRush.upgradeLifetimeStats(JSON.parse(raw));
+            GridRush.validateLifetimeStats(stats);
+            return stats;
+        }
+    } catch (error) {
+        console.warn('Discarding statistics:', error.message);
+    }
+    return GridRush.createLifetimeStats();
+}
+
+/**
+ * Add a finished run to the lifetime statistics in localStorage
+ * @param {Object} run - Run record from the stats tracker
+ */
+function addRunToLifetimeStats(run) {
+    try {
+        const stats = GridRush.addRunToLifetime(loadLifetimeStats(), run);
+        localStorage.setItem(LIFETIME_STATS_KEY, JSON.stringify(stats));
+    } catch (error) {
+        console.error('Error saving statistics:', error);
+    }
+}
+
+/**
+ * Wire up the stats dashboard buttons
+ */
+function setupStatsDashboard() {
+    document.getElementById('stats-button').addEventListener('click', showStatsDashboard);
+    document.getElementById('stats-close-button').addEventListener('click', () => statsOverlay.classList.add('hidden'));
+}
+
+/**
+ * Show the lifetime statistics with charts
+ */
+function showStatsDashboard() {
+    const stats = loadLifetimeStats();
+    const moves = stats.moves.gesture + stats.moves.keyboard;
+    const lines = [
+        `Runs: ${stats.runs}`,
+        `Levels finished: ${stats.levels}`,
+        `Time played: ${formatTicks(stats.ticks)}`,
+        stats.par > 0 ?
+            `Steps: ${stats.steps} for a shortest path of ${stats.par} (${Math.round((stats.steps / stats.par - 1) * 100)}% over)` :
+            'Steps: -',
+        `Deaths: ${stats.deaths.wall} wall, ${stats.deaths.projectile} projectile, ${stats.deaths.enemy} enemy, ${stats.deaths.stuck} stuck`,
+        `Moves: ${stats.moves.gesture} gesture, ${stats.moves.keyboard} keyboard` +
+            (moves > 0 ? ` (${Math.round(stats.moves.gesture / moves * 100)}% gesture)` : ''),
+        stats.latency.count > 0 ?
+            `Gesture recognition: ${Math.round(stats.latency.total / stats.latency.count)} ms on average, ${Math.round(stats.latency.max)} ms at most` :
+            'Gesture recognition: no gestures yet'
+    ];
+    statsSummary.textContent = '';
+    for (const line of lines) {
+        const item = document.createElement('li');
+        item.textContent = line;
+        statsSummary.appendChild(item);
+    }
+    
+    drawStatsCharts(stats);
+    statsOverlay.classList.remove('hidden');
+}
+
+/**
+ * Draw the dashboard charts: deaths by type, moves by input method, and score and steps over par of recent runs
+ * @param {Object} stats - Lifetime statistics
+ */
+function drawStatsCharts(stats) {
+    const ctx = statsCanvas.getContext('2d');
+    const halfWidth = statsCanvas.width / 2;
+    const halfHeight = statsCanvas.height / 2;
+    ctx.clearRect(0, 0, statsCanvas.width, statsCanvas.height);
+    
+    drawBarChart(ctx, { x: 0, y: 0, width: halfWidth, height: halfHeight }, 'Deaths',
+        GridRush.STATS_DEATH_TYPES.map(type => ({ label: type, value: stats.deaths[type], color: DEATH_COLORS[type] })));
+    drawBarChart(ctx, { x: halfWidth, y: 0, width: halfWidth, height: halfHeight }, 'Moves',
+        Object.keys(MOVE_COLORS).map(source => ({ label: source, value: stats.moves[source], color: MOVE_COLORS[source] })));
+    drawLineChart(ctx, { x: 0, y: halfHeight, width: halfWidth, height: halfHeight }, 'Score (recent runs)',
+        stats.recentRuns.map(run => run.score), '#ffd700');
+    drawLineChart(ctx, { x: halfWidth, y: halfHeight, width: halfWidth, height: halfHeight }, 'Steps over par (recent runs)',
+        stats.recentRuns.map(run => run.steps - run.par), '#66ccff');
+}
+
+/**
+ * Draw a labelled bar chart into part of a canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - { x, y, width, height } to draw in
+ * @param {string} title - Chart title
+ * @param {Array} bars - [{ label, value, color }]
+ */
+function drawBarChart(ctx, area, title, bars) {
+    const plot = drawChartFrame(ctx, area, title);
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = plot.width / bars.length;
+    
+    ctx.textAlign = 'center';
+    bars.forEach((bar, index) => {
+        const height = bar.value / max * (plot.height - 14);
+        const x = plot.x + slot * index + slot * 0.2;
+        ctx.fillStyle = bar.color;
+        ctx.fillRect(x, plot.y + plot.height - height, slot * 0.6, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(bar.value, x + slot * 0.3, plot.y + plot.height - height - 4);
+        ctx.fillText(bar.label, x + slot * 0.3, plot.y + plot.height + 12);
+    });
+}
+
+/**
+ * Draw a line chart of values in order into part of a canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - { x, y, width, height } to draw in
+ * @param {string} title - Chart title
+ * @param {Array} values - Numbers, oldest first
+ * @param {string} color - Line color
+ */
+function drawLineChart(ctx, area, title, values, color) {
+    const plot = drawChartFrame(ctx, area, title);
+    if (values.length === 0) {
+        ctx.fillStyle = '#aaaaaa';
+        ctx.textAlign = 'center';
+        ctx.fillText('No runs yet', plot.x + plot.width / 2, plot.y + plot.height / 2);
+        return;
+    }
+    
+    const min = Math.min(0, ...values);
+    const max = Math.max(1, ...values);
+    const toX = index => plot.x + (values.length === 1 ? plot.width / 2 : index / (values.length - 1) * plot.width);
+    const toY = value => plot.y + plot.height - (value - min) / (max - min) * plot.height;
+    
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    values.forEach((value, index) => {
+        if (index === 0) {
+            ctx.moveTo(toX(index), toY(value));
+        } else {
+            ctx.lineTo(toX(index), toY(value));
+        }
+    });
+    ctx.stroke();
+    values.forEach((value, index) => ctx.fillRect(toX(index) - 2, toY(value) - 2, 4, 4));
+    
+    ctx.fillStyle = '#aaaaaa';
+    ctx.textAlign = 'left';
+    ctx.fillText(max, plot.x + 2, plot.y + 10);
+    ctx.fillText(min, plot.x + 2, plot.y + plot.height - 2);
+}
+
+/**
+ * Draw a chart's title and axes
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - { x, y, width, height } of the chart
+ * @param {string} title - Chart title
+ * @returns {Object} - { x, y, width, height } of the plotting area inside the axes
+ */
+function drawChartFrame(ctx, area, title) {
+    const plot = { x: area.x + 30, y: area.y + 30, width: area.width - 50, height: area.height - 55 };
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = '#66ccff';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, area.x + area.width / 2, area.y + 16);
+    
+    ctx.strokeStyle = '#666666';
+    ctx.beginPath();
+    ctx.moveTo(plot.x, plot.y);
+    ctx.lineTo(plot.x, plot.y + plot.height);
+    ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+    ctx.stroke();
+    return plot;
+}
+
+/**
+ * Load the difficulty settings and wire up the settings screen
+ */
+function setupSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DIFFICULTY_KEY));
+        if (saved) {
+            GridRush.validateDifficultyCurve(saved.custom);
+            difficulty.custom = saved.custom;
+            if (saved.preset === 'custom' || GridRush.DIFFICULTY_PRESETS[saved.preset]) {
+                difficulty.preset = saved.preset;
+            }
+        }
+    } catch (error) {
+        console.warn('Discarding difficulty settings:', error.message);
+    }
+    
+    const presets = Object.keys(GridRush.DIFFICULTY_PRESETS).map(id => [id, GridRush.DIFFICULTY_PRESETS[id].name]);
+    fillSelect(difficultySelect, presets.concat([['custom', 'Custom']]), difficulty.preset);
+    difficultySelect.addEventListener('change', () => {
+        difficulty.preset = difficultySelect.value;
+        storeDifficulty();
+        showDifficulty();
+    });
+    
+    document.getElementById('difficulty-add-row').addEventListener('click', () => {
+        const last = difficulty.custom[difficulty.custom.length - 1];
+        difficulty.custom.push(Object.assign({}, last, { fromLevel: last.fromLevel + 1 }));
+        storeDifficulty();
+        showDifficulty();
+    });
+    document.getElementById('difficulty-remove-row').addEventListener('click', () => {
+        if (difficulty.custom.length > 1) difficulty.custom.pop();
+        storeDifficulty();
+        showDifficulty();
+    });
+    document.getElementById('difficulty-reset').addEventListener('click', () => {
+        difficulty.custom = GridRush.copyDifficultyCurve(GridRush.DIFFICULTY_PRESETS[GridRush.DEFAULT_DIFFICULTY].curve);
+        storeDifficulty();
+        showDifficulty();
+    });
+    
+    try {
+        const saved = localStorage.getItem(RESPAWN_KEY);
+        if (RESPAWN_OPTIONS[saved]) respawnChoice = saved;
+    } catch (error) {
+        console.error('Error reading respawn setting:', error);
+    }
+    fillSelect(respawnSelect, Object.keys(RESPAWN_OPTIONS).map(id => [id, RESPAWN_OPTIONS[id].name]), respawnChoice);
+    respawnSelect.addEventListener('change', () => chooseRespawn(respawnSelect.value));
+    respawnDescription.textContent = RESPAWN_OPTIONS[respawnChoice].description;
+    
+    settingsButton.addEventListener('click', () => settingsOverlay.classList.remove('hidden'));
+    document.getElementById('settings-close-button').addEventListener('click', () => settingsOverlay.classList.add('hidden'));
+    showDifficulty();
+}
+
+/**
+ * Change where the player respawns after a hit and remember the choice
+ * @param {string} choice - Key of RESPAWN_OPTIONS
+ */
+function chooseRespawn(choice) {
+    respawnChoice = choice;
+    respawnDescription.textContent = RESPAWN_OPTIONS[choice].description;
+    try {
+        localStorage.setItem(RESPAWN_KEY, choice);
+    } catch (error) {
+        console.error('Error saving respawn setting:', error);
+    }
+}
+
+/**
+ * Set where the player respawns for a run about to start or be continued
+ * Everyone plays the Daily Challenge with the default respawn rule.
+ * @param {string} mode - Game mode of the run
+ */
+function applyRespawnChoice(mode) {
+    engine.config.respawn = GridRush.getModeRules(mode).daily ? GridRush.DEFAULT_CONFIG.respawn : respawnChoice;
+}
+
+/**
+ * Save the difficulty settings to localStorage
+ */
+function storeDifficulty() {
+    try {
+        localStorage.setItem(DIFFICULTY_KEY, JSON.stringify(difficulty));
+    } catch (error) {
+        console.error('Error saving difficulty settings:', error);
+    }
+}
+
+/**
+ * Get the difficulty curve of the chosen preset (or the custom one)
+ * @returns {Array} - Difficulty curve
+ */
+function getDifficultyCurve() {
+    return difficulty.preset === 'custom' ? difficulty.custom : GridRush.DIFFICULTY_PRESETS[difficulty.preset].curve;
+}
+
+/**
+ * Work out which preset a run's difficulty curve came from
+ * @param {Array} curve - Difficulty curve
+ * @returns {string} - Preset id, or 'custom' if it matches none
+ */
+function describeDifficulty(curve) {
+    const text = JSON.stringify(curve);
+    const ids = Object.keys(GridRush.DIFFICULTY_PRESETS);
+    return ids.find(id => JSON.stringify(GridRush.DIFFICULTY_PRESETS[id].curve) === text) || 'custom';
+}
+
+/**
+ * Get the name of a difficulty for display
+ * @param {string} [id] - Preset id or 'custom' (missing on runs recorded before difficulties)
+ * @returns {string} - Name
+ */
+function getDifficultyName(id) {
+    if (id === 'custom') return 'Custom';
+    return GridRush.DIFFICULTY_PRESETS[id] ? GridRush.DIFFICULTY_PRESETS[id].name : '-';
+}
+
+/**
+ * Show the chosen difficulty and its curve on the settings screen
+ * Only the custom curve can be edited; the presets' curves are shown for reference.
+ */
+function showDifficulty() {
+    const isCustom = difficulty.preset === 'custom';
+    difficultyDescription.textContent = isCustom ?
+        'Your own curve: each row applies from its level on, and numbers change gradually between rows' :
+        GridRush.DIFFICULTY_PRESETS[difficulty.preset].description;
+    settingsButton.textContent = `Settings (${getDifficultyName(difficulty.preset)})`;
+    for (const id of ['difficulty-add-row', 'difficulty-remove-row', 'difficulty-reset']) {
+        document.getElementById(id).classList.toggle('hidden', !isCustom);
+    }
+    difficultyStatus.textContent = '';
+    
+    const fields = Object.entries(GridRush.DIFFICULTY_FIELDS);
+    difficultyTable.textContent = '';
+    const header = difficultyTable.insertRow();
+    for (const [label, title] of [['From level', 'First level the row applies to']]
+        .concat(fields.map(([, field]) => [field.label, field.description]))) {
+        const cell = document.createElement('th');
+        cell.textContent = label;
+        cell.title = title;
+        header.appendChild(cell);
+    }
+    
+    getDifficultyCurve().forEach((row, index) => {
+        const tableRow = difficultyTable.insertRow();
+        for (const key of ['fromLevel'].concat(fields.map(([key]) => key))) {
+            const field = GridRush.DIFFICULTY_FIELDS[key];
+            const input = document.createElement('input');
+            if (field && field.kind === 'switch') {
+                input.type = 'checkbox';
+                input.checked = row[key];
+            } else {
+                input.type = 'number';
+                input.step = !field || field.kind === 'count' ? '1' : 'any';
+                input.value = row[key];
+            }
+            input.disabled = !isCustom;
+            input.addEventListener('change', () => editCustomDifficulty(index, key, input));
+            tableRow.insertCell().appendChild(input);
+        }
+    });
+}
+
+/**
+ * Change one setting of the custom difficulty curve
+ * The change is only kept if the curve is still valid.
+ * @param {number} index - Row of the curve
+ * @param {string} key - Setting (or 'fromLevel')
+ * @param {HTMLInputElement} input - Input the setting was edited in
+ */
+function editCustomDifficulty(index, key, input) {
+    const curve = GridRush.copyDifficultyCurve(difficulty.custom);
+    curve[index][key] = input.type === 'checkbox' ? input.checked : Number(input.value);
+    try {
+        GridRush.validateDifficultyCurve(curve);
+    } catch (error) {
+        difficultyStatus.textContent = error.message;
+        input.classList.add('invalid');
+        return;
+    }
+    difficulty.custom = curve;
+    storeDifficulty();
+    difficultyStatus.textContent = '';
+    input.classList.remove('invalid');
+}
+
+/**
+ * Wire up the replay buttons, scrub bar and file import
+ */
+function setupReplayControls() {
+    document.getElementById('load-replay-button').addEventListener('click', () => replayFileInput.click());
+    document.getElementById('watch-replay-button').addEventListener('click', () => {
+        const log = recorder.getLog();
+        if (!log) return;
+        // Watching the replay gives up on continuing the run
+        if (isRunEndPending) finishRun();
+        try {
+            startReplay(log);
+        } catch (error) {
+            console.error('Error playing replay:', error);
+            gameoverReason.textContent = 'Could not play the replay: ' + error.message;
+        }
+    });
+    document.getElementById('export-replay-button').addEventListener('click', () => exportReplay(recorder.getLog()));
+    document.getElementById('replay-export-button').addEventListener('click', () => exportReplay(replayPlayer && replayPlayer.log));
+    document.getElementById('replay-exit-button').addEventListener('click', stopReplay);
+    
+    replayPlayButton.addEventListener('click', toggleReplayPlayback);
+    replaySpeedSelect.addEventListener('change', () => {
+        if (replayPlayer) replayPlayer.setSpeed(parseFloat(replaySpeedSelect.value));
+    });
+    replayScrub.addEventListener('input', () => {
+        if (!replayPlayer) return;
+        isSeekingReplay = true;
+        replayPlayer.seek(parseInt(replayScrub.value, 10));
+        isSeekingReplay = false;
+    });
+    
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = ''; // Allow loading the same file again
+        if (file) importReplayFile(file);
+    });
+}
+
+/**
+ * Start watching a recorded run
+ * @param {Object} log - Replay log (validated)
+ * @throws {Error} - If the replay can't be started (the current screen stays up)
+ */
+function startReplay(log) {
+    console.log('Starting replay of seed', log.seed);
+    
+    // The screens only change once the replay has started
+    isSeekingReplay = true;
+    try {
+        replayPlayer = GridRush.createReplayPlayer(engine, log);
+    } catch (error) {
+        engine.stopRun();
+        throw error;
+    } finally {
+        isSeekingReplay = false;
+    }
+    
+    startOverlay.classList.add('hidden');
+    gameoverOverlay.classList.add('hidden');
+    pauseOverlay.classList.add('hidden');
+    replayBar.classList.remove('hidden');
+    replayPlayer.setSpeed(parseFloat(replaySpeedSelect.value));
+    replayScrub.max = log.endTick;
+    // Mark the lives lost on the timeline
+    replayHitMarks.innerHTML = '';
+    for (const [tick, cause] of log.hits || []) {
+        const mark = document.createElement('option');
+        mark.value = tick;
+        mark.label = cause;
+        replayHitMarks.appendChild(mark);
+    }
+    replayPlayer.play();
+    updateReplayBar();
+    
+    startAnimationLoop();
+}
+
+/**
+ * Leave replay mode and return to the start screen
+ */
+function stopReplay() {
+    if (!replayPlayer) return;
+    
+    replayPlayer.stop();
+    replayPlayer = null;
+    engine.stopRun();
+    
+    replayBar.classList.add('hidden');
+    countdownDisplay.classList.add('hidden');
+    startOverlay.classList.remove('hidden');
+    updateContinueButton();
+    updateHighScoresDisplay();
+}
+
+/**
+ * Play or pause the active replay
+ */
+function toggleReplayPlayback() {
+    if (!replayPlayer) return;
+    
+    if (replayPlayer.isPlaying) {
+        replayPlayer.pause();
+    } else {
+        // Start over when playback already reached the end
+        if (replayPlayer.currentTick >= replayPlayer.endTick || gameState.isGameOver) {
+            isSeekingReplay = true;
+            replayPlayer.seek(0);
+            isSeekingReplay = false;
+        }
+        replayPlayer.play();
+    }
+    updateReplayBar();
+}
+
+/**
+ * Update the replay play button, scrub bar and clock
+ */
+function updateReplayBar() {
+    replayPlayButton.textContent = replayPlayer.isPlaying ? 'Pause' : 'Play';
+    replayScrub.value = replayPlayer.currentTick;
+    replayTimeDisplay.textContent = `${formatTicks(replayPlayer.currentTick)} / ${formatTicks(replayPlayer.endTick)}`;
+}
+
+/**
+ * Format a number of simulation steps as minutes and seconds
+ * @param {number} ticks - Simulation steps
+ * @returns {string} - E.g. '1:05'
+ */
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks / GAME_CONFIG.tickRate);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Download a replay log as a JSON file
+ * @param {Object} log - Replay log
+ */
+function exportReplay(log) {
+    if (!log) return;
+    
+    const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `gridrush-replay-${log.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Load a replay log from a JSON file and start watching it
+ * @param {File} file - File chosen by the player
+ */
+function importReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const log = JSON.parse(reader.result);
+            GridRush.validateLog(log);
+            startReplay(log);
+        } catch (error) {
+            console.error('Error loading replay:', error);
+            levelStatus.textContent = `Could not load replay ${file.name}\n${error.message}`;
+            levelStatus.classList.add('error');
+        }
+    };
+    reader.onerror = () => {
+        levelStatus.textContent = `Could not read the replay file ${file.name}`;
+        levelStatus.classList.add('error');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Options for a new run (game mode and hand-crafted levels to play first)
+ * The Daily Challenge always plays the day's generated levels.
+ * @returns {Object} - Options for engine.startRun()
+ */
+function getRunOptions() {
+    const daily = GridRush.getModeRules(selectedMode).daily;
+    return { mode: selectedMode, levels: customLevel && !daily ? [customLevel] : [] };
+}
+
+/**
+ * Parse a level file and use it as the first level of the next run
+ * @param {Object|string} data - Level file contents
+ * @param {string} source - Where the file came from (for messages)
+ */
+function useLevelFile(data, source) {
+    try {
+        customLevel = GridRush.parseLevelFile(data);
+        levelStatus.textContent = `Custom level loaded: ${customLevel.name}`;
+        levelStatus.classList.remove('error');
+        console.log('Loaded level file from', source);
+    } catch (error) {
+        customLevel = null;
+        levelStatus.textContent = `Could not load ${source}\n${error.message}`;
+        levelStatus.classList.add('error');
+        console.error('Error loading level file:', error);
+    }
+}
+
+/**
+ * Fetch a level file given by the ?level= URL parameter
+ * @param {string} url - Path or URL of the level file
+ */
+async function loadLevelFromUrl(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        useLevelFile(await response.text(), url);
+    } catch (error) {
+        levelStatus.textContent = `Could not load ${url}: ${error.message}`;
+        levelStatus.classList.add('error');
+        console.error('Error fetching level file:', error);
+    }
+}
+
+/**
+ * Accept level files (and replay files) dropped onto the page
+ */
+function setupLevelFileDrop() {
+    document.addEventListener('dragover', (event) => event.preventDefault());
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file || gameState.isPlaying) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            // Replay logs can be dropped too; they are recognized by their inputs
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                // Reported by the level parser below
+            }
+            if (data && Array.isArray(data.inputs)) {
+                importReplayFile(file);
+            } else {
+                useLevelFile(reader.result, file.name);
+            }
+        };
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Generate every procedural level with the named maze generator
+ * @param {string} name - Registered generator name (see GridRush.listGenerators)
+ */
+function useGenerator(name) {
+    if (!GridRush.getGenerator(name)) {
+        const available = GridRush.listGenerators().map(generator => generator.name).join(', ');
+        levelStatus.textContent = `Unknown maze generator "${name}"\nAvailable: ${available}`;
+        levelStatus.classList.add('error');
+        console.error('Unknown maze generator:', name);
+        return;
+    }
+    
+    generatorOverride = [{ fromLevel: 1, name }];
+    console.log('Using maze generator', name);
+}
+
+/**
+ * Play every level with fog of war (?fog=<radius>)
+ * @param {string} value - Sight radius in tiles
+ */
+function useFog(value) {
+    const radius = Number(value);
+    if (!(radius > 0)) {
+        levelStatus.textContent = `Invalid fog radius "${value}"; use a number of tiles, e.g. ?fog=3`;
+        levelStatus.classList.add('error');
+        console.error('Invalid fog radius:', value);
+        return;
+    }
+    
+    fogOverride = [{ fromLevel: 1, radius, lineOfSight: true }];
+    console.log('Using fog of war with radius', radius);
+}
+
+/**
+ * Set the maze generator and fog of war from the URL for a run about to start or be continued
+ * The Daily Challenge ignores them, like ?seed= and ?level=, so everyone gets the same levels.
+ * @param {string} mode - Game mode of the run
+ */
+function applyLevelOverrides(mode) {
+    const daily = GridRush.getModeRules(mode).daily;
+    engine.config.generators = (!daily && generatorOverride) || GridRush.DEFAULT_CONFIG.generators;
+    engine.config.fog = (!daily && fogOverride) || GridRush.DEFAULT_CONFIG.fog;
+}
+
+/**
+ * Read the run seed from the ?seed= URL parameter
+ * @returns {string|null} - Seed text, or null for a random run
+ */
+function getSeedParam() {
+    return new URLSearchParams(window.location.search).get('seed');
+}
+
+/**
+ * Get the seed of the next run: the day's seed in the Daily Challenge, otherwise the URL's
+ * @returns {string|null} - Seed text, or null for a random run
+ */
+function getRunSeed() {
+    return GridRush.getModeRules(selectedMode).daily ? GridRush.getDailySeed() : getSeedParam();
+}
+
+/**
+ * Start a new run in the chosen mode
+ * The first Daily Challenge run of a day is its scored attempt; later ones are practice.
+ */
+function beginRun() {
+    isPracticeRun = false;
+    if (GridRush.getModeRules(selectedMode).daily) {
+        const today = GridRush.getDailyDate();
+        const attempt = loadDailyAttempt();
+        if (attempt && attempt.date === today) {
+            // Starting over gives up a scored attempt that was saved to continue later
+            storeDailyAttempt({ date: today, finished: true });
+            isPracticeRun = true;
+        } else {
+            storeDailyAttempt({ date: today, finished: false });
+        }
+    }
+    
+    // Everyone plays the Daily Challenge at the default difficulty
+    engine.config.difficultyCurve = GridRush.getModeRules(selectedMode).daily ?
+        GridRush.DIFFICULTY_PRESETS[GridRush.DEFAULT_DIFFICULTY].curve : getDifficultyCurve();
+    applyRespawnChoice(selectedMode);
+    applyLevelOverrides(selectedMode);
+    engine.startRun(getRunSeed(), getRunOptions());
+    
+    if (isPracticeRun) {
+        showMessage("Practice run: today's scored attempt has been used");
+    }
+}
+
+/**
+ * Fill the game mode picker and restore the last chosen mode
+ */
+function setupGameModes() {
+    let mode = null;
+    try {
+        mode = localStorage.getItem(GAME_MODE_KEY);
+    } catch (error) {
+        console.error('Error reading game mode:', error);
+    }
+    if (!GridRush.GAME_MODES[mode]) mode = GridRush.DEFAULT_MODE;
+    
+    fillSelect(modeSelect, Object.keys(GridRush.GAME_MODES).map(id => [id, GridRush.GAME_MODES[id].name]), mode);
+    modeSelect.addEventListener('change', () => chooseGameMode(modeSelect.value));
+    chooseGameMode(mode);
+}
+
+/**
+ * Change the mode of the next run and remember the choice
+ * @param {string} mode - Game mode (see game/modes.js)
+ */
+function chooseGameMode(mode) {
+    selectedMode = mode;
+    try {
+        localStorage.setItem(GAME_MODE_KEY, mode);
+    } catch (error) {
+        console.error('Error saving game mode:', error);
+    }
+    
+    let description = GridRush.GAME_MODES[mode].description;
+    const attempt = loadDailyAttempt();
+    if (GridRush.getModeRules(mode).daily && attempt && attempt.date === GridRush.getDailyDate()) {
+        description += attempt.finished ? " (today's attempt used; practice only)" : ' (attempt in progress)';
+    }
+    modeDescription.textContent = description;
+    updateHighScoresDisplay();
+}
+
+/**
+ * Load the record of the last Daily Challenge attempt
+ * @returns {Object|null} - { date, finished }, or null if there is no usable record
+ */
+function loadDailyAttempt() {
+    try {
+        const attempt = JSON.parse(localStorage.getItem(DAILY_ATTEMPT_KEY));
+        if (attempt && typeof attempt.date === 'string' && typeof attempt.finished === 'boolean') {
+            return attempt;
+        }
+    } catch (error) {
+        console.warn('Discarding Daily Challenge attempt:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Save the record of the last Daily Challenge attempt
+ * @param {Object} attempt - { date, finished }
+ */
+function storeDailyAttempt(attempt) {
+    try {
+        localStorage.setItem(DAILY_ATTEMPT_KEY, JSON.stringify(attempt));
+    } catch (error) {
+        console.error('Error saving Daily Challenge attempt:', error);
+    }
+}
+
+/**
+ * Check whether a Daily Challenge run is the scored attempt still in progress
+ * @param {string} seed - Seed of the run
+ * @returns {boolean} - True if the run should be entered into the high scores
+ */
+function isDailyAttempt(seed) {
+    const attempt = loadDailyAttempt();
+    return !!attempt && !attempt.finished && seed === GridRush.getDailySeed(attempt.date);
+}
+
 /**
  * Restart the game after game over
  */
 function restartGame() {
     console.log('Restarting game');
     
-    // Hide game over overlay
+    // Hide game over overlay, scoring the last run first if it was waiting to be continued
+    if (isRunEndPending) finishRun();
     gameoverOverlay.classList.add('hidden');
     
-    // Reset game state
-    gameState.isPlaying = true;
-    gameState.isGameOver = false;
-    gameState.score = GAME_CONFIG.initialScore;
-    gameState.lives = GAME_CONFIG.initialLives;
-    gameState.level = 1;
-    gameState.visitedTiles = new Set();
-    gameState.playerPosition = { x: 0, y: 0 };
-    gameState.projectiles = [];
-    gameState.enemies = [];
-    
-    // Update displays
-    updateScoreDisplay();
-    updateLivesDisplay();
-    updateLevelDisplay();
-    
-    // Generate new level
-    generateLevel();
+    // Reset game state and generate new level (same seed only if one was given in the URL or it is the daily one)
+    beginRun();
     
     // Resume game loop
-    animate();
+    startAnimationLoop();
 }
 
 /**
  * Handle game over
+ * @param {Object} event - Engine event ({ score, level, reason, continuesLeft })
  */
-function gameOver() {
-    gameState.isGameOver = true;
-    gameState.isPlaying = false;
+function gameOver({ reason, continuesLeft }) {
+    // A replay reaching its end stays on the replay controls; the editor reports play-tests
+    if (gameState.isReplay || gameState.isPlaytest) return;
     
     // Update final score displays
+    gameoverReason.textContent = reason === 'time' ? "Time's up!" : 'Out of lives';
     finalScoreDisplay.textContent = gameState.score;
     finalLevelDisplay.textContent = gameState.level;
+    finalSeedDisplay.textContent = gameState.seed;
+    
+    showRunStats(runStats.getRun());
+    
+    // A run with continues left is only scored once the player gives up on it
+    isRunEndPending = continuesLeft > 0;
+    gameoverContinueButton.classList.toggle('hidden', !isRunEndPending);
+    if (isRunEndPending) {
+        gameoverContinueButton.textContent =
+            `Continue (${continuesLeft} left, -${engine.config.continuePenalty} points)`;
+        renderHighScores(gameoverHighScores, getModeBoards(loadHighScores(), gameState.mode, gameState.seed));
+    } else {
+        finishRun();
+    }
     
     // Show game over overlay
     gameoverOverlay.classList.remove('hidden');
 }
 
 /**
- * Game animation loop
+ * Pick the run up again after game over, at a score penalty
  */
-function animate() {
-    if (!gameState.isGameOver) {
-        requestAnimationFrame(animate);
-    }
-    
-    // Update projectiles
-    updateProjectiles();
-    
-    // Update enemies
-    updateEnemies();
-    
-    // Update controls if enabled
-    if (controls && controls.enabled) {
-        controls.update();
-    }
+function continueAfterGameOver() {
+    if (!engine.continueRun()) return;
     
-    // Render scene
-    renderer.render(scene, camera);
+    isRunEndPending = false;
+    gameoverOverlay.classList.add('hidden');
+    startAnimationLoop();
 }
 
 /**
- * Update projectiles positions and check for collisions
+ * Score the run that just ended: add it to the lifetime statistics, close the day's
+ * Daily Challenge attempt and enter it into the high scores
  */
-function updateProjectiles() {
-    // Skip if paused or not active
-    if (!gameState.isPlaying || gameState.isGameOver) return;
-    
-    // Update existing projectiles
-    for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
-        const projectile = gameState.projectiles[i];
-        
-        // Update position
-        projectile.mesh.position.x += projectile.velocity.x * GAME_CONFIG.projectileSpeed * (1 + 0.1 * gameState.level);
-        projectile.mesh.position.z += projectile.velocity.z * GAME_CONFIG.projectileSpeed * (1 + 0.1 * gameState.level);
-        
-        // Check for collision with player
-        const playerX = gameState.playerPosition.x;
-        const playerY = gameState.playerPosition.y;
-        
-        // Convert mesh position to grid coordinates
-        const gridX = Math.round(projectile.mesh.position.x);
-        const gridY = Math.round(projectile.mesh.position.z);
-        
-        // Check collision with player
-        if (gridX === playerX && gridY === playerY) {
-            // Collision with player!
-            handleCollision('projectile');
-            
-            // Remove projectile
-            scene.remove(projectile.mesh);
-            gameState.projectiles.splice(i, 1);
-            continue;
-        }
-        
-        // Check if projectile is out of bounds
-        if (gridX < 0 || gridX >= GAME_CONFIG.gridSize || 
-            gridY < 0 || gridY >= GAME_CONFIG.gridSize) {
-            // Remove projectile
-            scene.remove(projectile.mesh);
-            gameState.projectiles.splice(i, 1);
-        }
-        
-        // Check if projectile hit a wall
-        if (gridX >= 0 && gridX < GAME_CONFIG.gridSize && 
-            gridY >= 0 && gridY < GAME_CONFIG.gridSize) {
-            if (gameState.grid[gridY][gridX] === 1) {
-                // Remove projectile
-                scene.remove(projectile.mesh);
-                gameState.projectiles.splice(i, 1);
-            }
+function finishRun() {
+    isRunEndPending = false;
+    gameoverContinueButton.classList.add('hidden');
+    runStats.endRun();
+    
+    // Enter the run into the high scores and show where it placed (practice runs only see the boards)
+    if (isPracticeRun) {
+        gameoverReason.textContent += ' (practice run, not scored)';
+        renderHighScores(gameoverHighScores, getModeBoards(loadHighScores(), gameState.mode, gameState.seed));
+    } else {
+        const attempt = loadDailyAttempt();
+        if (GridRush.getModeRules(gameState.mode).daily && attempt) {
+            storeDailyAttempt({ date: attempt.date, finished: true });
         }
-    }
-    
-    // Spawn new projectiles based on level
-    if (Math.random() < 0.01 * gameState.level && gameState.projectiles.length < gameState.level + 2) {
-        spawnProjectile();
+        const { table, entry, rank, seedRank } = recordHighScore();
+        renderHighScores(gameoverHighScores,
+            getModeBoards(table, gameState.mode, gameState.seed, { rank, seedRank }), entry.id);
     }
 }
 
 /**
- * Spawn a new projectile
+ * Start the animation loop unless it is already running
  */
-function spawnProjectile() {
-    // Skip if paused or not active
-    if (!gameState.isPlaying || gameState.isGameOver) return;
-    
-    // Choose random edge position
-    let x, y, vx = 0, vy = 0;
-    
-    // Choose random side (0: top, 1: right, 2: bottom, 3: left)
-    const side = Math.floor(Math.random() * 4);
-    
-    switch (side) {
-        case 0: // Top
-            x = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-            y = 0;
-            vy = 1;
-            break;
-        case 1: // Right
-            x = GAME_CONFIG.gridSize - 1;
-            y = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-            vx = -1;
-            break;
-        case 2: // Bottom
-            x = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-            y = GAME_CONFIG.gridSize - 1;
-            vy = -1;
-            break;
-        case 3: // Left
-            x = 0;
-            y = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-            vx = 1;
-            break;
+function startAnimationLoop() {
+    lastFrameTime = performance.now();
+    if (!isAnimating) {
+        animate();
     }
-    
-    // Create projectile
-    const projectileGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-    const projectileMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
-    const projectileMesh = new THREE.Mesh(projectileGeometry, projectileMaterial);
-    
-    // Position at edge of grid
-    projectileMesh.position.set(
-        x * GAME_CONFIG.tileSize, 
-        0.5, 
-        y * GAME_CONFIG.tileSize
-    );
-    
-    // Add to scene
-    scene.add(projectileMesh);
-    
-    // Add to projectiles list
-    gameState.projectiles.push({
-        mesh: projectileMesh,
-        velocity: { x: vx, z: vy }
-    });
 }
 
 /**
- * Update enemy positions and check for collisions
+ * Game animation loop
  */
-function updateEnemies() {
-    // Skip if paused or not active
-    if (!gameState.isPlaying || gameState.isGameOver) return;
-    
-    // Update existing enemies
-    for (let i = gameState.enemies.length - 1; i >= 0; i--) {
-        const enemy = gameState.enemies[i];
-        
-        // Move towards player with simple AI
-        const playerX = gameState.playerPosition.x;
-        const playerY = gameState.playerPosition.y;
-        
-        // Convert mesh position to grid coordinates
-        const currentX = Math.round(enemy.mesh.position.x);
-        const currentY = Math.round(enemy.mesh.position.z);
-        
-        // Calculate direction to player (very simple AI)
-        let dx = 0;
-        let dy = 0;
-        
-        if (currentX < playerX) dx = 1;
-        else if (currentX > playerX) dx = -1;
-        
-        if (currentY < playerY) dy = 1;
-        else if (currentY > playerY) dy = -1;
-        
-        // Try horizontal movement first
-        let nextX = currentX + dx;
-        let nextY = currentY;
-        
-        // Check if next position is valid (not a wall)
-        if (nextX >= 0 && nextX < GAME_CONFIG.gridSize && 
-            nextY >= 0 && nextY < GAME_CONFIG.gridSize) {
-            if (gameState.grid[nextY][nextX] !== 1) {
-                enemy.mesh.position.x += dx * GAME_CONFIG.enemySpeed;
-            } else {
-                // Try vertical movement instead
-                nextX = currentX;
-                nextY = currentY + dy;
-                
-                if (nextY >= 0 && nextY < GAME_CONFIG.gridSize && 
-                    nextX >= 0 && nextX < GAME_CONFIG.gridSize) {
-                    if (gameState.grid[nextY][nextX] !== 1) {
-                        enemy.mesh.position.z += dy * GAME_CONFIG.enemySpeed;
-                    }
-                }
-            }
-        }
-        
-        // Check for collision with player
-        if (Math.abs(enemy.mesh.position.x - playerX) < 0.5 && 
-            Math.abs(enemy.mesh.position.z - playerY) < 0.5) {
-            // Collision with player!
-            handleCollision('enemy');
-            
-            // Remove enemy
-            scene.remove(enemy.mesh);
-            gameState.enemies.splice(i, 1);
-        }
-    }
-    
-    // Spawn new enemies based on level
-    if (Math.random() < 0.005 * gameState.level && gameState.enemies.length < Math.floor(gameState.level / 2)) {
-        spawnEnemy();
+function animate() {
+    // Keep rendering after a replay ends so it can still be scrubbed
+    isAnimating = gameState.isPlaying || !!replayPlayer;
+    if (isAnimating) {
+        requestAnimationFrame(animate);
     }
-}
-
-/**
- * Spawn a new enemy
- */
-function spawnEnemy() {
-    // Skip if paused or not active
-    if (!gameState.isPlaying || gameState.isGameOver) return;
-    
-    // Choose random position away from player
-    let x, y;
-    const playerX = gameState.playerPosition.x;
-    const playerY = gameState.playerPosition.y;
-    
-    do {
-        x = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-        y = Math.floor(Math.random() * GAME_CONFIG.gridSize);
-        
-        // Ensure minimum distance from player
-        const distance = Math.abs(x - playerX) + Math.abs(y - playerY);
-        
-        // Check if position is valid (not a wall and not too close to player)
-        if (distance > 5 && gameState.grid[y][x] !== 1) {
-            break;
-        }
-    } while (true);
     
-    // Create enemy
-    const enemyGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-    const enemyMaterial = new THREE.MeshLambertMaterial({ color: 0xff00ff });
-    const enemyMesh = new THREE.Mesh(enemyGeometry, enemyMaterial);
-    
-    // Position
-    enemyMesh.position.set(
-        x * GAME_CONFIG.tileSize, 
-        0.5, 
-        y * GAME_CONFIG.tileSize
-    );
+    // Advance the simulation in fixed steps (or the replay), then interpolate meshes between steps
+    const now = performance.now();
+    const elapsed = now - lastFrameTime;
+    const alpha = replayPlayer ? replayPlayer.update(elapsed) : engine.advance(elapsed);
+    lastFrameTime = now;
+    syncHazardMeshes(alpha);
+    animatePowerups(now);
+    updatePowerupTimers();
+    flashInvulnerablePlayer(now);
+    pulseLaneHighlights(now);
+    updateCountdownDisplay();
+    updateTimeDisplay();
+    if (replayPlayer) updateReplayBar();
     
-    // Add to scene
-    scene.add(enemyMesh);
+    // Update controls if enabled
+    if (controls && controls.enabled) {
+        controls.update();
+    }
     
-    // Add to enemies list
-    gameState.enemies.push({
-        mesh: enemyMesh
-    });
+    // Render scene
+    renderer.render(scene, camera);
 }
 
 /**
  * Create 3D objects for the grid
+ * @param {Object} [level] - Grid, playerPosition and goalPosition to draw (defaults to the current level)
  */
-function createGridObjects() {
-    const size = GAME_CONFIG.gridSize;
+function createGridObjects(level = gameState) {
+    const grid = level.grid;
+    const width = grid[0].length;
+    const height = grid.length;
+    const theme = applyTheme();
     
     // Create floor
-    const floorGeometry = new THREE.PlaneGeometry(size, size);
+    const floorGeometry = new THREE.PlaneGeometry(width, height);
     const floorMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x444444,
+        color: theme.floor,
         side: THREE.DoubleSide
     });
     const floor = new THREE.Mesh(floorGeometry, floorMaterial);
     floor.rotation.x = Math.PI / 2;
-    floor.position.set((size - 1) / 2, -0.01, (size - 1) / 2);
+    floor.position.set((width - 1) / 2, -0.01, (height - 1) / 2);
     gridGroup.add(floor);
     
     // Create grid lines
-    const gridLinesMaterial = new THREE.LineBasicMaterial({ color: 0x333333 });
+    const gridLinesMaterial = new THREE.LineBasicMaterial({ color: theme.gridLines });
     
     // Horizontal lines
-    for (let i = 0; i <= size; i++) {
+    for (let i = 0; i <= height; i++) {
         const lineGeometry = new THREE.BufferGeometry().setFromPoints([
             new THREE.Vector3(0, 0, i),
-            new THREE.Vector3(size, 0, i)
+            new THREE.Vector3(width, 0, i)
         ]);
         const line = new THREE.Line(lineGeometry, gridLinesMaterial);
         gridGroup.add(line);
     }
     
     // Vertical lines
-    for (let i = 0; i <= size; i++) {
+    for (let i = 0; i <= width; i++) {
         const lineGeometry = new THREE.BufferGeometry().setFromPoints([
             new THREE.Vector3(i, 0, 0),
-            new THREE.Vector3(i, 0, size)
+            new THREE.Vector3(i, 0, height)
         ]);
         const line = new THREE.Line(lineGeometry, gridLinesMaterial);
         gridGroup.add(line);
     }
     
-    // Create wall cubes
-    const wallGeometry = new THREE.BoxGeometry(1, 1, 1);
-    const wallMaterial = new THREE.MeshLambertMaterial({ color: 0x0066cc });
-    
-    for (let y = 0; y < size; y++) {
-        for (let x = 0; x < size; x++) {
-            if (gameState.grid[y][x] === 1) {
-                const wall = new THREE.Mesh(wallGeometry, wallMaterial);
-                wall.position.set(x, 0.5, y);
-                gridGroup.add(wall);
-            }
+    // Create walls and special tiles
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            setTileMesh(x, y, grid[y][x]);
         }
     }
     
-    // Create player cube
-    const playerGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-    const playerMaterial = new THREE.MeshLambertMaterial({ color: 0x00ff00 });
-    playerMesh = new THREE.Mesh(playerGeometry, playerMaterial);
-    playerMesh.position.set(
-        gameState.playerPosition.x,
-        0.5,
-        gameState.playerPosition.y
-    );
-    gridGroup.add(playerMesh);
+    // Create player cube (the editor may not have placed a start yet)
+    if (level.playerPosition) {
+        const playerGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
+        const playerMaterial = new THREE.MeshLambertMaterial({ color: (PLAYER_COLORS[cosmetics.color] || PLAYER_COLORS.green).value });
+        playerMesh = new THREE.Mesh(playerGeometry, playerMaterial);
+        playerMesh.position.set(
+            level.playerPosition.x,
+            0.5,
+            level.playerPosition.y
+        );
+        gridGroup.add(playerMesh);
+    }
     
     // Create goal marker
-    const goalGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 16);
-    const goalMaterial = new THREE.MeshLambertMaterial({ color: 0xffcc00 });
-    goalMesh = new THREE.Mesh(goalGeometry, goalMaterial);
-    goalMesh.position.set(
-        gameState.goalPosition.x,
-        0.05,
-        gameState.goalPosition.y
-    );
-    gridGroup.add(goalMesh);
+    if (level.goalPosition) {
+        const goalGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 16);
+        const goalMaterial = new THREE.MeshLambertMaterial({ color: 0xffcc00 });
+        goalMesh = new THREE.Mesh(goalGeometry, goalMaterial);
+        goalMesh.position.set(
+            level.goalPosition.x,
+            0.05,
+            level.goalPosition.y
+        );
+        gridGroup.add(goalMesh);
+    }
+}
+
+/**
+ * Create the shared geometries and materials for tile meshes
+ * @returns {Object} - Geometries and materials by tile kind
+ */
+function getTileAssets() {
+    if (tileAssets) return tileAssets;
+    
+    const arrowShape = new THREE.Shape();
+    arrowShape.moveTo(0, 0.35);
+    arrowShape.lineTo(0.3, -0.05);
+    arrowShape.lineTo(0.1, -0.05);
+    arrowShape.lineTo(0.1, -0.35);
+    arrowShape.lineTo(-0.1, -0.35);
+    arrowShape.lineTo(-0.1, -0.05);
+    arrowShape.lineTo(-0.3, -0.05);
+    arrowShape.lineTo(0, 0.35);
+    
+    tileAssets = {
+        wallGeometry: new THREE.BoxGeometry(1, 1, 1),
+        wallMaterial: new THREE.MeshLambertMaterial({ color: 0x0066cc }),
+        slabGeometry: new THREE.BoxGeometry(0.96, 0.04, 0.96),
+        iceMaterial: new THREE.MeshLambertMaterial({ color: 0xaaeeff, transparent: true, opacity: 0.7 }),
+        crumbleMaterial: new THREE.MeshLambertMaterial({ color: 0x8b6b4a }),
+        crackMaterial: new THREE.LineBasicMaterial({ color: 0x3b2b1a }),
+        holeMaterial: new THREE.MeshBasicMaterial({ color: 0x050505 }),
+        arrowGeometry: new THREE.ShapeGeometry(arrowShape),
+        arrowMaterial: new THREE.MeshBasicMaterial({ color: 0xff9933, side: THREE.DoubleSide }),
+        keyGeometry: new THREE.TorusGeometry(0.15, 0.05, 8, 16),
+        keyStemGeometry: new THREE.BoxGeometry(0.06, 0.3, 0.06),
+        doorGeometry: new THREE.BoxGeometry(0.9, 0.9, 0.9),
+        teleporterGeometry: new THREE.TorusGeometry(0.35, 0.06, 8, 24),
+        teleporterPadGeometry: new THREE.CylinderGeometry(0.3, 0.3, 0.02, 24),
+        coinGeometry: new THREE.CylinderGeometry(0.2, 0.2, 0.05, 16),
+        coinMaterial: new THREE.MeshLambertMaterial({ color: 0xffd700 }),
+        gemGeometry: new THREE.OctahedronGeometry(0.22),
+        gemMaterial: new THREE.MeshLambertMaterial({ color: 0x33ff99, transparent: true, opacity: 0.85 }),
+        checkpointGeometry: new THREE.CylinderGeometry(0.4, 0.4, 0.02, 24),
+        checkpointMaterial: new THREE.MeshLambertMaterial({ color: 0x33dd55 }),
+        flagPoleGeometry: new THREE.CylinderGeometry(0.02, 0.02, 0.7, 6),
+        flagPoleMaterial: new THREE.MeshLambertMaterial({ color: 0xdddddd }),
+        flagGeometry: new THREE.BoxGeometry(0.25, 0.15, 0.02),
+        fogGeometry: new THREE.PlaneGeometry(1, 1),
+        fogHiddenMaterial: new THREE.MeshBasicMaterial({ color: 0x000000 }),
+        fogExploredMaterial: new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6 }),
+        turretBaseGeometry: new THREE.CylinderGeometry(0.28, 0.34, 0.2, 12),
+        turretBarrelGeometry: new THREE.BoxGeometry(0.12, 0.12, 0.4),
+        turretLaneGeometry: new THREE.PlaneGeometry(0.9, 0.9),
+        turretLaneMaterial: new THREE.MeshBasicMaterial({ color: 0xff2200, transparent: true, opacity: 0.35, depthWrite: false }),
+        powerupGeometry: new THREE.IcosahedronGeometry(0.2),
+        shieldGeometry: new THREE.SphereGeometry(0.75, 16, 12),
+        shieldMaterial: new THREE.MeshBasicMaterial({ color: 0x33ccff, transparent: true, opacity: 0.25, depthWrite: false }),
+        revealGeometry: new THREE.CircleGeometry(0.12, 12),
+        revealMaterial: new THREE.MeshBasicMaterial({ color: 0xffee55 }),
+        colorMaterials: new Map()
+    };
+    Object.values(tileAssets).forEach(asset => sharedAssets.add(asset));
+    return tileAssets;
+}
+
+/**
+ * Get a shared material of a color
+ * @param {number} color - Hex color
+ * @param {Object} [options] - Extra material options (e.g. opacity)
+ * @returns {THREE.Material} - Lambert material
+ */
+function getColorMaterial(color, options) {
+    const assets = getTileAssets();
+    const key = `${color}:${JSON.stringify(options || {})}`;
+    if (!assets.colorMaterials.has(key)) {
+        const material = new THREE.MeshLambertMaterial(Object.assign({ color }, options));
+        assets.colorMaterials.set(key, material);
+        sharedAssets.add(material);
+    }
+    return assets.colorMaterials.get(key);
+}
+
+/**
+ * Build the mesh for a tile
+ * @param {number} tile - Tile code (see game/tiles.js)
+ * @returns {THREE.Object3D|null} - Mesh centred on the tile, or null for plain floor
+ */
+function createTileMesh(tile) {
+    const info = GridRush.TILE_INFO[tile];
+    if (!info || info.kind === 'floor') return null;
+    
+    const assets = getTileAssets();
+    const group = new THREE.Group();
+    switch (info.kind) {
+        case 'wall': {
+            const wall = new THREE.Mesh(assets.wallGeometry, assets.wallMaterial);
+            wall.position.y = 0.5;
+            group.add(wall);
+            break;
+        }
+        case 'ice': {
+            const ice = new THREE.Mesh(assets.slabGeometry, assets.iceMaterial);
+            ice.position.y = 0.01;
+            group.add(ice);
+            break;
+        }
+        case 'crumble': {
+            const slab = new THREE.Mesh(assets.slabGeometry, assets.crumbleMaterial);
+            slab.position.y = 0.02;
+            group.add(slab);
+            // A few cracks so it reads differently from plain floor
+            const cracks = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(-0.4, 0.05, -0.3), new THREE.Vector3(-0.05, 0.05, 0.05),
+                new THREE.Vector3(-0.05, 0.05, 0.05), new THREE.Vector3(0.35, 0.05, -0.1),
+                new THREE.Vector3(-0.05, 0.05, 0.05), new THREE.Vector3(0.1, 0.05, 0.4)
+            ]);
+            group.add(new THREE.LineSegments(cracks, assets.crackMaterial));
+            break;
+        }
+        case 'hole': {
+            const hole = new THREE.Mesh(assets.slabGeometry, assets.holeMaterial);
+            hole.position.y = 0.005;
+            group.add(hole);
+            break;
+        }
+        case 'arrow': {
+            const arrow = new THREE.Mesh(assets.arrowGeometry, assets.arrowMaterial);
+            // Lie flat with the tip pointing up the grid (-z), then turn to face the arrow's direction
+            arrow.rotation.x = -Math.PI / 2;
+            arrow.rotation.z = { up: 0, left: Math.PI / 2, down: Math.PI, right: -Math.PI / 2 }[info.direction];
+            arrow.position.y = 0.02;
+            group.add(arrow);
+            break;
+        }
+        case 'key': {
+            const material = getColorMaterial(KEY_COLOR_VALUES[info.color]);
+            const ring = new THREE.Mesh(assets.keyGeometry, material);
+            ring.position.y = 0.55;
+            const stem = new THREE.Mesh(assets.keyStemGeometry, material);
+            stem.position.y = 0.3;
+            group.add(ring, stem);
+            break;
+        }
+        case 'door': {
+            const door = new THREE.Mesh(assets.doorGeometry,
+                getColorMaterial(KEY_COLOR_VALUES[info.color], { transparent: true, opacity: 0.75 }));
+            door.position.y = 0.45;
+            group.add(door);
+            break;
+        }
+        case 'teleporter': {
+            const material = getColorMaterial(TELEPORTER_COLOR_VALUES[info.pair]);
+            const ring = new THREE.Mesh(assets.teleporterGeometry, material);
+            ring.rotation.x = Math.PI / 2;
+            ring.position.y = 0.05;
+            const pad = new THREE.Mesh(assets.teleporterPadGeometry,
+                getColorMaterial(TELEPORTER_COLOR_VALUES[info.pair], { transparent: true, opacity: 0.4 }));
+            pad.position.y = 0.01;
+            group.add(ring, pad);
+            break;
+        }
+        case 'coin': {
+            const coin = new THREE.Mesh(assets.coinGeometry, assets.coinMaterial);
+            // Stand the coin on its edge
+            coin.rotation.x = Math.PI / 2;
+            coin.position.y = 0.3;
+            group.add(coin);
+            break;
+        }
+        case 'gem': {
+            const gem = new THREE.Mesh(assets.gemGeometry, assets.gemMaterial);
+            gem.position.y = 0.35;
+            group.add(gem);
+            break;
+        }
+        case 'checkpoint': {
+            const pad = new THREE.Mesh(assets.checkpointGeometry, assets.checkpointMaterial);
+            pad.position.y = 0.01;
+            // A small flag in the corner of the tile so the player doesn't hide it
+            const pole = new THREE.Mesh(assets.flagPoleGeometry, assets.flagPoleMaterial);
+            pole.position.set(-0.3, 0.35, -0.3);
+            const flag = new THREE.Mesh(assets.flagGeometry, assets.checkpointMaterial);
+            flag.position.set(-0.17, 0.62, -0.3);
+            group.add(pad, pole, flag);
+            break;
+        }
+    }
+    return group;
+}
+
+/**
+ * Replace the mesh drawn for a tile
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} tile - Tile code now at (x, y)
+ */
+function setTileMesh(x, y, tile) {
+    const key = `${x},${y}`;
+    const old = tileMeshes.get(key);
+    if (old) {
+        gridGroup.remove(old);
+        disposeObject(old);
+        tileMeshes.delete(key);
+    }
+    
+    const mesh = createTileMesh(tile);
+    if (!mesh) return;
+    mesh.position.set(x * GAME_CONFIG.tileSize, 0, y * GAME_CONFIG.tileSize);
+    gridGroup.add(mesh);
+    tileMeshes.set(key, mesh);
+}
+
+/**
+ * Frame the current level (or the default grid before the first run)
+ */
+function resetCamera() {
+    if (gameState.grid.length > 0) {
+        frameCamera(gameState.grid[0].length, gameState.grid.length);
+    } else {
+        frameCamera(GAME_CONFIG.gridWidth, GAME_CONFIG.gridHeight);
+    }
+}
+
+/**
+ * Free the geometries and materials of an object taken off the board
+ * The shared tile assets are kept for the next meshes that use them.
+ * @param {THREE.Object3D} object - Removed object
+ */
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.geometry && !sharedAssets.has(child.geometry)) child.geometry.dispose();
+        if (child.material && !sharedAssets.has(child.material)) child.material.dispose();
+    });
+}
+
+/**
+ * Remove every object from the grid group, freeing what was made for it
+ */
+function clearGridObjects() {
+    while (gridGroup.children.length > 0) {
+        disposeObject(gridGroup.children[0]);
+        gridGroup.remove(gridGroup.children[0]);
+    }
+    tileMeshes.clear();
+    fogMeshes.clear();
+    turretMeshes.clear();
+    laneHighlights.clear();
+    powerupMeshes.clear();
+    revealedPathGroup = null;
+}
+
+/**
+ * Mount a mesh for each turret: a base with a barrel pointing down its next lane
+ * @param {Array} turrets - Turrets of the level ({ x, y, pattern, directions, directionIndex })
+ * @param {Array} grid - 2D array of tile codes the turrets are mounted on
+ */
+function createTurretObjects(turrets, grid) {
+    const assets = getTileAssets();
+    for (const turret of turrets) {
+        // Each turret gets its own material so it can glow while winding up
+        const material = new THREE.MeshLambertMaterial({ color: 0x992222, emissive: 0x000000 });
+        const head = new THREE.Group();
+        const base = new THREE.Mesh(assets.turretBaseGeometry, material);
+        const barrel = new THREE.Mesh(assets.turretBarrelGeometry, material);
+        barrel.position.set(0, 0.05, 0.3);
+        head.add(base, barrel);
+        head.rotation.y = getTurretRotation(turret.directions[turret.directionIndex || 0]);
+
+        // On top of a wall, or at floor height just outside the edge of the grid
+        const onWall = turret.y >= 0 && turret.y < grid.length && turret.x >= 0 && turret.x < grid[0].length;
+        head.position.set(turret.x * GAME_CONFIG.tileSize, onWall ? 1.1 : 0.15, turret.y * GAME_CONFIG.tileSize);
+        gridGroup.add(head);
+        turretMeshes.set(`${turret.x},${turret.y}`, { head, material });
+    }
+}
+
+/**
+ * Get the rotation that points a turret's barrel down a lane
+ * @param {string} direction - 'up', 'right', 'down' or 'left'
+ * @returns {number} - Rotation about the vertical axis (radians)
+ */
+function getTurretRotation(direction) {
+    return { down: 0, right: Math.PI / 2, up: Math.PI, left: -Math.PI / 2 }[direction];
+}
+
+/**
+ * Telegraph a turret's next volley: it glows and turns to the lane, which lights up
+ * @param {Object} event - turretWindup event ({ turret, direction, lane })
+ */
+function showTurretWindup({ turret, direction, lane }) {
+    const key = `${turret.x},${turret.y}`;
+    const mesh = turretMeshes.get(key);
+    if (mesh) {
+        mesh.head.rotation.y = getTurretRotation(direction);
+        mesh.material.emissive.setHex(0xff3300);
+    }
+    
+    clearLaneHighlight(key);
+    const assets = getTileAssets();
+    const highlight = new THREE.Group();
+    for (const { x, y } of lane) {
+        const tile = new THREE.Mesh(assets.turretLaneGeometry, assets.turretLaneMaterial);
+        tile.rotation.x = -Math.PI / 2;
+        tile.position.set(x * GAME_CONFIG.tileSize, 0.03, y * GAME_CONFIG.tileSize);
+        highlight.add(tile);
+    }
+    gridGroup.add(highlight);
+    laneHighlights.set(key, highlight);
+}
+
+/**
+ * Stop the telegraph once a turret's volley is over
+ * @param {Object} event - turretFired event ({ turret, last })
+ */
+function handleTurretFired({ turret, last }) {
+    if (!last) return;
+    const key = `${turret.x},${turret.y}`;
+    const mesh = turretMeshes.get(key);
+    if (mesh) {
+        mesh.material.emissive.setHex(0x000000);
+    }
+    clearLaneHighlight(key);
+}
+
+/**
+ * Remove the lane highlight of a turret
+ * @param {string} key - "x,y" of the turret's mount
+ */
+function clearLaneHighlight(key) {
+    const highlight = laneHighlights.get(key);
+    if (!highlight) return;
+    gridGroup.remove(highlight);
+    laneHighlights.delete(key);
+}
+
+/**
+ * Add the mesh for a power-up lying on the board
+ * @param {Object} powerup - Engine power-up ({ id, type, x, y })
+ */
+function addPowerupMesh(powerup) {
+    const assets = getTileAssets();
+    const mesh = new THREE.Mesh(assets.powerupGeometry, getColorMaterial(POWERUP_COLOR_VALUES[powerup.type], {
+        emissive: POWERUP_COLOR_VALUES[powerup.type],
+        emissiveIntensity: 0.4
+    }));
+    mesh.position.set(powerup.x * GAME_CONFIG.tileSize, 0.4, powerup.y * GAME_CONFIG.tileSize);
+    gridGroup.add(mesh);
+    powerupMeshes.set(powerup.id, mesh);
+}
+
+/**
+ * Remove the mesh for a power-up that was picked up or expired
+ * @param {Object} powerup - Engine power-up ({ id })
+ */
+function removePowerupMesh(powerup) {
+    const mesh = powerupMeshes.get(powerup.id);
+    if (!mesh) return;
+    gridGroup.remove(mesh);
+    powerupMeshes.delete(powerup.id);
+}
+
+/**
+ * Spin and bob the power-ups on the board, and put a bubble around a shielded player
+ * @param {number} now - Current timestamp (ms)
+ */
+function animatePowerups(now) {
+    for (const powerup of gameState.powerups) {
+        const mesh = powerupMeshes.get(powerup.id);
+        if (!mesh) continue;
+        mesh.rotation.y = now / 400;
+        mesh.position.y = 0.4 + 0.08 * Math.sin(now / 250 + powerup.id);
+        // Power-ups in the fog stay hidden until the player can see their tile
+        mesh.visible = !isFogActive() || gameState.visibleTiles.has(`${powerup.x},${powerup.y}`);
+    }
+    
+    if (!playerMesh) return;
+    let bubble = playerMesh.getObjectByName('shield');
+    if (!bubble) {
+        const assets = getTileAssets();
+        bubble = new THREE.Mesh(assets.shieldGeometry, assets.shieldMaterial);
+        bubble.name = 'shield';
+        playerMesh.add(bubble);
+    }
+    bubble.visible = gameState.activePowerups.some(powerup => powerup.type === 'shield');
+}
+
+/**
+ * Mark the route to the goal shown by the reveal power-up
+ * @param {Array} path - Tiles from the player to the goal (empty to clear the markers)
+ */
+function showRevealedPath(path) {
+    if (revealedPathGroup) {
+        gridGroup.remove(revealedPathGroup);
+        revealedPathGroup = null;
+    }
+    if (path.length === 0) return;
+    
+    const assets = getTileAssets();
+    revealedPathGroup = new THREE.Group();
+    // Skip the player's own tile
+    for (const { x, y } of path.slice(1)) {
+        const marker = new THREE.Mesh(assets.revealGeometry, assets.revealMaterial);
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.set(x * GAME_CONFIG.tileSize, 0.04, y * GAME_CONFIG.tileSize);
+        revealedPathGroup.add(marker);
+    }
+    gridGroup.add(revealedPathGroup);
+}
+
+/**
+ * Blink the player while they can't be hit after losing a life
+ * @param {number} now - Current timestamp (ms)
+ */
+function flashInvulnerablePlayer(now) {
+    if (!playerMesh) return;
+    playerMesh.visible = gameState.invulnerableTicks === 0 || Math.floor(now / 100) % 2 === 0;
+}
+
+/**
+ * Pulse the telegraphed lanes so they stand out from the floor
+ * @param {number} now - Current timestamp (ms)
+ */
+function pulseLaneHighlights(now) {
+    if (laneHighlights.size === 0) return;
+    getTileAssets().turretLaneMaterial.opacity = 0.3 + 0.15 * Math.sin(now / 80);
+}
+
+/**
+ * Check whether the current level is played with fog of war
+ * @returns {boolean} - True if the level's rules limit the player's sight
+ */
+function isFogActive() {
+    return gameState.isPlaying && gameState.rules.fogRadius > 0;
+}
+
+/**
+ * Cover every tile of a fog of war level; updateFog() uncovers what the player sees
+ */
+function createFogObjects() {
+    if (!isFogActive()) return;
+    
+    const assets = getTileAssets();
+    gameState.grid.forEach((row, y) => row.forEach((tile, x) => {
+        const fog = new THREE.Mesh(assets.fogGeometry, assets.fogHiddenMaterial);
+        // Lie flat just above the walls so it covers them too
+        fog.rotation.x = -Math.PI / 2;
+        fog.position.set(x * GAME_CONFIG.tileSize, 1.02, y * GAME_CONFIG.tileSize);
+        gridGroup.add(fog);
+        fogMeshes.set(`${x},${y}`, fog);
+    }));
+    updateFog();
+}
+
+/**
+ * Show visible tiles, dim explored ones and hide the rest of a fog of war level
+ */
+function updateFog() {
+    if (!isFogActive() || fogMeshes.size === 0) return;
+    
+    const assets = getTileAssets();
+    const { visibleTiles, exploredTiles } = gameState;
+    for (const [key, fog] of fogMeshes) {
+        fog.visible = !visibleTiles.has(key);
+        fog.material = exploredTiles.has(key) ? assets.fogExploredMaterial : assets.fogHiddenMaterial;
+    }
+    // Tiles never seen are hidden outright, so their walls don't show from the side
+    for (const [key, mesh] of tileMeshes) {
+        mesh.visible = exploredTiles.has(key);
+    }
+    if (goalMesh) {
+        goalMesh.visible = exploredTiles.has(`${gameState.goalPosition.x},${gameState.goalPosition.y}`);
+    }
+    // Turrets show up once their wall or the first tile of one of their lanes has been seen
+    for (const turret of gameState.turrets) {
+        const mesh = turretMeshes.get(`${turret.x},${turret.y}`);
+        if (!mesh) continue;
+        mesh.head.visible = exploredTiles.has(`${turret.x},${turret.y}`) || turret.directions.some(direction => {
+            const [first] = GridRush.getTurretLane(gameState.grid, turret, direction);
+            return first && exploredTiles.has(`${first.x},${first.y}`);
+        });
+    }
+}
+
+/**
+ * Point the camera straight down at the centre of a grid, far enough to see all of it
+ * @param {number} width - Grid width in tiles
+ * @param {number} height - Grid height in tiles
+ */
+function frameCamera(width, height) {
+    const centerX = width / 2 - 0.5;
+    const centerZ = height / 2 - 0.5;
+    
+    // 1.8 tiles of height per tile keeps a 10x10 grid at the original height of 18;
+    // the width is scaled by the window's aspect ratio to fit the horizontal field of view
+    const distance = Math.max(width / camera.aspect, height) * 1.8;
+    camera.position.set(centerX, distance, centerZ);
+    camera.lookAt(centerX, 0, centerZ);
+    controls.target.set(centerX, 0, centerZ);
+    controls.update();
 }
 
 // --- Camera Controls: Enable OrbitControls on right mouse or 'C' key ---
@@ -1965,11 +3538,7 @@ function setupCameraControls() {
         
         if (event.key === 'r' || event.key === 'R') {
             // Reset camera to default top-down position
-            const gridCenterX = GAME_CONFIG.gridSize / 2 - 0.5;
-            const gridCenterZ = GAME_CONFIG.gridSize / 2 - 0.5;
-            camera.position.set(gridCenterX, 18, gridCenterZ);
-            camera.lookAt(gridCenterX, 0, gridCenterZ);
-            controls.update();
+            resetCamera();
         }
     });
     
@@ -2013,8 +3582,8 @@ function handleKeyboardInput(event) {
         case 'd':
         case 'D':
             // Toggle debug mode
-            gameState.debugMode = !gameState.debugMode;
-                                             console.log('Debug mode:', gameState.debugMode ? 'enabled' : 'disabled');
+            inputState.debugMode = !inputState.debugMode;
+                                             console.log('Debug mode:', inputState.debugMode ? 'enabled' : 'disabled');
             break;
             
         case 'F5':
@@ -2033,10 +3602,29 @@ function handleKeyboardInput(event) {
             console.log('Camera controls:', controls.enabled ? 'enabled' : 'disabled');
             break;
             
+        case 'p':
+        case 'P':
+            // Pause or resume (the replay playback while watching one)
+            if (replayPlayer) {
+                toggleReplayPlayback();
+            } else {
+                togglePause();
+            }
+            break;
+            
         case 'r':
             // Reset camera position
-            camera.position.set(GAME_CONFIG.gridSize / 2 - 0.5, 12, GAME_CONFIG.gridSize / 2 + 6);
-            camera.lookAt(GAME_CONFIG.gridSize / 2 - 0.5, 0, GAME_CONFIG.gridSize / 2 - 0.5);
+            resetCamera();
+            break;
+            
+        // Use the oldest held power-up
+        case 'e':
+        case 'E':
+        case ' ':
+            if (!gameState.isGameOver) {
+                handlePowerup();
+                event.preventDefault();
+            }
             break;
             
         // Movement controls - Arrow Keys